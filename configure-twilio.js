@@ -105,7 +105,7 @@ configurePhoneNumber().then(() => {
   console.log(`   3. Speak or press a key to interact\n`);
 
   console.log('📊 Monitor your calls:');
-  console.log(`   curl ${DEPLOYMENT_URL}/voice/calls\n`);
+  console.log(`   curl -H "Authorization: Bearer $API_KEY" ${DEPLOYMENT_URL}/voice/calls\n`);
 
   process.exit(0);
 }).catch(error => {
@@ -1,11 +1,45 @@
 require('dotenv').config();
 const express = require('express');
-const { VoiceResponse } = require('twilio').twiml;
+const twilio = require('twilio');
+const { VoiceResponse } = twilio.twiml;
 const cors = require('cors');
 const bodyParser = require('body-parser');
 const WebSocket = require('ws');
 const https = require('https');
+const EventEmitter = require('events');
 const fs = require('fs');
+const path = require('path');
+const MediaSession = require('./lib/media-session');
+const codec = require('./lib/codec');
+const Conversation = require('./lib/conversation');
+const { createSessionStore } = require('./lib/session-store');
+const { applyStatusUpdate, isTerminal } = require('./lib/call-status');
+const { PersonaRegistry, isHangupPhrase, isTransferPhrase, format } = require('./lib/personas');
+const { twilioWebhook, isValidUpgrade } = require('./lib/twilio-signature');
+const { apiKeyAuth, isValidUpgradeKey } = require('./lib/api-key');
+const { DoNotCallList } = require('./lib/do-not-call');
+const { CampaignManager } = require('./lib/campaigns');
+const { CallRecorder, RecordingStore } = require('./lib/recordings');
+const { FORMATS: TRANSCRIPT_FORMATS, exportTranscript } = require('./lib/transcripts');
+const { createProviders } = require('./lib/providers');
+const { chunkSentences } = require('./lib/sentence-chunker');
+const { MAX_TOOL_ROUNDS, createToolRegistry } = require('./lib/tools');
+const { nextStep, renderMenu } = require('./lib/ivr');
+const { isOpen } = require('./lib/business-hours');
+const { VoicemailStore } = require('./lib/voicemails');
+const { AMD_MODES, classifyAnsweredBy, amdCallOptions } = require('./lib/amd');
+const { WHISPER_TARGETS, SupervisorHub, callSummary } = require('./lib/supervisor');
+const { CallListener } = require('./lib/listen-in');
+const { STREAM_MODES, addMediaStream } = require('./lib/media-streams');
+const { MediaStreamProtocol } = require('./lib/media-protocol');
+const { GracefulShutdown, closeServer } = require('./lib/shutdown');
+const {
+  conferenceName,
+  resolveTransfer,
+  dialTarget,
+  summaryMessages,
+  fallbackSummary
+} = require('./lib/transfers');
 
 const app = express();
 const PORT = parseInt(process.env.PORT || '3000', 10);
@@ -21,9 +55,24 @@ const config = {
     apiSecret: process.env.TWILIO_API_SECRET,
     phoneNumber: process.env.TWILIO_PHONE_NUMBER,
   },
+  // Key required by management endpoints such as POST /voice/outbound
+  apiKey: process.env.API_KEY,
+  webhooks: {
+    // Set TWILIO_VALIDATE_SIGNATURES=false to test the routes locally with curl
+    enabled: process.env.TWILIO_VALIDATE_SIGNATURES !== 'false',
+    authToken: process.env.TWILIO_AUTH_TOKEN,
+    baseUrl: process.env.DEPLOYMENT_URL,
+  },
+  // Provider names for speech-to-text, LLM and text-to-speech (see lib/providers)
+  providers: {
+    stt: process.env.STT_PROVIDER || 'ink-whisper',
+    llm: process.env.LLM_PROVIDER || 'groq',
+    tts: process.env.TTS_PROVIDER || 'cartesia',
+  },
   groq: {
     apiKey: process.env.GROQ_API_KEY,
     model: process.env.GROQ_MODEL || 'kimi-k2-0905',
+    baseUrl: process.env.GROQ_BASE_URL || 'https://api.groq.com/openai/v1',
   },
   cartesia: {
     apiKey: process.env.CARTESIA_API_KEY,
@@ -33,6 +82,81 @@ const config = {
   inkWhisper: {
     apiKey: process.env.INK_WHISPER_API_KEY,
     model: process.env.INK_WHISPER_MODEL || 'ink-whisper-pro',
+    // Caller audio is upsampled from Twilio's 8 kHz before transcription
+    sampleRate: parseInt(process.env.INK_WHISPER_SAMPLE_RATE || '16000', 10),
+  },
+  openai: {
+    apiKey: process.env.OPENAI_API_KEY,
+    model: process.env.OPENAI_MODEL || 'gpt-4o-mini',
+    baseUrl: process.env.OPENAI_BASE_URL || 'https://api.openai.com/v1',
+  },
+  whisper: {
+    apiKey: process.env.WHISPER_API_KEY || process.env.OPENAI_API_KEY,
+    model: process.env.WHISPER_MODEL || 'whisper-1',
+    baseUrl: process.env.WHISPER_BASE_URL || 'https://api.openai.com/v1',
+  },
+  // Offline providers for end-to-end testing without network access
+  mock: {
+    transcripts: (process.env.MOCK_TRANSCRIPTS || 'Hello').split('|'),
+    replies: process.env.MOCK_REPLIES ? process.env.MOCK_REPLIES.split('|') : [],
+    latencyMs: parseInt(process.env.MOCK_LATENCY_MS || '0', 10),
+  },
+  agent: {
+    systemPrompt: process.env.AGENT_SYSTEM_PROMPT ||
+      'You are a friendly voice assistant on a phone call. Keep replies short and conversational, ' +
+      'use plain sentences without lists or formatting, and ask one question at a time.',
+    historyTokens: parseInt(process.env.AGENT_HISTORY_TOKENS || '3000', 10),
+    // Inbound callers beyond this many active calls go to voicemail (0 = no limit)
+    maxCalls: parseInt(process.env.MAX_CONCURRENT_CALLS || '0', 10),
+  },
+  sessions: {
+    // "memory" (lost on restart) or "file" (one JSON file per call in SESSION_DIR)
+    store: process.env.SESSION_STORE || 'memory',
+    dir: process.env.SESSION_DIR || path.join(__dirname, 'data', 'sessions'),
+    ttlMs: parseFloat(process.env.SESSION_TTL_HOURS || '24') * 60 * 60 * 1000,
+  },
+  recordings: {
+    // Opt-in: write a stereo WAV (caller left, agent right) per media stream call
+    enabled: process.env.RECORDINGS_ENABLED === 'true',
+    dir: process.env.RECORDINGS_DIR || path.join(__dirname, 'data', 'recordings'),
+    retentionDays: parseFloat(process.env.RECORDING_RETENTION_DAYS || '30'),
+  },
+  voicemail: {
+    dir: process.env.VOICEMAIL_DIR || path.join(__dirname, 'data', 'voicemails'),
+  },
+  amd: {
+    // Answering-machine detection on outbound calls: "off", "sync" (decided before the call is
+    // connected) or "async" (decided while the call runs; the agent waits for the result)
+    mode: process.env.AMD_MODE || 'off',
+    timeoutSec: parseInt(process.env.AMD_TIMEOUT || '30', 10),
+  },
+  mediaStream: {
+    // "connect" (bidirectional, the agent talks over the stream) or "fork" (monitoring only);
+    // personas can override it with streamMode
+    mode: process.env.MEDIA_STREAM_MODE || 'connect',
+  },
+  shutdown: {
+    // How long active calls may carry on after SIGTERM before they are ended with the
+    // persona's shutdownMessage
+    drainMs: parseFloat(process.env.SHUTDOWN_DRAIN_SECONDS || '60') * 1000,
+    // Where new calls are redirected while the server drains; unset rejects them as busy
+    redirectUrl: process.env.SHUTDOWN_REDIRECT_URL || null,
+  },
+  campaigns: {
+    // JSON array of numbers that are never dialed (kept in memory only when unset)
+    doNotCallFile: process.env.DNC_FILE || null,
+  },
+  personas: {
+    dir: process.env.PERSONAS_DIR || path.join(__dirname, 'personas'),
+    defaultPersona: process.env.DEFAULT_PERSONA || 'default',
+  },
+  vad: {
+    energyThreshold: parseInt(process.env.VAD_ENERGY_THRESHOLD || '500', 10),
+    zeroCrossingThreshold: parseFloat(process.env.VAD_ZCR_THRESHOLD || '0.35'),
+    minSpeechMs: parseInt(process.env.VAD_MIN_SPEECH_MS || '60', 10),
+    silenceMs: parseInt(process.env.VAD_SILENCE_MS || '700', 10),
+    minUtteranceMs: parseInt(process.env.VAD_MIN_UTTERANCE_MS || '250', 10),
+    maxUtteranceMs: parseInt(process.env.VAD_MAX_UTTERANCE_MS || '15000', 10),
   },
 };
 
@@ -41,107 +165,195 @@ app.use(cors());
 app.use(bodyParser.urlencoded({ extended: false }));
 app.use(bodyParser.json());
 
+// Only accept /voice/* webhooks signed by Twilio
+const validateTwilioRequest = twilioWebhook(config.webhooks);
+// Management endpoints called by our own services
+const requireApiKey = apiKeyAuth(config.apiKey);
+
 // AI Model Helpers
+// Thin wrapper over the configured providers (see lib/providers) that logs
+// failures and resolves to null, so call handling never throws mid-call
 class AIModelManager {
-  async generateWithKimi(userInput) {
-    if (!config.groq.apiKey) {
-      console.warn('Groq API key not configured');
-      return null;
-    }
+  constructor({ transcriber, chatModel, synthesizer }) {
+    this.transcriber = transcriber;
+    this.chatModel = chatModel;
+    this.synthesizer = synthesizer;
+  }
+
+  // Accepts a single user prompt or a full list of chat messages
+  async generate(input, options = {}) {
     try {
-      const response = await fetch('https://api.groq.com/openai/v1/chat/completions', {
-        method: 'POST',
-        headers: {
-          'Authorization': `Bearer ${config.groq.apiKey}`,
-          'Content-Type': 'application/json',
-        },
-        body: JSON.stringify({
-          model: config.groq.model,
-          messages: [{ role: 'user', content: userInput }],
-          temperature: 0.7,
-          max_tokens: 1024,
-        }),
-      });
-      const data = await response.json();
-      return data.choices?.[0]?.message?.content || null;
+      return await this.chatModel.complete(toMessages(input), options);
     } catch (error) {
-      console.error('Groq Kimi error:', error);
+      if (error.name === 'AbortError') return null;
+      console.error(`${this.chatModel.name} error:`, error.message);
       return null;
     }
   }
 
-  async synthesizeWithSonic3(text) {
-    if (!config.cartesia.apiKey) {
-      console.warn('Cartesia API key not configured');
-      return null;
-    }
+  // Stream a reply, yielding text deltas as they arrive. With `tools`, tool calls are run through
+  // `runTool(call)` and their results fed back until the model produces its spoken reply.
+  async *generateStream(input, { tools, runTool, ...options } = {}) {
+    const messages = [...toMessages(input)];
+    let spoken = '';
+
     try {
-      const response = await fetch('https://api.cartesia.ai/v1/voices/synthesize', {
-        method: 'POST',
-        headers: {
-          'Authorization': `Bearer ${config.cartesia.apiKey}`,
-          'Content-Type': 'application/json',
-        },
-        body: JSON.stringify({
-          text,
-          model: config.cartesia.model,
-          voice_id: config.cartesia.voiceId,
-          output_format: 'mp3',
-        }),
-      });
-      return response;
+      for (let round = 0; round <= MAX_TOOL_ROUNDS; round++) {
+        // The last round gets no tools so the model has to answer
+        const offered = tools && tools.length > 0 && round < MAX_TOOL_ROUNDS ? tools : undefined;
+        let content = '';
+        let toolCalls = null;
+
+        for await (const item of this.chatModel.stream(messages, { ...options, tools: offered })) {
+          if (typeof item !== 'string') {
+            toolCalls = item.toolCalls;
+            continue;
+          }
+          // Keep the text of consecutive rounds apart
+          const delta = content === '' && spoken && !/\s$/.test(spoken) ? ` ${item}` : item;
+          content += item;
+          spoken += delta;
+          yield delta;
+        }
+        if (!toolCalls) return;
+
+        messages.push({
+          role: 'assistant',
+          content: content || null,
+          tool_calls: toolCalls.map((call) => ({
+            id: call.id,
+            type: 'function',
+            function: { name: call.name, arguments: call.arguments }
+          }))
+        });
+        for (const call of toolCalls) {
+          messages.push({ role: 'tool', tool_call_id: call.id, content: await runTool(call) });
+        }
+      }
     } catch (error) {
-      console.error('Cartesia Sonic 3 error:', error);
-      return null;
+      if (error.name === 'AbortError') return;
+      console.error(`${this.chatModel.name} stream error:`, error.message);
     }
   }
 
-  async transcribeWithInkWhisper(audioData) {
-    if (!config.inkWhisper.apiKey) {
-      console.warn('Ink Whisper API key not configured');
+  // Resolve to 8 kHz μ-law audio for the text
+  async synthesize(text, options = {}) {
+    try {
+      return await this.synthesizer.synthesize(text, options);
+    } catch (error) {
+      if (error.name === 'AbortError') return null;
+      console.error(`${this.synthesizer.name} error:`, error.message);
       return null;
     }
-    try {
-      const formData = new FormData();
-      formData.append('audio', audioData);
-      formData.append('model', config.inkWhisper.model);
+  }
 
-      const response = await fetch('https://api.inkwhisper.ai/v1/transcribe', {
-        method: 'POST',
-        headers: {
-          'Authorization': `Bearer ${config.inkWhisper.apiKey}`,
-        },
-        body: formData,
-      });
-      const data = await response.json();
-      return data.text || null;
+  async transcribe(wav, options = {}) {
+    try {
+      return await this.transcriber.transcribe(wav, options);
     } catch (error) {
-      console.error('Ink Whisper error:', error);
+      if (error.name === 'AbortError') return null;
+      console.error(`${this.transcriber.name} error:`, error.message);
       return null;
     }
   }
 }
 
+function toMessages(input) {
+  return typeof input === 'string' ? [{ role: 'user', content: input }] : input;
+}
+
+// Error carrying the HTTP status the error handler should respond with
+function httpError(status, message) {
+  return Object.assign(new Error(message), { status });
+}
+
+// Render outbound call context (string or key/value object) for the system prompt
+function describeContext(context) {
+  if (!context) return null;
+  if (typeof context === 'string') return `Context for this call: ${context}`;
+
+  const lines = Object.entries(context).map(([key, value]) => `- ${key}: ${value}`);
+  return `Context for this call:\n${lines.join('\n')}`;
+}
+
+// Fill a machine message template from the call context
+function renderMachineMessage(template, context) {
+  if (!template) return null;
+  return format(template, context && typeof context === 'object' ? context : {});
+}
+
 // Voice Agent Handler
 class VoiceAgent {
   constructor() {
-    this.callSessions = new Map();
+    if (!STREAM_MODES.includes(config.mediaStream.mode)) {
+      throw new Error(`MEDIA_STREAM_MODE must be one of: ${STREAM_MODES.join(', ')}`);
+    }
     this.mediaStreams = new Map();
-    this.aiManager = new AIModelManager();
+    this.aiManager = new AIModelManager(createProviders(config));
+    this.personas = new PersonaRegistry({ defaultPersona: config.personas.defaultPersona })
+      .loadDirectory(config.personas.dir);
+    this.callSessions = createSessionStore({
+      ...config.sessions,
+      serialize: (session) => this.serializeSession(session),
+      deserialize: (data) => this.deserializeSession(data)
+    });
+    this.twilioClient = null;
+    // Live call events for the supervisor feed ('event' with { type, callSid, timestamp, ... })
+    this.events = new EventEmitter();
+    this.tools = createToolRegistry();
+    this.recordings = config.recordings.enabled ? new RecordingStore(config.recordings) : null;
+    this.voicemails = new VoicemailStore(config.voicemail);
+    this.doNotCall = new DoNotCallList({ file: config.campaigns.doNotCallFile });
+    this.campaigns = new CampaignManager({
+      placeCall: (options) => this.placeCall(options),
+      doNotCall: this.doNotCall
+    });
+    // Set once a shutdown starts: new calls are turned away (see drain)
+    this.draining = false;
+    // Background writes (recordings, voicemails) a shutdown waits for
+    this.pendingWork = new Set();
+  }
+
+  serializeSession(session) {
+    return {
+      ...session,
+      persona: session.persona.name,
+      conversation: session.conversation.serialize()
+    };
+  }
+
+  deserializeSession(data) {
+    return {
+      ...data,
+      startTime: new Date(data.startTime),
+      endTime: data.endTime ? new Date(data.endTime) : null,
+      persona: this.personas.get(data.persona),
+      conversation: Conversation.deserialize(data.conversation),
+      toolCalls: data.toolCalls || [],
+      whispers: data.whispers || []
+    };
   }
 
-  generateTwiML(callSid, speechResult = null) {
+  generateTwiML(callSid) {
     const twiml = new VoiceResponse();
+    const { persona } = this.getSession(callSid);
 
-    if (speechResult) {
-      twiml.say(`You said: ${speechResult}`, { voice: 'Polly.Amy' });
-    } else {
-      twiml.say('Welcome to the voice agent. Please speak after the beep.', {
-        voice: 'Polly.Amy'
-      });
-    }
+    this.say(twiml, persona, persona.greeting);
+    this.addGather(twiml, persona);
+
+    return twiml;
+  }
 
+  // <Say> with the persona's voice and language
+  say(target, persona, text) {
+    return target.say({ voice: persona.voice, language: persona.language }, text);
+  }
+
+  // Prompt for the next speech or DTMF input
+  addGather(twiml, persona) {
     const gather = twiml.gather({
+      input: 'speech dtmf',
+      language: persona.language,
       numDigits: 1,
       action: '/voice/handle-input',
       method: 'POST',
@@ -149,33 +361,966 @@ class VoiceAgent {
       speechTimeout: 'auto'
     });
 
-    gather.say('Please say something or press a key.', { voice: 'Polly.Amy' });
+    this.say(gather, persona, persona.prompt);
     twiml.redirect('/voice/end-call');
+  }
 
-    return twiml;
+  handleIncoming(callSid, from, to, options = {}) {
+    return this.createSession(callSid, { from, to, ...options });
   }
 
-  handleIncoming(callSid, from, to) {
-    this.callSessions.set(callSid, {
+  // Register a call session. `status` is the call's initial status (null when not known yet);
+  // `persona` defaults to the persona for our side of the call.
+  createSession(callSid, {
+    from,
+    to,
+    direction = 'inbound',
+    status = 'in-progress',
+    persona: personaName,
+    context = null,
+    greeting = null,
+    campaign = null,
+    amd = null
+  }) {
+    const ourNumber = direction === 'outbound' ? from : to;
+    const persona = personaName ? this.personas.get(personaName) : this.personas.forNumber(ourNumber);
+    const systemPrompt = [persona.systemPrompt || config.agent.systemPrompt, describeContext(context)]
+      .filter(Boolean)
+      .join('\n\n');
+
+    const session = {
+      callSid,
       from,
       to,
+      direction,
       startTime: new Date(),
-      active: true
+      endTime: null,
+      active: true,
+      status: null,
+      statusHistory: [],
+      duration: null,
+      answeredBy: null,
+      persona,
+      context,
+      // { id, contactId } for calls placed by a campaign
+      campaign,
+      // Outbound calls speak first, as soon as the media stream starts
+      pendingGreeting: direction === 'outbound' ? greeting || persona.greeting : null,
+      conversation: new Conversation({
+        systemPrompt,
+        maxTokens: config.agent.historyTokens
+      }),
+      transcript: [],
+      // Tools the LLM called: { name, arguments, result, timestamp }
+      toolCalls: [],
+      // Supervisor whispers: { target: 'agent' | 'caller', text, timestamp }
+      whispers: [],
+      // DTMF menu state: { menu, attempt, active, digits, selections }
+      ivr: null,
+      // "connect" or "fork" once /voice/media-stream has attached a stream, and the stream's
+      // { mode, streamSid, tracks, parameters, startTime } from its start event
+      streamMode: null,
+      mediaStream: null,
+      // Answering-machine detection for outbound calls
+      amd: amd && amd.mode !== 'off' ? {
+        mode: amd.mode,
+        // 'pending' until Twilio reports; then 'human', 'machine', 'fax' or 'unknown'
+        result: 'pending',
+        answeredBy: null,
+        detectionMs: null,
+        // Rendered now so it can be spoken the moment the beep is detected
+        message: renderMachineMessage(amd.message || persona.machineMessage, context),
+        messageLeft: false,
+        decidedAt: null
+      } : null
+    };
+
+    if (status) {
+      applyStatusUpdate(session, { status, timestamp: session.startTime });
+    }
+    this.callSessions.set(callSid, session);
+    this.publish('call_started', callSid, { call: callSummary(session) });
+    return session;
+  }
+
+  publish(type, callSid, details = {}) {
+    this.events.emit('event', { type, callSid, timestamp: new Date(), ...details });
+  }
+
+  // Calls that go straight to the media stream never hit /voice/incoming
+  getSession(callSid) {
+    if (!this.callSessions.has(callSid)) {
+      this.handleIncoming(callSid, null, null);
+    }
+    return this.callSessions.get(callSid);
+  }
+
+  // Record what the caller said in the conversation and transcript. `timing` ({ startMs, endMs }
+  // on the media stream clock) aligns the entry with the call recording.
+  recordUtterance(callSid, text, timing = {}) {
+    const session = this.getSession(callSid);
+    session.conversation.addUser(text);
+    session.transcript.push({ speaker: 'caller', text, timestamp: new Date(), ...timing });
+    this.callSessions.save(callSid);
+    this.publish('utterance', callSid, { text, ...timing });
+  }
+
+  // Stream the LLM's reply to the conversation so far, running any tools the persona allows.
+  // Actions requested by tools (hang up, transfer, DTMF) are pushed onto `actions`.
+  replyStream(callSid, { signal, actions }) {
+    const { conversation, persona } = this.getSession(callSid);
+    return this.aiManager.generateStream(conversation.toMessages(), {
+      signal,
+      temperature: persona.llm.temperature,
+      maxTokens: persona.llm.maxTokens,
+      tools: this.tools.definitions(persona),
+      runTool: (call) => this.runTool(callSid, call, { signal, actions })
+    });
+  }
+
+  async runTool(callSid, call, { signal, actions }) {
+    const session = this.getSession(callSid);
+    const result = await this.tools.execute(call, {
+      callSid,
+      session,
+      persona: session.persona,
+      actions,
+      signal
+    });
+
+    console.log(`Tool ${call.name}(${call.arguments}) for ${callSid}: ${result}`);
+    session.toolCalls.push({ name: call.name, arguments: call.arguments, result, timestamp: new Date() });
+    this.callSessions.save(callSid);
+    this.publish('tool_call', callSid, { name: call.name, arguments: call.arguments, result });
+    return result;
+  }
+
+  async generateReply(callSid, { signal, actions = [] } = {}) {
+    const { conversation, persona } = this.getSession(callSid);
+
+    if (await conversation.compact((messages) => this.aiManager.generate(messages, { signal }))) {
+      this.callSessions.save(callSid);
+    }
+    if (signal?.aborted) return null;
+
+    if (this.tools.forPersona(persona).length > 0) {
+      let text = '';
+      for await (const delta of this.replyStream(callSid, { signal, actions })) {
+        text += delta;
+      }
+      return text.trim() || null;
+    }
+
+    return this.aiManager.generate(conversation.toMessages(), {
+      signal,
+      temperature: persona.llm.temperature,
+      maxTokens: persona.llm.maxTokens
+    });
+  }
+
+  // Answer a caller utterance; hang-up phrases get the persona's goodbye instead.
+  // `actions` lists what the LLM's tool calls asked for ({ type: 'hangup' | 'transfer' | 'dtmf' }).
+  async respond(callSid, userText, { signal } = {}) {
+    const { persona } = this.getSession(callSid);
+    this.recordUtterance(callSid, userText);
+
+    if (isHangupPhrase(persona, userText)) {
+      return { text: persona.fallbacks.goodbye, hangup: true, actions: [] };
+    }
+    const transfer = isTransferPhrase(persona, userText) && this.defaultTransfer(persona, 'phrase');
+    if (transfer) {
+      return { text: persona.transfer.holdMessage, hangup: false, actions: [transfer] };
+    }
+
+    const actions = [];
+    const text = await this.generateReply(callSid, { signal, actions });
+    return { text, hangup: actions.some((action) => action.type === 'hangup'), actions };
+  }
+
+  // Streaming variant of respond(): the reply arrives as speakable sentence chunks.
+  // `actions` is filled in by tool calls while the chunks are consumed.
+  async respondStream(callSid, userText, { signal, timing } = {}) {
+    const { conversation, persona } = this.getSession(callSid);
+    this.recordUtterance(callSid, userText, timing);
+
+    if (isHangupPhrase(persona, userText)) {
+      return { chunks: [persona.fallbacks.goodbye], hangup: true, actions: [] };
+    }
+    const transfer = isTransferPhrase(persona, userText) && this.defaultTransfer(persona, 'phrase');
+    if (transfer) {
+      return { chunks: [persona.transfer.holdMessage], hangup: false, actions: [transfer] };
+    }
+
+    if (await conversation.compact((messages) => this.aiManager.generate(messages, { signal }))) {
+      this.callSessions.save(callSid);
+    }
+
+    const actions = [];
+    const deltas = this.replyStream(callSid, { signal, actions });
+    return { chunks: chunkSentences(deltas), hangup: false, actions };
+  }
+
+  getTwilioClient() {
+    if (!this.twilioClient && config.twilio.accountSid && config.twilio.authToken) {
+      this.twilioClient = twilio(config.twilio.accountSid, config.twilio.authToken);
+    }
+    return this.twilioClient;
+  }
+
+  // Place an outbound call from our number and run it through the media-stream flow
+  async placeCall({
+    to,
+    from = config.twilio.phoneNumber,
+    persona,
+    context = null,
+    greeting,
+    machineDetection = config.amd.mode,
+    machineMessage,
+    campaign = null
+  }) {
+    const client = this.getTwilioClient();
+    if (!client) {
+      throw httpError(503, 'Twilio credentials not configured');
+    }
+    if (!from) {
+      throw httpError(503, 'TWILIO_PHONE_NUMBER not configured');
+    }
+    if (!config.webhooks.baseUrl) {
+      throw httpError(503, 'DEPLOYMENT_URL must be set so Twilio can reach the call webhooks');
+    }
+    if (this.draining) {
+      throw httpError(503, 'Server is shutting down');
+    }
+    if (persona && !this.personas.has(persona)) {
+      throw httpError(400, `Unknown persona "${persona}"`);
+    }
+    if (this.doNotCall.has(to)) {
+      throw httpError(403, `${to} is on the do-not-call list`);
+    }
+    if (!AMD_MODES.includes(machineDetection)) {
+      throw httpError(400, `machineDetection must be one of: ${AMD_MODES.join(', ')}`);
+    }
+
+    const baseUrl = config.webhooks.baseUrl.replace(/\/+$/, '');
+    let call;
+    try {
+      call = await client.calls.create({
+        to,
+        from,
+        url: `${baseUrl}/voice/media-stream`,
+        method: 'POST',
+        statusCallback: `${baseUrl}/voice/status-callback`,
+        statusCallbackMethod: 'POST',
+        statusCallbackEvent: ['initiated', 'ringing', 'answered', 'completed'],
+        ...amdCallOptions(machineDetection, {
+          callbackUrl: `${baseUrl}/voice/amd-status`,
+          timeoutSec: config.amd.timeoutSec
+        })
+      });
+    } catch (error) {
+      throw httpError(502, `Twilio rejected the call: ${error.message}`);
+    }
+
+    console.log(`Outbound call placed - CallSid: ${call.sid}, To: ${to}`);
+
+    // Status callbacks can arrive before calls.create returns; they leave a placeholder session,
+    // whose statuses are replayed onto the real one
+    const early = this.callSessions.get(call.sid);
+    const session = this.createSession(call.sid, {
+      from,
+      to,
+      direction: 'outbound',
+      status: call.status || 'queued',
+      persona,
+      context,
+      greeting,
+      campaign,
+      amd: { mode: machineDetection, message: machineMessage }
     });
+    if (early && early.status) {
+      // The call started when the first callback came in, before its initial status was known
+      session.startTime = early.startTime;
+      for (const entry of session.statusHistory) entry.timestamp = early.startTime;
+      for (const { status, timestamp } of early.statusHistory) {
+        this.updateCallStatus(call.sid, { status, timestamp });
+      }
+      this.updateCallStatus(call.sid, {
+        status: early.status,
+        duration: early.duration ?? undefined,
+        answeredBy: early.answeredBy
+      });
+    }
+    return session;
+  }
+
+  // Speak any pending greeting (or the persona's first menu) once the media stream is up
+  greet(callSid, stream) {
+    const menu = this.startIvr(callSid);
+    if (menu) {
+      this.runStreamIvrStep(callSid, stream, menu);
+      return;
+    }
+
+    const session = this.getSession(callSid);
+    if (session.amd && session.amd.result === 'pending') {
+      // Async AMD: stay quiet (and ignore the greeting of a machine) until Twilio reports
+      stream.acceptSpeech = false;
+      return;
+    }
+    if (!session.pendingGreeting) return;
+
+    const greeting = session.pendingGreeting;
+    session.pendingGreeting = null;
+    this.callSessions.save(callSid);
+    stream.speak(greeting);
+  }
+
+  // Record Twilio's answering-machine detection result; returns 'human', 'machine', 'fax' or 'unknown'
+  applyAmdResult(callSid, { answeredBy, detectionMs }) {
+    const session = this.getSession(callSid);
+    const result = classifyAnsweredBy(answeredBy);
+    session.amd = {
+      ...session.amd,
+      result,
+      answeredBy: answeredBy || null,
+      detectionMs: Number.isFinite(detectionMs) ? detectionMs : null,
+      decidedAt: new Date()
+    };
+    session.answeredBy = answeredBy || session.answeredBy;
+    this.callSessions.save(callSid);
+
+    console.log(`AMD for ${callSid}: ${answeredBy} (${result})`);
+    return result;
+  }
+
+  // Speak the rendered machine message after the beep (if there is one) and hang up
+  addMachineMessage(twiml, callSid) {
+    const { amd, persona } = this.getSession(callSid);
+    if (amd.result === 'machine' && amd.message) {
+      this.say(twiml, persona, amd.message);
+      amd.messageLeft = true;
+      this.recordReply(callSid, amd.message);
+    }
+    twiml.hangup();
+  }
+
+  // Async AMD result for a call that is already on its media stream
+  async handleAsyncAmd(callSid, amdResult) {
+    const result = this.applyAmdResult(callSid, amdResult);
+    if (result === 'human' || result === 'unknown') {
+      const stream = this.getMediaStream(callSid);
+      if (stream && stream.bidirectional) {
+        stream.acceptSpeech = true;
+        this.greet(callSid, stream);
+      }
+      return;
+    }
+
+    const client = this.getTwilioClient();
+    if (!client) {
+      console.warn(`Twilio credentials not configured, cannot leave a message on ${callSid}`);
+      return;
+    }
+    const twiml = new VoiceResponse();
+    this.addMachineMessage(twiml, callSid);
+    try {
+      await client.calls(callSid).update({ twiml: twiml.toString() });
+    } catch (error) {
+      console.error(`Failed to leave a message on ${callSid}:`, error.message);
+      return;
+    }
+    this.closeMediaStream(callSid);
+  }
+
+  // End a live call from the server side (used when the caller says goodbye on a media stream)
+  async hangup(callSid) {
+    const client = this.getTwilioClient();
+    if (client) {
+      try {
+        await client.calls(callSid).update({ status: 'completed' });
+      } catch (error) {
+        console.error(`Failed to hang up ${callSid}:`, error.message);
+      }
+    } else {
+      console.warn('Twilio credentials not configured, closing media stream only');
+    }
+    this.endCall(callSid);
+    this.closeMediaStream(callSid);
+  }
+
+  // Public URL for a webhook path; TwiML sent through the REST API has no base URL to resolve against
+  absoluteUrl(pathname) {
+    return config.webhooks.baseUrl ? `${config.webhooks.baseUrl.replace(/\/+$/, '')}${pathname}` : pathname;
+  }
+
+  // Our own number on a call, used as caller ID for legs we place
+  ourNumber(session) {
+    return config.twilio.phoneNumber || (session.direction === 'outbound' ? session.from : session.to);
+  }
+
+  // Transfer action for the persona's default target, or null if it has none
+  defaultTransfer(persona, trigger) {
+    try {
+      return resolveTransfer(persona, { trigger });
+    } catch {
+      return null;
+    }
+  }
+
+  // Append a transfer to the caller's TwiML and record it on the session.
+  // Cold: <Dial> the target. Warm: hold the caller in a conference; the target is only
+  // called (startWarmTransfer) once the caller's TwiML has been handed to Twilio.
+  addTransfer(twiml, callSid, action) {
+    const session = this.getSession(callSid);
+    const transfer = {
+      mode: action.mode,
+      target: action.target,
+      to: action.to,
+      reason: action.reason,
+      trigger: action.trigger,
+      status: 'dialing',
+      startTime: new Date(),
+      endTime: null,
+      conference: null,
+      agentCallSid: null,
+      summary: null
+    };
+    session.transfer = transfer;
+    console.log(`Transferring ${callSid} to ${action.target || action.to} (${action.mode}, ${action.trigger || 'manual'})`);
+
+    const dial = twiml.dial({ action: this.absoluteUrl('/voice/transfer-complete'), method: 'POST' });
+    if (action.mode === 'warm') {
+      transfer.conference = conferenceName(callSid);
+      dial.conference({
+        startConferenceOnEnter: false,
+        endConferenceOnExit: true,
+        beep: false
+      }, transfer.conference);
+    } else {
+      dialTarget(dial, action.to);
+    }
+
+    this.callSessions.save(callSid);
+    return transfer;
+  }
+
+  // Transfer a live call by replacing its TwiML through the REST API
+  async transferCall(callSid, action) {
+    const client = this.getTwilioClient();
+    if (!client) {
+      console.warn(`Twilio credentials not configured, cannot transfer ${callSid}`);
+      return false;
+    }
+
+    const twiml = new VoiceResponse();
+    const transfer = this.addTransfer(twiml, callSid, action);
+    try {
+      await client.calls(callSid).update({ twiml: twiml.toString() });
+    } catch (error) {
+      // The caller never reached the conference, so nobody is dialed and the call carries on
+      console.error(`Failed to transfer ${callSid}:`, error.message);
+      this.updateTransfer(callSid, { status: 'failed', endTime: new Date(), conference: null });
+      return false;
+    }
+
+    this.closeMediaStream(callSid);
+    if (transfer.mode === 'warm') {
+      this.startWarmTransfer(callSid);
+    }
+    return true;
+  }
+
+  // A transfer added to a webhook response: Twilio now has the caller's TwiML, so a warm
+  // transfer can call the target
+  startPendingTransfer(callSid) {
+    const { transfer } = this.getSession(callSid);
+    if (transfer && transfer.mode === 'warm' && transfer.status === 'dialing' && !transfer.agentCallSid) {
+      this.startWarmTransfer(callSid);
+    }
+  }
+
+  updateTransfer(callSid, changes) {
+    const session = this.getSession(callSid);
+    if (!session.transfer) return null;
+    Object.assign(session.transfer, changes);
+    this.callSessions.save(callSid);
+    return session.transfer;
+  }
+
+  // Warm transfer: brief the target with a summary, then join them to the caller's conference
+  async startWarmTransfer(callSid) {
+    const session = this.getSession(callSid);
+    const { transfer, persona } = session;
+    const client = this.getTwilioClient();
+    if (!client) {
+      console.warn(`Twilio credentials not configured, cannot place warm transfer for ${callSid}`);
+      return this.failTransfer(callSid, 'failed');
+    }
+
+    const summary = (await this.aiManager.generate(summaryMessages(session), { temperature: 0.3, maxTokens: 150 })) ||
+      fallbackSummary(session);
+    this.updateTransfer(callSid, { summary });
+
+    const twiml = new VoiceResponse();
+    this.say(twiml, persona, `Incoming transfer from the voice assistant. ${summary}`);
+    twiml.dial().conference({
+      startConferenceOnEnter: true,
+      endConferenceOnExit: true,
+      beep: false
+    }, transfer.conference);
+
+    try {
+      const call = await client.calls.create({
+        to: transfer.to,
+        from: this.ourNumber(session),
+        twiml: twiml.toString(),
+        ...(config.webhooks.baseUrl ? {
+          statusCallback: this.absoluteUrl(`/voice/transfer-status?callSid=${encodeURIComponent(callSid)}`),
+          statusCallbackMethod: 'POST',
+          statusCallbackEvent: ['answered', 'completed']
+        } : {})
+      });
+      this.updateTransfer(callSid, { agentCallSid: call.sid });
+    } catch (error) {
+      console.error(`Failed to call transfer target for ${callSid}:`, error.message);
+      await this.failTransfer(callSid, 'failed');
+    }
+  }
+
+  // Nobody took the warm transfer: take the caller off hold and back to the agent
+  async failTransfer(callSid, status) {
+    this.updateTransfer(callSid, { status, endTime: new Date() });
+
+    const client = this.getTwilioClient();
+    if (!client) return;
+
+    const { persona } = this.getSession(callSid);
+    const twiml = new VoiceResponse();
+    this.say(twiml, persona, persona.transfer.unavailableMessage);
+    twiml.redirect({ method: 'POST' }, this.absoluteUrl('/voice/transfer-resume'));
+    try {
+      await client.calls(callSid).update({ twiml: twiml.toString() });
+    } catch (error) {
+      console.error(`Failed to resume ${callSid} after transfer:`, error.message);
+    }
+  }
+
+  // Start the persona's DTMF menu on an inbound call; returns the first step, or null
+  // when there is no menu or the caller has already been through it
+  startIvr(callSid) {
+    const session = this.getSession(callSid);
+    if (!session.persona.ivr || session.direction !== 'inbound' || session.ivr) return null;
+
+    session.ivr = { menu: session.persona.ivr.start, attempt: 0, active: true, digits: '', selections: [] };
+    this.callSessions.save(callSid);
+    return { type: 'menu', menu: session.ivr.menu, attempt: 0 };
+  }
+
+  // Feed the keys pressed in a menu (null for a timeout) to the IVR and return the next step
+  advanceIvr(callSid, { menu, attempt }, digits) {
+    const session = this.getSession(callSid);
+    const step = nextStep(session.persona.ivr, { menu, attempt }, digits);
+    const ivr = session.ivr || { selections: [] };
+
+    ivr.selections.push({ menu, digits: digits || null, step: step.type, timestamp: new Date() });
+    Object.assign(ivr, {
+      menu: step.menu,
+      attempt: step.type === 'menu' ? step.attempt : 0,
+      // Any other step leaves the menu for good
+      active: step.type === 'menu' || step.type === 'say',
+      digits: ''
+    });
+    session.ivr = ivr;
+    this.callSessions.save(callSid);
+    return step;
+  }
+
+  // Append an IVR step to the caller's TwiML (<Gather> flow)
+  addIvrStep(twiml, callSid, step) {
+    const session = this.getSession(callSid);
+    const { persona } = session;
+    const say = (target, text) => this.say(target, persona, text);
+
+    if (step.message && step.type !== 'menu') {
+      say(twiml, step.message);
+    }
+
+    switch (step.type) {
+      case 'menu':
+        renderMenu(twiml, persona.ivr, step, say);
+        break;
+      case 'say':
+        if (step.url) {
+          twiml.play(step.url);
+        } else {
+          say(twiml, step.text);
+        }
+        renderMenu(twiml, persona.ivr, { menu: step.menu }, say);
+        break;
+      case 'agent':
+        if (step.stream) {
+          // Continue on a media stream, which greets the caller once it starts
+          session.pendingGreeting = persona.greeting;
+          this.callSessions.save(callSid);
+          twiml.redirect({ method: 'POST' }, '/voice/media-stream');
+        } else {
+          say(twiml, persona.greeting);
+          this.addGather(twiml, persona);
+        }
+        break;
+      case 'transfer':
+        say(twiml, persona.transfer.holdMessage);
+        this.addTransfer(twiml, callSid, this.ivrTransfer(persona, step));
+        break;
+      case 'voicemail':
+        this.addVoicemail(twiml, callSid, 'ivr');
+        break;
+      case 'hangup':
+        say(twiml, step.text || persona.fallbacks.goodbye);
+        twiml.hangup();
+        this.endCall(callSid);
+        break;
+    }
+  }
+
+  ivrTransfer(persona, step) {
+    return resolveTransfer(persona, { target: step.target, mode: step.mode, reason: step.reason, trigger: 'ivr' });
+  }
+
+  // Run an IVR step on a media stream: prompts are synthesized and keys arrive as dtmf events
+  runStreamIvrStep(callSid, stream, step) {
+    const { persona } = this.getSession(callSid);
+    const speech = (...parts) => [step.message, ...parts].filter(Boolean).join(' ');
+
+    switch (step.type) {
+      case 'menu':
+        stream.acceptSpeech = false;
+        stream.speak(speech(persona.ivr.menus[step.menu].prompt));
+        break;
+      case 'say':
+        if (!step.text) {
+          console.warn(`IVR audio prompt ${step.url} cannot be played on a media stream, skipping it`);
+        }
+        stream.speak(speech(step.text, persona.ivr.menus[step.menu].prompt));
+        break;
+      case 'agent':
+        stream.acceptSpeech = true;
+        stream.speak(speech(persona.greeting));
+        break;
+      case 'transfer':
+        stream.speak(speech(persona.transfer.holdMessage), { afterPlayback: this.ivrTransfer(persona, step) });
+        break;
+      case 'voicemail':
+        if (step.message) {
+          stream.speak(step.message, { afterPlayback: { type: 'voicemail' } });
+        } else {
+          this.sendToVoicemail(callSid);
+        }
+        break;
+      case 'hangup':
+        stream.speak(speech(step.text || persona.fallbacks.goodbye), { afterPlayback: { type: 'hangup' } });
+        break;
+    }
+  }
+
+  // A key pressed in a menu on a media stream. Keys are collected until they form a
+  // complete option (or the menu's numDigits); a partial key waits for the timeout.
+  handleIvrDigit(callSid, stream, digit) {
+    const { ivr, persona } = this.getSession(callSid);
+    const menu = persona.ivr.menus[ivr.menu];
+    const digits = ivr.digits + digit;
+
+    clearTimeout(stream.ivrTimer);
+    stream.interrupt();
+
+    const partial = Object.keys(menu.options).some((key) => key.length > digits.length && key.startsWith(digits));
+    if (partial && digits.length < menu.numDigits) {
+      ivr.digits = digits;
+      this.callSessions.save(callSid);
+      this.startIvrTimer(callSid, stream);
+      return;
+    }
+    this.runStreamIvrStep(callSid, stream, this.advanceIvr(callSid, ivr, digits));
+  }
+
+  // Treat the menu as timed out if no key follows its prompt in time
+  startIvrTimer(callSid, stream) {
+    const { ivr, persona } = this.getSession(callSid);
+    if (!ivr || !ivr.active) return;
+
+    clearTimeout(stream.ivrTimer);
+    stream.ivrTimer = setTimeout(() => {
+      const current = this.getSession(callSid).ivr;
+      if (stream.closed || !current.active) return;
+      this.runStreamIvrStep(callSid, stream, this.advanceIvr(callSid, current, current.digits || null));
+    }, persona.ivr.menus[ivr.menu].timeout * 1000);
+  }
+
+  // Why an inbound call should go straight to voicemail: 'closed' outside the persona's business
+  // hours, 'busy' when the agent already has MAX_CONCURRENT_CALLS calls; null to answer it
+  voicemailReason(callSid) {
+    const { persona } = this.getSession(callSid);
+    if (!isOpen(persona.businessHours)) return 'closed';
+
+    if (config.agent.maxCalls > 0 && this.activeCalls().length > config.agent.maxCalls) {
+      return 'busy';
+    }
+    return null;
+  }
+
+  // Ask the caller to leave a message and record it. `reason` is 'closed', 'busy' or 'ivr'.
+  addVoicemail(twiml, callSid, reason) {
+    const session = this.getSession(callSid);
+    const { persona } = session;
+    session.voicemail = { reason, id: null };
+    this.callSessions.save(callSid);
+
+    const message = { closed: persona.voicemail.closedMessage, busy: persona.voicemail.busyMessage }[reason];
+    if (message) {
+      this.say(twiml, persona, message);
+    }
+    this.say(twiml, persona, persona.voicemail.greeting);
+    twiml.record({
+      action: this.absoluteUrl('/voice/voicemail-complete'),
+      method: 'POST',
+      maxLength: persona.voicemail.maxLength,
+      finishOnKey: '#',
+      playBeep: true,
+      // Called once the audio can be downloaded
+      recordingStatusCallback: this.absoluteUrl('/voice/voicemail-recording'),
+      recordingStatusCallbackMethod: 'POST',
+      recordingStatusCallbackEvent: 'completed'
+    });
+    // Reached only when nothing was recorded
+    this.say(twiml, persona, persona.fallbacks.goodbye);
+    twiml.hangup();
+  }
+
+  // Store a voicemail's details. Called by both the <Record> action and the recording
+  // callback, in whichever order Twilio sends them.
+  recordVoicemail(callSid, { recordingSid, recordingUrl, durationSec }) {
+    const session = this.getSession(callSid);
+    const existing = this.voicemails.get(recordingSid);
+    const voicemail = this.voicemails.save(recordingSid, {
+      callSid,
+      from: session.from,
+      to: session.to,
+      persona: session.persona.name,
+      reason: session.voicemail ? session.voicemail.reason : null,
+      recordingUrl: recordingUrl || (existing && existing.recordingUrl) || null,
+      durationSec: Number.isFinite(durationSec) ? durationSec : (existing ? existing.durationSec : null),
+      // 'processing' until the audio is downloaded and transcribed, then 'ready' or 'failed'
+      status: existing ? existing.status : 'processing',
+      transcript: existing ? existing.transcript : null,
+      createdAt: existing ? existing.createdAt : new Date()
+    });
+
+    session.voicemail = { ...session.voicemail, id: voicemail.id };
+    this.callSessions.save(callSid);
+    return voicemail;
+  }
+
+  // Download a finished voicemail from Twilio, keep the audio and transcribe it
+  async processVoicemail(callSid, recording) {
+    const { recordingSid } = recording;
+    this.recordVoicemail(callSid, recording);
+    try {
+      const wav = await this.downloadRecording(recording.recordingUrl);
+      await this.voicemails.saveAudio(recordingSid, wav);
+      const transcript = await this.transcribeRecording(wav);
+      this.voicemails.save(recordingSid, { status: 'ready', transcript });
+      console.log(`Voicemail ${recordingSid} from ${callSid} stored${transcript ? `: ${transcript}` : ''}`);
+    } catch (error) {
+      console.error(`Failed to process voicemail ${recordingSid}:`, error.message);
+      this.voicemails.save(recordingSid, { status: 'failed', error: error.message });
+    }
+  }
+
+  // Twilio recording media needs the account credentials
+  async downloadRecording(recordingUrl) {
+    if (!config.twilio.accountSid || !config.twilio.authToken) {
+      throw new Error('Twilio credentials not configured');
+    }
+
+    const credentials = Buffer.from(`${config.twilio.accountSid}:${config.twilio.authToken}`).toString('base64');
+    const response = await fetch(`${recordingUrl}.wav`, {
+      headers: { Authorization: `Basic ${credentials}` }
+    });
+    if (!response.ok) {
+      throw new Error(`Recording download failed with status ${response.status}`);
+    }
+    return Buffer.from(await response.arrayBuffer());
+  }
+
+  // Transcribe a (mono) recording at the STT sample rate
+  async transcribeRecording(wav) {
+    const { pcm, sampleRate } = codec.readWav(wav);
+    const resampled = codec.resample(pcm, sampleRate, config.inkWhisper.sampleRate);
+    return this.aiManager.transcribe(codec.writeWav(resampled, config.inkWhisper.sampleRate));
+  }
+
+  // Move a media stream call to voicemail by replacing its TwiML through the REST API
+  async sendToVoicemail(callSid) {
+    const client = this.getTwilioClient();
+    if (!client) {
+      console.warn(`Twilio credentials not configured, cannot send ${callSid} to voicemail`);
+      return false;
+    }
+
+    const twiml = new VoiceResponse();
+    this.addVoicemail(twiml, callSid, 'ivr');
+    try {
+      await client.calls(callSid).update({ twiml: twiml.toString() });
+    } catch (error) {
+      console.error(`Failed to send ${callSid} to voicemail:`, error.message);
+      return false;
+    }
+
+    this.closeMediaStream(callSid);
+    return true;
+  }
+
+  // Continue the conversation with the agent, on whichever flow the call was using
+  resumeConversation(twiml, callSid) {
+    const session = this.getSession(callSid);
+    if (session.usesMediaStream) {
+      twiml.redirect({ method: 'POST' }, '/voice/media-stream');
+    } else {
+      this.addGather(twiml, session.persona);
+    }
+  }
+
+  // Record what the agent actually said (possibly cut short by barge-in)
+  recordReply(callSid, text, { interrupted = false, ...timing } = {}) {
+    if (!text) return;
+    const session = this.getSession(callSid);
+    session.conversation.addAssistant(text);
+    session.transcript.push({ speaker: 'agent', text, timestamp: new Date(), interrupted, ...timing });
+    this.callSessions.save(callSid);
+    this.publish('reply', callSid, { text, interrupted, ...timing });
   }
 
   endCall(callSid) {
-    if (this.callSessions.has(callSid)) {
-      this.callSessions.get(callSid).active = false;
+    if (!this.callSessions.has(callSid)) return;
+    this.updateCallStatus(callSid, { status: 'completed' });
+  }
+
+  // Apply a Twilio call status to the session; terminal statuses close the media stream
+  updateCallStatus(callSid, update) {
+    const session = this.getSession(callSid);
+    const { changed, terminal } = applyStatusUpdate(session, update);
+
+    // A call that ended before its AMD result was acted on still records it
+    if (terminal && session.amd && session.amd.result === 'pending' && session.answeredBy) {
+      this.applyAmdResult(callSid, { answeredBy: session.answeredBy });
     }
+    if (changed) {
+      this.callSessions.save(callSid);
+      this.campaigns.handleCallStatus(callSid, session.status, session.answeredBy);
+      this.publish('call_status', callSid, { status: session.status, answeredBy: session.answeredBy });
+    }
+    if (terminal) {
+      this.closeMediaStream(callSid);
+      this.publish('call_ended', callSid, { status: session.status, duration: session.duration });
+    }
+    return session;
+  }
+
+  // "connect" or "fork": the mode the call's stream was started in, else its persona's or the default
+  streamMode(callSid) {
+    const session = this.getSession(callSid);
+    return session.streamMode || session.persona.streamMode || config.mediaStream.mode;
+  }
+
+  // <Parameter>s sent with the stream, returned in its start event
+  streamParameters(callSid) {
+    const session = this.getSession(callSid);
+    return {
+      persona: session.persona.name,
+      from: session.from,
+      to: session.to,
+      direction: session.direction,
+      campaignId: session.campaign && session.campaign.id
+    };
   }
 
   registerMediaStream(callSid, websocket) {
-    this.mediaStreams.set(callSid, {
-      websocket,
-      startTime: new Date(),
-      audioBuffer: []
+    const mode = this.streamMode(callSid);
+    const stream = new MediaSession(callSid, websocket, this, {
+      vad: config.vad,
+      sttSampleRate: config.inkWhisper.sampleRate,
+      bidirectional: mode === 'connect'
     });
+    stream.on('reply', ({ heardText, interrupted, startMs, endMs }) => {
+      this.recordReply(callSid, heardText, { interrupted, startMs, endMs });
+      // A menu prompt has finished: wait for a key
+      if (!interrupted) {
+        this.startIvrTimer(callSid, stream);
+      }
+    });
+    stream.on('hangup', () => this.hangup(callSid));
+    stream.on('transfer', (action) => this.transferCall(callSid, action));
+    stream.on('voicemail', () => this.sendToVoicemail(callSid));
+    stream.on('dtmf', (digit) => this.handleStreamDigit(callSid, stream, digit));
+    // A forked stream only listens; the <Gather> flow carries the conversation
+    if (mode === 'connect') {
+      this.getSession(callSid).usesMediaStream = true;
+    }
+    stream.on('start', (details) => this.startMediaStream(callSid, stream, { mode, ...details }));
+    if (this.recordings) {
+      const recorder = new CallRecorder(callSid);
+      stream.on('caller_audio', (frame) => recorder.addCallerAudio(frame));
+      stream.on('agent_audio', (audio) => recorder.addAgentAudio(audio));
+      stream.on('clear', () => recorder.clearAgentAudio());
+      stream.recorder = recorder;
+    }
+    // Supervisors listening in (see listenIn)
+    const listener = new CallListener(callSid);
+    stream.on('caller_audio', (frame) => listener.addCallerAudio(frame));
+    stream.on('agent_audio', (audio) => listener.addAgentAudio(audio));
+    stream.on('clear', () => listener.clearAgentAudio());
+    stream.listener = listener;
+    this.mediaStreams.set(callSid, stream);
+    return stream;
+  }
+
+  // Twilio's start event: note the stream on the session, then greet on a bidirectional stream
+  startMediaStream(callSid, stream, { mode, streamSid, tracks, customParameters = {}, mediaFormat = null }) {
+    const session = this.getSession(callSid);
+    session.streamMode = session.streamMode || mode;
+    session.mediaStream = { mode, streamSid, tracks, mediaFormat, parameters: customParameters, startTime: new Date() };
+
+    // A session first seen on the socket (e.g. after a restart) takes its details from the parameters
+    if (!session.from && !session.to) {
+      session.from = customParameters.from || null;
+      session.to = customParameters.to || null;
+      session.direction = customParameters.direction || session.direction;
+      if (customParameters.persona && this.personas.has(customParameters.persona)) {
+        session.persona = this.personas.get(customParameters.persona);
+        session.conversation.systemPrompt = session.persona.systemPrompt || config.agent.systemPrompt;
+      }
+    }
+    this.callSessions.save(callSid);
+
+    if (mode === 'connect') {
+      this.greet(callSid, stream);
+    }
+  }
+
+  // Keys drive the persona's menu while it is running; afterwards the persona's
+  // transfer key asks for a person on a media stream too
+  handleStreamDigit(callSid, stream, digit) {
+    const { persona, ivr } = this.getSession(callSid);
+    if (ivr && ivr.active) {
+      this.handleIvrDigit(callSid, stream, digit);
+      return;
+    }
+
+    const transfer = digit === persona.transfer.digit && this.defaultTransfer(persona, 'dtmf');
+    if (!transfer) return;
+
+    stream.interrupt();
+    stream.speak(persona.transfer.holdMessage, { afterPlayback: transfer });
   }
 
   getMediaStream(callSid) {
@@ -184,123 +1329,821 @@ class VoiceAgent {
 
   closeMediaStream(callSid) {
     const stream = this.mediaStreams.get(callSid);
-    if (stream && stream.websocket) {
-      stream.websocket.close();
+    if (stream) {
+      const session = this.callSessions.get(callSid);
+      // Keep the protocol counters (messages, gaps, out-of-order) with the call
+      if (session && session.mediaStream && stream.protocol) {
+        session.mediaStream.stats = stream.protocol.stats;
+        this.callSessions.save(callSid);
+      }
+      clearTimeout(stream.ivrTimer);
+      stream.listener.close();
+      stream.close();
+      if (stream.recorder) {
+        this.track(this.saveRecording(callSid, stream.recorder));
+      }
     }
     this.mediaStreams.delete(callSid);
   }
+
+  // Relay a call's live audio to a supervisor socket; false when the call has no media stream
+  listenIn(callSid, ws) {
+    const stream = this.mediaStreams.get(callSid);
+    if (!stream) return false;
+    stream.listener.add(ws);
+    this.publish('listen_in', callSid, { listeners: stream.listener.clients.size });
+    return true;
+  }
+
+  // Supervisor whisper: guidance only the agent sees ('agent'), or text spoken
+  // to the caller in the agent's voice ('caller')
+  async whisper(callSid, { text, target = 'agent' } = {}) {
+    const session = this.callSessions.get(callSid);
+    if (!session || !session.active) {
+      throw httpError(404, 'Active call not found');
+    }
+    if (typeof text !== 'string' || !text.trim()) {
+      throw httpError(400, '"text" is required');
+    }
+    if (!WHISPER_TARGETS.includes(target)) {
+      throw httpError(400, `"target" must be one of: ${WHISPER_TARGETS.join(', ')}`);
+    }
+    text = text.trim();
+
+    if (target === 'agent') {
+      session.conversation.addGuidance(text);
+    } else if (this.mediaStreams.has(callSid) && this.mediaStreams.get(callSid).bidirectional) {
+      // Recorded as an agent reply once it has played
+      this.mediaStreams.get(callSid).speak(text);
+    } else {
+      const client = this.getTwilioClient();
+      if (!client) {
+        throw httpError(503, 'Twilio credentials not configured');
+      }
+      const twiml = new VoiceResponse();
+      this.say(twiml, session.persona, text);
+      this.resumeConversation(twiml, callSid);
+      try {
+        await client.calls(callSid).update({ twiml: twiml.toString() });
+      } catch (error) {
+        throw httpError(502, `Twilio rejected the update: ${error.message}`);
+      }
+      this.recordReply(callSid, text);
+    }
+
+    console.log(`Whisper (${target}) - CallSid: ${callSid}: ${text}`);
+    const whisper = { target, text, timestamp: new Date() };
+    session.whispers.push(whisper);
+    this.callSessions.save(callSid);
+    this.publish('whisper', callSid, { target, text });
+    return whisper;
+  }
+
+  // Write the call's recording and note it on the session
+  async saveRecording(callSid, recorder) {
+    try {
+      const recording = await this.recordings.save(recorder);
+      if (!recording) return;
+
+      console.log(`Recording saved for ${callSid} (${recording.durationMs}ms)`);
+      const session = this.callSessions.get(callSid);
+      if (session) {
+        session.recording = recording;
+        this.callSessions.save(callSid);
+      }
+    } catch (error) {
+      console.error(`Failed to save recording for ${callSid}:`, error.message);
+    }
+  }
+
+  activeCalls() {
+    return Array.from(this.callSessions.values()).filter((session) => session.active);
+  }
+
+  // Keep a background write until it settles, so a shutdown can wait for it
+  track(promise) {
+    this.pendingWork.add(promise);
+    const done = () => this.pendingWork.delete(promise);
+    promise.then(done, done);
+    return promise;
+  }
+
+  // A shutdown has started: turn new calls away and stop campaign dialing
+  drain() {
+    this.draining = true;
+    this.campaigns.close();
+  }
+
+  // The drain deadline has passed: say the persona's shutdown message and hang up
+  async endForShutdown(callSid) {
+    const session = this.getSession(callSid);
+    const message = session.persona.shutdownMessage;
+    const stream = this.mediaStreams.get(callSid);
+
+    if (stream && stream.bidirectional && stream.streamSid) {
+      clearTimeout(stream.ivrTimer);
+      stream.acceptSpeech = false;
+      stream.interrupt();
+      if (message) {
+        stream.speak(message, { afterPlayback: { type: 'hangup' } });
+      } else {
+        await this.hangup(callSid);
+      }
+      return;
+    }
+
+    const client = this.getTwilioClient();
+    if (client) {
+      const twiml = new VoiceResponse();
+      if (message) {
+        this.say(twiml, session.persona, message);
+      }
+      twiml.hangup();
+      try {
+        await client.calls(callSid).update({ twiml: twiml.toString() });
+        this.recordReply(callSid, message);
+      } catch (error) {
+        console.error(`Failed to end ${callSid} for shutdown:`, error.message);
+      }
+    } else {
+      console.warn(`Twilio credentials not configured, cannot say goodbye on ${callSid}`);
+    }
+    this.endCall(callSid);
+  }
+
+  // Close the remaining media streams and wait for pending writes to reach the stores
+  async close() {
+    for (const callSid of Array.from(this.mediaStreams.keys())) {
+      this.closeMediaStream(callSid);
+    }
+    await Promise.all(this.pendingWork);
+    if (this.recordings) {
+      this.recordings.close();
+    }
+    await this.callSessions.close();
+  }
 }
 
 const voiceAgent = new VoiceAgent();
 
+// SIGTERM / SIGINT drain the server: new calls are turned away, active calls get
+// SHUTDOWN_DRAIN_SECONDS to finish, then the servers close (see lib/shutdown.js)
+const shutdown = new GracefulShutdown({
+  drainMs: config.shutdown.drainMs,
+  drain: () => voiceAgent.drain(),
+  activeCalls: () => voiceAgent.activeCalls().length,
+  endCalls: () => Promise.all(voiceAgent.activeCalls().map((session) => voiceAgent.endForShutdown(session.callSid))),
+  flush: () => voiceAgent.close(),
+  close: async () => {
+    supervisors.close();
+    wss.close();
+    supervisorWss.close();
+    await Promise.all([closeServer(server), closeServer(wssServer)]);
+  }
+});
+
 // HTTP Routes
 
-// Health check endpoint
+// New calls while the server drains: redirect them to SHUTDOWN_REDIRECT_URL, or reject
+// them as busy so the caller hears a busy signal rather than silence
+function turnAway(res) {
+  const twiml = new VoiceResponse();
+  if (config.shutdown.redirectUrl) {
+    twiml.redirect({ method: 'POST' }, config.shutdown.redirectUrl);
+  } else {
+    twiml.reject({ reason: 'busy' });
+  }
+  res.setHeader('Content-Type', 'text/xml');
+  res.status(200).send(twiml.toString());
+}
+
+// Health check endpoint; 503 while the server drains so load balancers stop sending traffic
 app.get('/health', (req, res) => {
-  res.status(200).json({
-    status: 'ok',
-    message: 'Voice Agent is running',
+  const { state, draining, deadline, activeCalls } = shutdown.status();
+  res.status(draining ? 503 : 200).json({
+    status: draining ? 'draining' : 'ok',
+    message: draining ? 'Voice Agent is shutting down' : 'Voice Agent is running',
     timestamp: new Date().toISOString(),
-    websocket: 'enabled'
+    websocket: 'enabled',
+    draining,
+    shutdown: { state, deadline, activeCalls }
   });
 });
 
 // Incoming call handler
-app.post('/voice/incoming', (req, res) => {
+app.post('/voice/incoming', validateTwilioRequest, (req, res) => {
   const { CallSid, From, To } = req.body;
 
   console.log(`Incoming call - CallSid: ${CallSid}, From: ${From}, To: ${To}`);
 
+  if (voiceAgent.draining) {
+    console.log(`Turning away ${CallSid}: shutting down`);
+    return turnAway(res);
+  }
+
   voiceAgent.handleIncoming(CallSid, From, To);
 
-  const twiml = voiceAgent.generateTwiML(CallSid);
+  // Outside business hours or at capacity, take a message; personas with a DTMF menu
+  // play it before the agent answers
+  const voicemailReason = voiceAgent.voicemailReason(CallSid);
+  const menu = !voicemailReason && voiceAgent.startIvr(CallSid);
+  let twiml;
+  if (voicemailReason) {
+    twiml = new VoiceResponse();
+    voiceAgent.addVoicemail(twiml, CallSid, voicemailReason);
+  } else if (menu) {
+    twiml = new VoiceResponse();
+    voiceAgent.addIvrStep(twiml, CallSid, menu);
+  } else {
+    twiml = voiceAgent.generateTwiML(CallSid);
+  }
 
   res.setHeader('Content-Type', 'text/xml');
   res.status(200).send(twiml.toString());
 });
 
 // Media Streams webhook (tells Twilio where to connect WebSocket)
-app.post('/voice/media-stream', (req, res) => {
-  const { CallSid } = req.body;
+app.post('/voice/media-stream', validateTwilioRequest, (req, res) => {
+  const { CallSid, From, To } = req.body;
 
   console.log(`Media stream request - CallSid: ${CallSid}`);
 
   const twiml = new VoiceResponse();
 
+  // Numbers pointed straight at the media stream still need a session and persona,
+  // and go to voicemail like /voice/incoming calls
+  if (!voiceAgent.callSessions.has(CallSid)) {
+    if (voiceAgent.draining) {
+      console.log(`Turning away ${CallSid}: shutting down`);
+      return turnAway(res);
+    }
+    voiceAgent.handleIncoming(CallSid, From, To);
+
+    const voicemailReason = voiceAgent.voicemailReason(CallSid);
+    if (voicemailReason) {
+      voiceAgent.addVoicemail(twiml, CallSid, voicemailReason);
+      res.setHeader('Content-Type', 'text/xml');
+      return res.status(200).send(twiml.toString());
+    }
+  }
+
+  // Synchronous AMD: Twilio has already decided who answered
+  const { amd } = voiceAgent.getSession(CallSid);
+  if (amd && amd.mode === 'sync' && amd.result === 'pending') {
+    const result = voiceAgent.applyAmdResult(CallSid, {
+      answeredBy: req.body.AnsweredBy,
+      detectionMs: parseInt(req.body.MachineDetectionDuration, 10)
+    });
+    if (result === 'machine' || result === 'fax') {
+      voiceAgent.addMachineMessage(twiml, CallSid);
+      res.setHeader('Content-Type', 'text/xml');
+      return res.status(200).send(twiml.toString());
+    }
+  }
+
   // Point to WebSocket server for media streaming
   const wssUrl = `${process.env.DEPLOYMENT_URL.replace('http', 'ws')}/media/${CallSid}`;
-
-  twiml.start().stream({
-    url: wssUrl
-  });
+  const session = voiceAgent.getSession(CallSid);
+  session.streamMode = voiceAgent.streamMode(CallSid);
+  addMediaStream(twiml, session.streamMode, { url: wssUrl, parameters: voiceAgent.streamParameters(CallSid) });
+
+  // A forked stream only listens, so the conversation carries on with <Gather>
+  if (session.streamMode === 'fork') {
+    voiceAgent.say(twiml, session.persona, session.pendingGreeting || session.persona.greeting);
+    session.pendingGreeting = null;
+    voiceAgent.addGather(twiml, session.persona);
+  }
+  voiceAgent.callSessions.save(CallSid);
 
   res.setHeader('Content-Type', 'text/xml');
   res.status(200).send(twiml.toString());
 });
 
 // Handle user input (speech or DTMF)
-app.post('/voice/handle-input', (req, res) => {
+app.post('/voice/handle-input', validateTwilioRequest, async (req, res) => {
   const { CallSid, SpeechResult, Digits } = req.body;
 
   console.log(`Input - CallSid: ${CallSid}, Speech: ${SpeechResult}, Digits: ${Digits}`);
 
   const twiml = new VoiceResponse();
+  const { persona } = voiceAgent.getSession(CallSid);
 
   if (SpeechResult) {
-    twiml.say(`I understood: ${SpeechResult}`, { voice: 'Polly.Amy' });
+    const reply = await voiceAgent.respond(CallSid, SpeechResult);
+    const transfer = reply.actions.find((action) => action.type === 'transfer');
+    // A hang-up or transfer requested through a tool may come without any text
+    const text = reply.text || (reply.hangup ? persona.fallbacks.goodbye : null);
+
+    if (text) {
+      voiceAgent.recordReply(CallSid, text);
+      voiceAgent.say(twiml, persona, text);
+    }
+    for (const action of reply.actions) {
+      if (action.type === 'dtmf') {
+        twiml.play({ digits: action.digits });
+      }
+    }
+
+    if (transfer) {
+      voiceAgent.addTransfer(twiml, CallSid, transfer);
+
+      res.setHeader('Content-Type', 'text/xml');
+      res.status(200).send(twiml.toString());
+      return voiceAgent.startPendingTransfer(CallSid);
+    }
+
+    if (text && !reply.hangup) {
+      // Keep the conversation going with another Gather
+      voiceAgent.addGather(twiml, persona);
+
+      res.setHeader('Content-Type', 'text/xml');
+      return res.status(200).send(twiml.toString());
+    }
+
+    if (!reply.hangup) {
+      voiceAgent.say(twiml, persona, format(persona.fallbacks.noReply, { speech: SpeechResult }));
+    }
   } else if (Digits) {
-    twiml.say(`You pressed: ${Digits}`, { voice: 'Polly.Amy' });
+    const transfer = Digits === persona.transfer.digit && voiceAgent.defaultTransfer(persona, 'dtmf');
+    if (transfer) {
+      voiceAgent.recordReply(CallSid, persona.transfer.holdMessage);
+      voiceAgent.say(twiml, persona, persona.transfer.holdMessage);
+      voiceAgent.addTransfer(twiml, CallSid, transfer);
+
+      res.setHeader('Content-Type', 'text/xml');
+      res.status(200).send(twiml.toString());
+      return voiceAgent.startPendingTransfer(CallSid);
+    }
+    voiceAgent.say(twiml, persona, format(persona.fallbacks.digits, { digits: Digits }));
+  } else {
+    voiceAgent.say(twiml, persona, persona.fallbacks.noInput);
+  }
+
+  twiml.hangup();
+  voiceAgent.endCall(CallSid);
+
+  res.setHeader('Content-Type', 'text/xml');
+  res.status(200).send(twiml.toString());
+});
+
+// Key press (or timeout, without Digits) in a DTMF menu; ?menu= and ?attempt= say which prompt it answers
+app.post('/voice/ivr', validateTwilioRequest, (req, res) => {
+  const { CallSid, Digits } = req.body;
+  const menu = req.query.menu;
+  const attempt = parseInt(req.query.attempt, 10) || 0;
+
+  console.log(`IVR input - CallSid: ${CallSid}, Menu: ${menu}, Digits: ${Digits}`);
+
+  const twiml = new VoiceResponse();
+  const { persona } = voiceAgent.getSession(CallSid);
+  let step = null;
+
+  if (persona.ivr) {
+    step = voiceAgent.advanceIvr(CallSid, { menu, attempt }, Digits || null);
+    voiceAgent.addIvrStep(twiml, CallSid, step);
   } else {
-    twiml.say('No input received. Goodbye!', { voice: 'Polly.Amy' });
+    // The persona's menu was removed mid-call
+    voiceAgent.resumeConversation(twiml, CallSid);
+  }
+
+  res.setHeader('Content-Type', 'text/xml');
+  res.status(200).send(twiml.toString());
+  if (step && step.type === 'transfer') {
+    voiceAgent.startPendingTransfer(CallSid);
+  }
+});
+
+// <Record> action: the caller left a voicemail
+app.post('/voice/voicemail-complete', validateTwilioRequest, (req, res) => {
+  const { CallSid, RecordingSid, RecordingUrl, RecordingDuration } = req.body;
+
+  console.log(`Voicemail - CallSid: ${CallSid}, Recording: ${RecordingSid}, Duration: ${RecordingDuration}s`);
+
+  const session = voiceAgent.getSession(CallSid);
+  if (RecordingSid) {
+    voiceAgent.recordVoicemail(CallSid, {
+      recordingSid: RecordingSid,
+      recordingUrl: RecordingUrl,
+      durationSec: parseInt(RecordingDuration, 10)
+    });
   }
 
+  const twiml = new VoiceResponse();
+  voiceAgent.say(twiml, session.persona, session.persona.fallbacks.goodbye);
   twiml.hangup();
+  voiceAgent.endCall(CallSid);
 
   res.setHeader('Content-Type', 'text/xml');
   res.status(200).send(twiml.toString());
 });
 
+// Voicemail recording status callback: the audio is ready to download
+app.post('/voice/voicemail-recording', validateTwilioRequest, (req, res) => {
+  const { CallSid, RecordingSid, RecordingUrl, RecordingStatus, RecordingDuration } = req.body;
+
+  console.log(`Voicemail recording - CallSid: ${CallSid}, Recording: ${RecordingSid}, Status: ${RecordingStatus}`);
+
+  if (CallSid && RecordingSid && RecordingUrl && RecordingStatus === 'completed') {
+    voiceAgent.track(voiceAgent.processVoicemail(CallSid, {
+      recordingSid: RecordingSid,
+      recordingUrl: RecordingUrl,
+      durationSec: parseInt(RecordingDuration, 10)
+    }));
+  }
+
+  res.status(200).end();
+});
+
 // End call handler
-app.post('/voice/end-call', (req, res) => {
+app.post('/voice/end-call', validateTwilioRequest, (req, res) => {
   const { CallSid } = req.body;
 
   console.log(`Ending call - CallSid: ${CallSid}`);
 
+  const { persona } = voiceAgent.getSession(CallSid);
   voiceAgent.endCall(CallSid);
   voiceAgent.closeMediaStream(CallSid);
 
   const twiml = new VoiceResponse();
-  twiml.say('Thank you for calling. Goodbye!', { voice: 'Polly.Amy' });
+  voiceAgent.say(twiml, persona, persona.fallbacks.goodbye);
   twiml.hangup();
 
   res.setHeader('Content-Type', 'text/xml');
   res.status(200).send(twiml.toString());
 });
 
-// Status callback for call completion
-app.post('/voice/status-callback', (req, res) => {
-  const { CallSid, CallStatus } = req.body;
+// Status callback for call lifecycle events
+app.post('/voice/status-callback', validateTwilioRequest, (req, res) => {
+  const { CallSid, CallStatus, CallDuration, AnsweredBy, Timestamp, From, To } = req.body;
 
   console.log(`Call Status - CallSid: ${CallSid}, Status: ${CallStatus}`);
 
+  if (CallSid && CallStatus) {
+    // Calls we have not seen (e.g. evicted or hung up before answering) still get a session
+    if (!voiceAgent.callSessions.has(CallSid)) {
+      voiceAgent.handleIncoming(CallSid, From, To, { status: null });
+    }
+
+    const timestamp = Timestamp && !isNaN(Date.parse(Timestamp)) ? new Date(Timestamp) : new Date();
+    voiceAgent.updateCallStatus(CallSid, {
+      status: CallStatus,
+      timestamp,
+      duration: /^\d+$/.test(CallDuration || '') ? parseInt(CallDuration, 10) : undefined,
+      answeredBy: AnsweredBy
+    });
+  }
+
   res.status(200).end();
 });
 
-// Get active calls
-app.get('/voice/calls', (req, res) => {
-  const activeCalls = Array.from(voiceAgent.callSessions.entries())
-    .filter(([_, session]) => session.active)
-    .map(([callSid, session]) => ({
-      callSid,
-      ...session
-    }));
+// Asynchronous AMD result for an outbound call
+app.post('/voice/amd-status', validateTwilioRequest, (req, res) => {
+  const { CallSid, AnsweredBy, MachineDetectionDuration } = req.body;
+
+  console.log(`AMD status - CallSid: ${CallSid}, AnsweredBy: ${AnsweredBy}`);
+
+  const session = CallSid && voiceAgent.callSessions.get(CallSid);
+  if (session && session.active && session.amd && session.amd.result === 'pending') {
+    voiceAgent.handleAsyncAmd(CallSid, {
+      answeredBy: AnsweredBy,
+      detectionMs: parseInt(MachineDetectionDuration, 10)
+    });
+  }
+
+  res.status(200).end();
+});
+
+// <Dial> action for transfers: the transferred leg ended or never connected
+app.post('/voice/transfer-complete', validateTwilioRequest, (req, res) => {
+  const { CallSid, DialCallStatus } = req.body;
+
+  console.log(`Transfer complete - CallSid: ${CallSid}, DialCallStatus: ${DialCallStatus}`);
+
+  const twiml = new VoiceResponse();
+  const { persona, transfer } = voiceAgent.getSession(CallSid);
+
+  if (DialCallStatus === 'completed' || DialCallStatus === 'answered') {
+    voiceAgent.updateTransfer(CallSid, { status: 'completed', endTime: new Date() });
+    voiceAgent.endCall(CallSid);
+    twiml.hangup();
+  } else {
+    // Busy, no answer or failed: back to the agent
+    if (transfer) {
+      voiceAgent.updateTransfer(CallSid, { status: DialCallStatus || 'failed', endTime: new Date() });
+    }
+    voiceAgent.say(twiml, persona, persona.transfer.unavailableMessage);
+    voiceAgent.resumeConversation(twiml, CallSid);
+  }
+
+  res.setHeader('Content-Type', 'text/xml');
+  res.status(200).send(twiml.toString());
+});
+
+// Status of the call to the human during a warm transfer (?callSid= is the caller's call)
+app.post('/voice/transfer-status', validateTwilioRequest, (req, res) => {
+  const callSid = req.query.callSid;
+  const { CallSid, CallStatus } = req.body;
+  const session = callSid && voiceAgent.callSessions.get(callSid);
+
+  console.log(`Transfer leg status - CallSid: ${CallSid}, Status: ${CallStatus}, Caller: ${callSid}`);
+
+  if (session && session.transfer && session.transfer.agentCallSid === CallSid) {
+    if (CallStatus === 'in-progress' || CallStatus === 'answered') {
+      voiceAgent.updateTransfer(callSid, { status: 'connected', connectedTime: new Date() });
+    } else if (isTerminal(CallStatus) && session.transfer.status === 'dialing') {
+      voiceAgent.failTransfer(callSid, CallStatus);
+    }
+  }
+
+  res.status(200).end();
+});
+
+// Pick the conversation back up after a failed transfer
+app.post('/voice/transfer-resume', validateTwilioRequest, (req, res) => {
+  const { CallSid } = req.body;
+  const twiml = new VoiceResponse();
+  voiceAgent.resumeConversation(twiml, CallSid);
+
+  res.setHeader('Content-Type', 'text/xml');
+  res.status(200).send(twiml.toString());
+});
+
+// Transfer a live call: { target } names one of the persona's transferTargets, or { to } dials
+// any number or SIP URI; { mode } is "cold" or "warm"
+app.post('/voice/calls/:callSid/transfer', requireApiKey, async (req, res) => {
+  const session = voiceAgent.callSessions.get(req.params.callSid);
+  if (!session || !session.active) {
+    return res.status(404).json({ error: 'Active call not found' });
+  }
+
+  const { target, to, mode, reason } = req.body || {};
+  if (to && !/^(\+[1-9]\d{6,14}|sip:.+)$/.test(to)) {
+    return res.status(400).json({ error: '"to" must be an E.164 phone number or SIP URI' });
+  }
+
+  let action;
+  try {
+    action = resolveTransfer(session.persona, { target, to, mode, reason, trigger: 'api' });
+  } catch (error) {
+    return res.status(400).json({ error: error.message });
+  }
+
+  if (!(await voiceAgent.transferCall(session.callSid, action))) {
+    return res.status(502).json({ error: 'Transfer failed', transfer: session.transfer || null });
+  }
+  res.json({ callSid: session.callSid, transfer: session.transfer });
+});
+
+// Supervisor whisper: { text, target: 'agent' (default) | 'caller' }
+app.post('/voice/calls/:callSid/whisper', requireApiKey, async (req, res) => {
+  const { text, target } = req.body || {};
+  const whisper = await voiceAgent.whisper(req.params.callSid, { text, target });
+  res.json({ callSid: req.params.callSid, whisper });
+});
+
+// Place an outbound call
+app.post('/voice/outbound', requireApiKey, async (req, res) => {
+  const { to, from, persona, context, greeting, machineDetection, machineMessage } = req.body || {};
+
+  if (!to || !/^(\+[1-9]\d{6,14}|sip:.+)$/.test(to)) {
+    return res.status(400).json({ error: '"to" must be an E.164 phone number or SIP URI' });
+  }
+  if (context !== undefined && typeof context !== 'string' &&
+      (typeof context !== 'object' || context === null || Array.isArray(context))) {
+    return res.status(400).json({ error: '"context" must be a string or an object' });
+  }
+
+  const session = await voiceAgent.placeCall({ to, from, persona, context, greeting, machineDetection, machineMessage });
+
+  res.status(201).json({
+    callSid: session.callSid,
+    status: session.status,
+    from: session.from,
+    to: session.to,
+    persona: session.persona.name,
+    machineDetection: session.amd ? session.amd.mode : 'off'
+  });
+});
+
+// Create a dialing campaign from a contact list (JSON array or CSV text)
+app.post('/voice/campaigns', requireApiKey, (req, res) => {
+  const { contacts, csv, start = true, ...options } = req.body || {};
+
+  if (options.persona && !voiceAgent.personas.has(options.persona)) {
+    return res.status(400).json({ error: `Unknown persona "${options.persona}"` });
+  }
+
+  let campaign;
+  try {
+    campaign = voiceAgent.campaigns.create({ ...options, contacts: csv !== undefined ? csv : contacts });
+  } catch (error) {
+    return res.status(400).json({ error: error.message });
+  }
+
+  if (start) {
+    voiceAgent.campaigns.start(campaign.id);
+  }
+  res.status(201).json(campaign.toJSON({ includeContacts: true }));
+});
+
+app.get('/voice/campaigns', requireApiKey, (req, res) => {
+  res.json({
+    campaigns: voiceAgent.campaigns.list().map((campaign) => campaign.toJSON())
+  });
+});
+
+// Campaign progress, including every contact's state
+app.get('/voice/campaigns/:id', requireApiKey, (req, res) => {
+  const campaign = voiceAgent.campaigns.get(req.params.id);
+  if (!campaign) {
+    return res.status(404).json({ error: 'Campaign not found' });
+  }
+  res.json(campaign.toJSON({ includeContacts: true }));
+});
+
+// Start / resume, pause or cancel a campaign
+app.post('/voice/campaigns/:id/:action', requireApiKey, (req, res) => {
+  const { id, action } = req.params;
+  if (!['start', 'pause', 'cancel'].includes(action)) {
+    return res.status(404).json({ error: `Unknown campaign action "${action}"` });
+  }
+
+  const campaign = voiceAgent.campaigns[action](id);
+  if (!campaign) {
+    return res.status(404).json({ error: 'Campaign not found' });
+  }
+  res.json(campaign.toJSON());
+});
+
+// Do-not-call list
+app.get('/voice/dnc', requireApiKey, (req, res) => {
+  res.json({ numbers: voiceAgent.doNotCall.list() });
+});
+
+app.post('/voice/dnc', requireApiKey, (req, res) => {
+  const { numbers } = req.body || {};
+  if (!numbers || (Array.isArray(numbers) && numbers.length === 0)) {
+    return res.status(400).json({ error: '"numbers" must be a phone number or a non-empty array of them' });
+  }
+  res.json(voiceAgent.doNotCall.add(numbers));
+});
+
+app.delete('/voice/dnc/:number', requireApiKey, (req, res) => {
+  if (!voiceAgent.doNotCall.remove(req.params.number)) {
+    return res.status(404).json({ error: 'Number not on the do-not-call list' });
+  }
+  res.status(204).end();
+});
+
+// What the call API shows of a session. Fields are listed one by one so caller context,
+// conversation history, tool calls and supervisor whispers never leak through it.
+function describeCall(session) {
+  const { transfer, recording, mediaStream } = session;
+  return {
+    callSid: session.callSid,
+    from: session.from,
+    to: session.to,
+    direction: session.direction,
+    persona: session.persona.name,
+    status: session.status,
+    active: session.active,
+    // Still in progress when the server restarted (see lib/session-store.js)
+    stale: Boolean(session.stale),
+    startTime: session.startTime,
+    endTime: session.endTime,
+    duration: session.duration,
+    answeredBy: session.answeredBy,
+    statusHistory: session.statusHistory,
+    campaign: session.campaign || null,
+    streamMode: session.streamMode,
+    mediaStream: mediaStream ? {
+      mode: mediaStream.mode,
+      streamSid: mediaStream.streamSid,
+      tracks: mediaStream.tracks,
+      mediaFormat: mediaStream.mediaFormat,
+      startTime: mediaStream.startTime,
+      stats: mediaStream.stats || null
+    } : null,
+    transfer: transfer ? {
+      mode: transfer.mode,
+      target: transfer.target,
+      status: transfer.status,
+      startTime: transfer.startTime,
+      endTime: transfer.endTime
+    } : null,
+    voicemail: session.voicemail || null,
+    recording: recording ? {
+      bytes: recording.bytes,
+      durationMs: recording.durationMs,
+      expiresAt: recording.expiresAt
+    } : null,
+    transcriptEntries: session.transcript.length
+  };
+}
+
+// List voicemails, newest first (?callSid= or ?persona= to filter)
+app.get('/voice/voicemails', requireApiKey, (req, res) => {
+  const voicemails = voiceAgent.voicemails.list({ callSid: req.query.callSid, persona: req.query.persona });
+  res.json({ count: voicemails.length, voicemails });
+});
+
+app.get('/voice/voicemails/:id', requireApiKey, (req, res) => {
+  const voicemail = voiceAgent.voicemails.get(req.params.id);
+  if (!voicemail) {
+    return res.status(404).json({ error: 'Voicemail not found' });
+  }
+  res.json(voicemail);
+});
+
+// Download a voicemail's audio (WAV)
+app.get('/voice/voicemails/:id/audio', requireApiKey, (req, res) => {
+  const file = voiceAgent.voicemails.get(req.params.id) && voiceAgent.voicemails.audioPath(req.params.id);
+  if (!file) {
+    return res.status(404).json({ error: 'Voicemail audio not found' });
+  }
+  res.download(file, `voicemail-${req.params.id}.wav`);
+});
+
+app.delete('/voice/voicemails/:id', requireApiKey, (req, res) => {
+  if (!voiceAgent.voicemails.delete(req.params.id)) {
+    return res.status(404).json({ error: 'Voicemail not found' });
+  }
+  res.status(204).end();
+});
+
+// Get active calls (?all=true includes ended calls still in the session store,
+// ?campaign=<id> limits the list to one campaign's calls)
+app.get('/voice/calls', requireApiKey, (req, res) => {
+  const includeEnded = req.query.all === 'true';
+  const campaignId = req.query.campaign;
+  const sessions = Array.from(voiceAgent.callSessions.values());
+  const calls = sessions
+    .filter((session) => includeEnded || session.active)
+    .filter((session) => !campaignId || (session.campaign && session.campaign.id === campaignId))
+    .sort((a, b) => b.startTime - a.startTime)
+    .map(describeCall);
+
+  res.json({
+    activeCalls: sessions.filter((session) => session.active).length,
+    calls
+  });
+});
+
+// Get a single call, including its transcript
+app.get('/voice/calls/:callSid', requireApiKey, (req, res) => {
+  const session = voiceAgent.callSessions.get(req.params.callSid);
+  if (!session) {
+    return res.status(404).json({ error: 'Call not found' });
+  }
 
   res.json({
-    activeCalls: activeCalls.length,
-    calls: activeCalls
+    ...describeCall(session),
+    transcript: session.transcript
   });
 });
 
+// Export a call's transcript (?format=json|text|vtt|srt, ?download=true for an attachment)
+app.get('/voice/calls/:callSid/transcript', requireApiKey, (req, res) => {
+  const session = voiceAgent.callSessions.get(req.params.callSid);
+  if (!session) {
+    return res.status(404).json({ error: 'Call not found' });
+  }
+
+  const format = req.query.format || 'json';
+  if (typeof format !== 'string' || !Object.hasOwn(TRANSCRIPT_FORMATS, format)) {
+    return res.status(400).json({
+      error: `Unknown transcript format "${format}"`,
+      formats: Object.keys(TRANSCRIPT_FORMATS)
+    });
+  }
+
+  const { contentType, body } = exportTranscript(session, format);
+  if (req.query.download === 'true') {
+    const extension = format === 'text' ? 'txt' : format;
+    res.attachment(`${session.callSid}.${extension}`);
+  }
+  res.type(contentType).send(body);
+});
+
+// Download a call's stereo WAV recording (caller left, agent right)
+app.get('/voice/calls/:callSid/recording', requireApiKey, (req, res) => {
+  const { recordings } = voiceAgent;
+  if (!recordings) {
+    return res.status(404).json({ error: 'Call recording is disabled (set RECORDINGS_ENABLED=true)' });
+  }
+  if (!recordings.has(req.params.callSid)) {
+    return res.status(404).json({ error: 'Recording not found' });
+  }
+
+  res.type('audio/wav');
+  res.download(recordings.filePath(req.params.callSid));
+});
+
+// Live call dashboard (connects to the /supervisor WebSocket with the API key)
+app.get('/dashboard', (req, res) => {
+  res.sendFile(path.join(__dirname, 'public', 'dashboard.html'));
+});
+
 // Root endpoint
 app.get('/', (req, res) => {
   res.json({
@@ -313,13 +2156,32 @@ app.get('/', (req, res) => {
       handleInput: 'POST /voice/handle-input',
       endCall: 'POST /voice/end-call',
       statusCallback: 'POST /voice/status-callback',
-      activeCalls: 'GET /voice/calls'
+      activeCalls: 'GET /voice/calls',
+      callDetails: 'GET /voice/calls/:callSid',
+      callTranscript: 'GET /voice/calls/:callSid/transcript?format=json|text|vtt|srt',
+      callRecording: 'GET /voice/calls/:callSid/recording',
+      transferCall: 'POST /voice/calls/:callSid/transfer',
+      outbound: 'POST /voice/outbound',
+      campaigns: 'GET|POST /voice/campaigns',
+      campaignDetails: 'GET /voice/campaigns/:id',
+      campaignControl: 'POST /voice/campaigns/:id/{start,pause,cancel}',
+      doNotCall: 'GET|POST /voice/dnc, DELETE /voice/dnc/:number',
+      voicemails: 'GET /voice/voicemails, GET|DELETE /voice/voicemails/:id, GET /voice/voicemails/:id/audio',
+      dashboard: 'GET /dashboard',
+      supervisor: 'WS /supervisor?key=<API_KEY>',
+      listenIn: 'WS /supervisor/calls/:callSid?key=<API_KEY>',
+      whisper: 'POST /voice/calls/:callSid/whisper'
     }
   });
 });
 
 // Error handling middleware
 app.use((err, req, res, next) => {
+  // Errors raised with an explicit status (see httpError) are expected and reported as-is
+  if (err.status) {
+    return res.status(err.status).json({ error: err.message });
+  }
+
   console.error('Error:', err);
   res.status(500).json({
     error: 'Internal server error',
@@ -336,27 +2198,60 @@ wss.on('connection', (ws, req) => {
 
   console.log(`WebSocket connected for media stream: ${callSid}`);
 
-  voiceAgent.registerMediaStream(callSid, ws);
+  const stream = voiceAgent.registerMediaStream(callSid, ws);
 
-  ws.on('message', async (message) => {
+  stream.on('reply', ({ heardText, interrupted }) => {
+    if (interrupted) {
+      console.log(`Agent interrupted (${callSid}), caller heard: ${heardText}`);
+    }
+  });
+
+  // Twilio's messages, parsed and checked by the protocol layer
+  const protocol = new MediaStreamProtocol({ callSid });
+  stream.protocol = protocol;
+
+  protocol.on('connected', ({ protocol: name, version }) => {
+    console.log(`Media stream connected: ${callSid} (${name} ${version})`);
+  });
+  protocol.on('start', ({ streamSid, tracks, customParameters, mediaFormat }) => {
+    console.log(`Media stream started: ${callSid} (${streamSid}, tracks: ${tracks.join(', ')})`);
+    if (!protocol.hasExpectedFormat()) {
+      console.warn(`Unexpected media format for ${callSid}: ${JSON.stringify(mediaFormat)}`);
+    }
+    stream.start(streamSid, { tracks, customParameters, mediaFormat });
+  });
+  // Real-time audio data from Twilio, fed into the conversation loop
+  protocol.on('media', ({ payload, track }) => stream.handleMedia(payload, track));
+  // Keypad press (bidirectional streams only)
+  protocol.on('dtmf', ({ digit }) => stream.handleDtmf(digit));
+  // Outbound audio up to this mark has been played to the caller
+  protocol.on('mark', ({ name }) => stream.handleMark(name));
+  protocol.on('stop', () => {
+    console.log(`Media stream stopped: ${callSid}`);
+    voiceAgent.closeMediaStream(callSid);
+  });
+  protocol.on('gap', (gap) => {
+    const what = gap.kind === 'chunk' ? `${gap.track} chunk(s)` : 'message(s)';
+    console.warn(`Media stream gap for ${callSid}: ${gap.missed} ${what} missing before ${gap.received}`);
+    if (gap.kind === 'chunk' && gap.track === 'inbound') {
+      stream.fillGap(gap.missed);
+    }
+  });
+  protocol.on('out_of_order', ({ event, sequenceNumber, chunk, expected }) => {
+    console.warn(`Out-of-order ${event} for ${callSid}: got ${sequenceNumber ?? chunk}, expected ${expected}`);
+  });
+  protocol.on('invalid', (error) => {
+    console.warn(`Invalid media stream message for ${callSid}: ${error.message}`);
+  });
+  protocol.on('listener_error', (error, { event }) => {
+    console.error(`Error handling media stream ${event} for ${callSid}:`, error);
+  });
+
+  ws.on('message', (message) => {
     try {
-      const data = JSON.parse(message);
-
-      if (data.event === 'start') {
-        console.log(`Media stream started: ${callSid}`);
-      } else if (data.event === 'media') {
-        // Real-time audio data from Twilio
-        const audioData = data.media?.payload;
-        const stream = voiceAgent.getMediaStream(callSid);
-        if (stream) {
-          stream.audioBuffer.push(audioData);
-        }
-      } else if (data.event === 'stop') {
-        console.log(`Media stream stopped: ${callSid}`);
-        voiceAgent.closeMediaStream(callSid);
-      }
+      protocol.handle(message);
     } catch (error) {
-      console.error('WebSocket message error:', error);
+      console.error(`Error processing media stream message for ${callSid}:`, error);
     }
   });
 
@@ -368,71 +2263,137 @@ wss.on('connection', (ws, req) => {
     console.log(`WebSocket closed for media stream: ${callSid}`);
     voiceAgent.closeMediaStream(callSid);
   });
+});
 
-  // Send acknowledgment
-  ws.send(JSON.stringify({
-    event: 'connected',
-    callSid
-  }));
+// Supervisor feed: live call events for the dashboard
+const supervisorWss = new WebSocket.Server({ noServer: true });
+const supervisors = new SupervisorHub({
+  snapshot: () => Array.from(voiceAgent.callSessions.values()).filter((session) => session.active)
 });
+voiceAgent.events.on('event', (event) => supervisors.broadcast(event));
+supervisorWss.on('connection', (ws, req) => {
+  const { callSid } = req.params || {};
+  if (!callSid) {
+    console.log('Supervisor connected');
+    supervisors.add(ws);
+    return;
+  }
 
-// HTTP Server
-const server = app.listen(PORT, HOST, () => {
-  console.log(`🚀 Voice Agent HTTP server running on ${HOST}:${PORT}`);
-  console.log(`Environment: ${process.env.NODE_ENV || 'development'}`);
-  console.log(`Twilio Account SID: ${process.env.TWILIO_ACCOUNT_SID ? '✓ Set' : '✗ Not set'}`);
-  console.log(`WebSocket Server: Ready on port ${WSS_PORT}`);
+  // Listen-in socket: the call's audio out, whispers in
+  console.log(`Supervisor listening in - CallSid: ${callSid}`);
+  ws.on('message', async (message) => {
+    let data;
+    try {
+      data = JSON.parse(message);
+    } catch {
+      return supervisors.send(ws, { type: 'error', error: 'Messages must be JSON' });
+    }
+    if (data.type !== 'whisper') {
+      return supervisors.send(ws, { type: 'error', error: `Unknown message type "${data.type}"` });
+    }
+    try {
+      const whisper = await voiceAgent.whisper(callSid, { text: data.text, target: data.target });
+      supervisors.send(ws, { type: 'whispered', ...whisper });
+    } catch (error) {
+      supervisors.send(ws, { type: 'error', error: error.message });
+    }
+  });
+  if (!voiceAgent.listenIn(callSid, ws)) {
+    ws.close(4404, 'No live media stream for this call');
+  }
 });
 
 // Handle WebSocket upgrade requests
-server.on('upgrade', (request, socket, head) => {
+function handleUpgrade(request, socket, head) {
   const pathname = request.url;
-  const match = pathname.match(/^\/media\/([A-Za-z0-9]+)$/);
 
-  if (match) {
-    const callSid = match[1];
+  const supervisorMatch = pathname.split('?')[0].match(/^\/supervisor(?:\/calls\/([A-Za-z0-9]+))?$/);
+  if (supervisorMatch) {
+    if (!config.apiKey || !isValidUpgradeKey(request, config.apiKey)) {
+      console.warn('Rejected supervisor connection without a valid API key');
+      socket.write('HTTP/1.1 401 Unauthorized\r\n\r\n');
+      socket.destroy();
+      return;
+    }
+    const callSid = supervisorMatch[1];
+    if (callSid && !voiceAgent.getMediaStream(callSid)) {
+      socket.write('HTTP/1.1 404 Not Found\r\n\r\n');
+      socket.destroy();
+      return;
+    }
     request.params = { callSid };
-
-    wss.handleUpgrade(request, socket, head, (ws) => {
-      wss.emit('connection', ws, request);
+    supervisorWss.handleUpgrade(request, socket, head, (ws) => {
+      supervisorWss.emit('connection', ws, request);
     });
-  } else {
+    return;
+  }
+
+  const match = pathname.match(/^\/media\/([A-Za-z0-9]+)$/);
+
+  if (!match) {
     socket.destroy();
+    return;
   }
-});
 
-// WSS Server (if SSL certificates are available)
-if (process.env.SSL_CERT && process.env.SSL_KEY) {
-  try {
-    const options = {
-      cert: fs.readFileSync(process.env.SSL_CERT),
-      key: fs.readFileSync(process.env.SSL_KEY)
-    };
+  if (!isValidUpgrade(request, config.webhooks)) {
+    console.warn(`Rejected unsigned media stream upgrade: ${pathname}`);
+    socket.write('HTTP/1.1 403 Forbidden\r\n\r\n');
+    socket.destroy();
+    return;
+  }
 
-    const wssServer = https.createServer(options, app);
-    wssServer.on('upgrade', (request, socket, head) => {
-      const pathname = request.url;
-      const match = pathname.match(/^\/media\/([A-Za-z0-9]+)$/);
+  const callSid = match[1];
+  request.params = { callSid };
 
-      if (match) {
-        const callSid = match[1];
-        request.params = { callSid };
+  wss.handleUpgrade(request, socket, head, (ws) => {
+    wss.emit('connection', ws, request);
+  });
+}
 
-        wss.handleUpgrade(request, socket, head, (ws) => {
-          wss.emit('connection', ws, request);
-        });
-      } else {
-        socket.destroy();
-      }
-    });
+let server = null;
+let wssServer = null;
+
+// Start the HTTP server (and the WSS server when SSL certificates are available) and drain them on
+// SIGTERM; `port` 0 picks a free port
+function start({ port = PORT, host = HOST } = {}) {
+  server = app.listen(port, host, () => {
+    console.log(`🚀 Voice Agent HTTP server running on ${host}:${server.address().port}`);
+    console.log(`Environment: ${process.env.NODE_ENV || 'development'}`);
+    console.log(`Twilio Account SID: ${process.env.TWILIO_ACCOUNT_SID ? '✓ Set' : '✗ Not set'}`);
+    console.log(`WebSocket Server: Ready on port ${WSS_PORT}`);
+  });
+  server.on('upgrade', handleUpgrade);
 
-    wssServer.listen(WSS_PORT, HOST, () => {
-      console.log(`🔒 Secure WebSocket Server running on ${HOST}:${WSS_PORT}`);
-    });
-  } catch (error) {
-    console.warn('SSL certificates not found. WSS not available.');
-    console.warn('To enable WSS, set SSL_CERT and SSL_KEY environment variables');
+  if (process.env.SSL_CERT && process.env.SSL_KEY) {
+    try {
+      const options = {
+        cert: fs.readFileSync(process.env.SSL_CERT),
+        key: fs.readFileSync(process.env.SSL_KEY)
+      };
+
+      wssServer = https.createServer(options, app);
+      wssServer.on('upgrade', handleUpgrade);
+
+      wssServer.listen(WSS_PORT, host, () => {
+        console.log(`🔒 Secure WebSocket Server running on ${host}:${WSS_PORT}`);
+      });
+    } catch (error) {
+      console.warn('SSL certificates not found. WSS not available.');
+      console.warn('To enable WSS, set SSL_CERT and SSL_KEY environment variables');
+    }
   }
+
+  shutdown.listen();
+  return server;
+}
+
+// `npm start` runs the servers; tests require the module and start or drive `app` themselves
+if (require.main === module) {
+  start();
 }
 
-module.exports = app;
+module.exports = {
+  app,
+  voiceAgent,
+  start,
+};
@@ -1,8 +1,11 @@
 require('dotenv').config();
 const express = require('express');
-const { VoiceResponse } = require('twilio').twiml;
+const twilio = require('twilio');
+const { VoiceResponse } = twilio.twiml;
 const cors = require('cors');
 const bodyParser = require('body-parser');
+const { twilioWebhook } = require('./lib/twilio-signature');
+const { GracefulShutdown, closeServer } = require('./lib/shutdown');
 
 const app = express();
 // Railway sets PORT automatically, fall back to 3000 for local dev
@@ -19,6 +22,12 @@ const config = {
     apiSecret: process.env.TWILIO_API_SECRET,
     phoneNumber: process.env.TWILIO_PHONE_NUMBER,
   },
+  // Twilio webhook signature validation (TWILIO_VALIDATE_SIGNATURES=false for local testing)
+  webhooks: {
+    enabled: process.env.TWILIO_VALIDATE_SIGNATURES !== 'false',
+    authToken: process.env.TWILIO_AUTH_TOKEN,
+    baseUrl: process.env.DEPLOYMENT_URL,
+  },
   // Groq Kimi k2-0905 - Ultra-fast reasoning LLM
   groq: {
     apiKey: process.env.GROQ_API_KEY,
@@ -35,6 +44,12 @@ const config = {
     apiKey: process.env.INK_WHISPER_API_KEY,
     model: process.env.INK_WHISPER_MODEL || 'ink-whisper-pro',
   },
+  // Graceful shutdown on SIGTERM (see lib/shutdown.js)
+  shutdown: {
+    drainMs: parseFloat(process.env.SHUTDOWN_DRAIN_SECONDS || '60') * 1000,
+    redirectUrl: process.env.SHUTDOWN_REDIRECT_URL || null,
+    message: 'Sorry, we have to end the call here. Please call us back in a few minutes. Goodbye.',
+  },
 };
 
 // Middleware
@@ -42,6 +57,9 @@ app.use(cors());
 app.use(bodyParser.urlencoded({ extended: false }));
 app.use(bodyParser.json());
 
+// Only accept /voice/* webhooks signed by Twilio
+const validateTwilioRequest = twilioWebhook(config.webhooks);
+
 // AI Model Helpers
 class AIModelManager {
   // Generate response using Groq Kimi k2-0905
@@ -131,6 +149,8 @@ class VoiceAgent {
   constructor() {
     this.callSessions = new Map();
     this.aiManager = new AIModelManager();
+    // Set once a shutdown starts: new calls are turned away
+    this.draining = false;
   }
 
   generateTwiML(callSid, speechResult = null) {
@@ -178,27 +198,76 @@ class VoiceAgent {
       this.callSessions.get(callSid).active = false;
     }
   }
+
+  activeCalls() {
+    return Array.from(this.callSessions.entries())
+      .filter(([_, session]) => session.active)
+      .map(([callSid]) => callSid);
+  }
+
+  // The drain deadline has passed: say goodbye through the REST API and hang up
+  async endForShutdown(callSid) {
+    if (config.twilio.accountSid && config.twilio.authToken) {
+      const twiml = new VoiceResponse();
+      twiml.say(config.shutdown.message, { voice: 'Polly.Amy' });
+      twiml.hangup();
+      try {
+        await twilio(config.twilio.accountSid, config.twilio.authToken)
+          .calls(callSid)
+          .update({ twiml: twiml.toString() });
+      } catch (error) {
+        console.error(`Failed to end ${callSid} for shutdown:`, error.message);
+      }
+    }
+    this.endCall(callSid);
+  }
 }
 
 const voiceAgent = new VoiceAgent();
 
+// SIGTERM / SIGINT drain the server before it exits (see lib/shutdown.js)
+const shutdown = new GracefulShutdown({
+  drainMs: config.shutdown.drainMs,
+  drain: () => {
+    voiceAgent.draining = true;
+  },
+  activeCalls: () => voiceAgent.activeCalls().length,
+  endCalls: () => Promise.all(voiceAgent.activeCalls().map((callSid) => voiceAgent.endForShutdown(callSid))),
+  close: () => closeServer(server)
+});
+
 // Routes
 
-// Health check endpoint
+// Health check endpoint; 503 while the server drains so load balancers stop sending traffic
 app.get('/health', (req, res) => {
-  res.status(200).json({
-    status: 'ok',
-    message: 'Voice Agent is running',
-    timestamp: new Date().toISOString()
+  const { state, draining, deadline, activeCalls } = shutdown.status();
+  res.status(draining ? 503 : 200).json({
+    status: draining ? 'draining' : 'ok',
+    message: draining ? 'Voice Agent is shutting down' : 'Voice Agent is running',
+    timestamp: new Date().toISOString(),
+    draining,
+    shutdown: { state, deadline, activeCalls }
   });
 });
 
 // Incoming call handler
-app.post('/voice/incoming', (req, res) => {
+app.post('/voice/incoming', validateTwilioRequest, (req, res) => {
   const { CallSid, From, To } = req.body;
 
   console.log(`Incoming call - CallSid: ${CallSid}, From: ${From}, To: ${To}`);
 
+  // While shutting down, send new calls to SHUTDOWN_REDIRECT_URL or reject them as busy
+  if (voiceAgent.draining) {
+    const twiml = new VoiceResponse();
+    if (config.shutdown.redirectUrl) {
+      twiml.redirect({ method: 'POST' }, config.shutdown.redirectUrl);
+    } else {
+      twiml.reject({ reason: 'busy' });
+    }
+    res.setHeader('Content-Type', 'text/xml');
+    return res.status(200).send(twiml.toString());
+  }
+
   voiceAgent.handleIncoming(CallSid, From, To);
 
   const twiml = voiceAgent.generateTwiML(CallSid);
@@ -209,7 +278,7 @@ app.post('/voice/incoming', (req, res) => {
 });
 
 // Handle user input (speech or DTMF)
-app.post('/voice/handle-input', (req, res) => {
+app.post('/voice/handle-input', validateTwilioRequest, (req, res) => {
   const { CallSid, SpeechResult, Digits } = req.body;
 
   console.log(`Input - CallSid: ${CallSid}, Speech: ${SpeechResult}, Digits: ${Digits}`);
@@ -225,6 +294,7 @@ app.post('/voice/handle-input', (req, res) => {
   }
 
   twiml.hangup();
+  voiceAgent.endCall(CallSid);
 
   // Set proper content type and return TwiML as per Twilio documentation
   res.setHeader('Content-Type', 'text/xml');
@@ -232,7 +302,7 @@ app.post('/voice/handle-input', (req, res) => {
 });
 
 // End call handler
-app.post('/voice/end-call', (req, res) => {
+app.post('/voice/end-call', validateTwilioRequest, (req, res) => {
   const { CallSid } = req.body;
 
   console.log(`Ending call - CallSid: ${CallSid}`);
@@ -249,11 +319,15 @@ app.post('/voice/end-call', (req, res) => {
 });
 
 // Status callback for call completion
-app.post('/voice/status-callback', (req, res) => {
+app.post('/voice/status-callback', validateTwilioRequest, (req, res) => {
   const { CallSid, CallStatus } = req.body;
 
   console.log(`Call Status - CallSid: ${CallSid}, Status: ${CallStatus}`);
 
+  if (['completed', 'busy', 'failed', 'no-answer', 'canceled'].includes(CallStatus)) {
+    voiceAgent.endCall(CallSid);
+  }
+
   res.status(200).end();
 });
 
@@ -297,11 +371,13 @@ app.use((err, req, res, next) => {
 });
 
 // Start server
-app.listen(PORT, () => {
+const server = app.listen(PORT, () => {
   console.log(`🚀 Voice Agent server running on port ${PORT}`);
   console.log(`Environment: ${process.env.NODE_ENV || 'development'}`);
   console.log(`Twilio Account SID: ${process.env.TWILIO_ACCOUNT_SID ? '✓ Set' : '✗ Not set'}`);
   console.log(`Twilio Auth Token: ${process.env.TWILIO_AUTH_TOKEN ? '✓ Set' : '✗ Not set'}`);
 });
 
+shutdown.listen();
+
 module.exports = app;
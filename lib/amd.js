@@ -0,0 +1,45 @@
+/**
+ * Answering-machine detection (AMD) for outbound calls
+ * Twilio reports who picked up as `AnsweredBy`: in the call's webhook request
+ * for synchronous detection, or in a separate callback for asynchronous
+ * detection (the call connects right away and detection runs alongside it).
+ * Calls use DetectMessageEnd so a machine result arrives after the beep, when
+ * a message can be left.
+ */
+
+const AMD_MODES = ['off', 'sync', 'async'];
+
+// Human-ish results start the agent; anything Twilio could not classify is treated as a person
+const MACHINE_RESULTS = ['machine_start', 'machine_end_beep', 'machine_end_silence', 'machine_end_other'];
+
+// 'human', 'machine', 'fax' or 'unknown' for a Twilio AnsweredBy value
+function classifyAnsweredBy(answeredBy) {
+  if (answeredBy === 'human') return 'human';
+  if (answeredBy === 'fax') return 'fax';
+  if (MACHINE_RESULTS.includes(answeredBy)) return 'machine';
+  return 'unknown';
+}
+
+// Extra calls.create() parameters for a detection mode
+function amdCallOptions(mode, { callbackUrl, timeoutSec = 30 } = {}) {
+  if (mode === 'off') return {};
+  if (!AMD_MODES.includes(mode)) {
+    throw new Error(`machineDetection must be one of: ${AMD_MODES.join(', ')}`);
+  }
+
+  const options = { machineDetection: 'DetectMessageEnd', machineDetectionTimeout: timeoutSec };
+  if (mode === 'async') {
+    Object.assign(options, {
+      asyncAmd: 'true',
+      asyncAmdStatusCallback: callbackUrl,
+      asyncAmdStatusCallbackMethod: 'POST'
+    });
+  }
+  return options;
+}
+
+module.exports = {
+  AMD_MODES,
+  classifyAnsweredBy,
+  amdCallOptions,
+};
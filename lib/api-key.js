@@ -0,0 +1,52 @@
+/**
+ * API key authentication for management endpoints
+ * Requests must send `Authorization: Bearer <API_KEY>` (or an `X-API-Key` header).
+ * When no key is configured the protected endpoints are disabled entirely.
+ * The supervisor WebSocket may also pass it as a `?key=` query parameter.
+ */
+
+const crypto = require('crypto');
+
+function safeEqual(a, b) {
+  const left = Buffer.from(a);
+  const right = Buffer.from(b);
+  return left.length === right.length && crypto.timingSafeEqual(left, right);
+}
+
+// Extract the key a request presents, if any
+function requestKey(req) {
+  const header = req.headers.authorization || '';
+  if (header.startsWith('Bearer ')) return header.slice(7).trim();
+  return req.headers['x-api-key'] || null;
+}
+
+function isValidKey(req, apiKey) {
+  const key = requestKey(req);
+  return Boolean(apiKey && key && safeEqual(key, apiKey));
+}
+
+// Browsers cannot set headers on a WebSocket upgrade, so it may carry the key as ?key=
+function isValidUpgradeKey(request, apiKey) {
+  if (isValidKey(request, apiKey)) return true;
+  const key = new URL(request.url, 'http://localhost').searchParams.get('key');
+  return Boolean(apiKey && key && safeEqual(key, apiKey));
+}
+
+// Express middleware requiring the configured API key
+function apiKeyAuth(apiKey) {
+  return (req, res, next) => {
+    if (!apiKey) {
+      return res.status(503).json({ error: 'API_KEY is not configured on the server' });
+    }
+    if (!isValidKey(req, apiKey)) {
+      return res.status(401).json({ error: 'Invalid or missing API key' });
+    }
+    next();
+  };
+}
+
+module.exports = {
+  apiKeyAuth,
+  isValidKey,
+  isValidUpgradeKey,
+};
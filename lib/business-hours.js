@@ -0,0 +1,118 @@
+/**
+ * Business hours
+ * A schedule is a timezone, a list of weekly opening windows and a list of
+ * holidays (local dates on which the line is closed all day):
+ *
+ *   {
+ *     "timezone": "America/New_York",
+ *     "hours": [
+ *       { "days": ["mon", "tue", "wed", "thu", "fri"], "start": "09:00", "end": "17:30" },
+ *       { "days": ["sat"], "start": "10:00", "end": "14:00" }
+ *     ],
+ *     "holidays": ["2026-12-25", "2027-01-01"]
+ *   }
+ *
+ * The time helpers are shared with campaign calling hours.
+ */
+
+const WEEKDAYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+
+// Minutes past midnight of an HH:MM time; `name` labels the value in errors
+function parseTime(value, name) {
+  const match = /^(\d{1,2}):(\d{2})$/.exec(value || '');
+  if (!match || Number(match[1]) > 24 || Number(match[2]) > 59) {
+    throw new Error(`${name} must be HH:MM`);
+  }
+  return Number(match[1]) * 60 + Number(match[2]);
+}
+
+function checkTimeZone(timeZone) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+  } catch {
+    throw new Error(`Unknown timezone "${timeZone}"`);
+  }
+}
+
+// ['Monday', 'TUE'] → ['mon', 'tue']
+function normalizeDays(days, name) {
+  const normalized = [].concat(days).map((day) => String(day).toLowerCase().slice(0, 3));
+  const unknown = normalized.find((day) => !WEEKDAYS.includes(day));
+  if (unknown) throw new Error(`${name}: unknown day "${unknown}"`);
+  return normalized;
+}
+
+// Local date (YYYY-MM-DD), weekday and minutes past midnight of `date` in `timeZone`
+function localTime(date, timeZone) {
+  const parts = Object.fromEntries(
+    new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      weekday: 'short',
+      hour: '2-digit',
+      minute: '2-digit',
+      hourCycle: 'h23'
+    })
+      .formatToParts(date)
+      .map(({ type, value }) => [type, value])
+  );
+  return {
+    date: `${parts.year}-${parts.month}-${parts.day}`,
+    day: parts.weekday.toLowerCase().slice(0, 3),
+    minutes: Number(parts.hour) * 60 + Number(parts.minute)
+  };
+}
+
+// Whether a local time falls inside a { start, end, days } window (windows may wrap past midnight)
+function isInWindow({ day, minutes }, window) {
+  const start = parseTime(window.start, 'start');
+  const end = parseTime(window.end, 'end');
+  if (window.days && !window.days.includes(day)) return false;
+  return start <= end ? minutes >= start && minutes < end : minutes >= start || minutes < end;
+}
+
+// Check a schedule definition and normalize its days
+function createSchedule(definition, source = 'businessHours') {
+  if (!definition || typeof definition !== 'object' || !Array.isArray(definition.hours)) {
+    throw new Error(`${source}: businessHours needs an "hours" array`);
+  }
+  const timezone = definition.timezone || 'UTC';
+  checkTimeZone(timezone);
+
+  const hours = definition.hours.map((window, index) => {
+    const name = `${source}: businessHours.hours[${index}]`;
+    parseTime(window.start, `${name}.start`);
+    parseTime(window.end, `${name}.end`);
+    return { ...window, days: window.days ? normalizeDays(window.days, `${name}.days`) : null };
+  });
+
+  const holidays = [].concat(definition.holidays || []);
+  const invalid = holidays.find((holiday) => !/^\d{4}-\d{2}-\d{2}$/.test(holiday));
+  if (invalid) {
+    throw new Error(`${source}: businessHours.holidays must be YYYY-MM-DD dates, got "${invalid}"`);
+  }
+
+  return { timezone, hours, holidays };
+}
+
+// Whether the line is open at `date`; no schedule means always open
+function isOpen(schedule, date = new Date()) {
+  if (!schedule) return true;
+
+  const local = localTime(date, schedule.timezone);
+  if (schedule.holidays.includes(local.date)) return false;
+  return schedule.hours.some((window) => isInWindow(local, window));
+}
+
+module.exports = {
+  WEEKDAYS,
+  parseTime,
+  checkTimeZone,
+  normalizeDays,
+  localTime,
+  isInWindow,
+  createSchedule,
+  isOpen,
+};
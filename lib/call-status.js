@@ -0,0 +1,77 @@
+/**
+ * Call status lifecycle
+ * Applies Twilio status callbacks to a call session as a small state machine:
+ *
+ *   queued/initiated → ringing → in-progress → completed | busy | no-answer | failed | canceled
+ *
+ * Callbacks can arrive late, twice or out of order. A status never moves a call
+ * backwards and terminal statuses are final, but every status seen is kept in
+ * the session's statusHistory in timestamp order.
+ */
+
+const RANK = {
+  'queued': 0,
+  'initiated': 0,
+  'ringing': 1,
+  'in-progress': 2,
+  'completed': 3,
+  'busy': 3,
+  'no-answer': 3,
+  'failed': 3,
+  'canceled': 3,
+};
+
+const CALL_STATUSES = Object.keys(RANK);
+
+function isTerminal(status) {
+  return RANK[status] === 3;
+}
+
+function isKnownStatus(status) {
+  return Object.prototype.hasOwnProperty.call(RANK, status);
+}
+
+// Apply one status update to a session in place.
+// Returns { changed, terminal } where `terminal` is true only when this update ended the call.
+function applyStatusUpdate(session, { status, timestamp = new Date(), duration, answeredBy }) {
+  if (!isKnownStatus(status)) {
+    return { changed: false, terminal: false };
+  }
+
+  let changed = false;
+  if (duration !== undefined && duration !== null && session.duration !== duration) {
+    session.duration = duration;
+    changed = true;
+  }
+  if (answeredBy && session.answeredBy !== answeredBy) {
+    session.answeredBy = answeredBy;
+    changed = true;
+  }
+
+  const history = session.statusHistory || (session.statusHistory = []);
+  if (!history.some((entry) => entry.status === status)) {
+    history.push({ status, timestamp });
+    history.sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+    changed = true;
+  }
+
+  const current = session.status;
+  if (current === status || isTerminal(current) || (current && RANK[status] < RANK[current])) {
+    return { changed, terminal: false };
+  }
+
+  session.status = status;
+  if (isTerminal(status)) {
+    session.active = false;
+    session.endTime = timestamp;
+    return { changed: true, terminal: true };
+  }
+  return { changed: true, terminal: false };
+}
+
+module.exports = {
+  CALL_STATUSES,
+  isTerminal,
+  isKnownStatus,
+  applyStatusUpdate,
+};
@@ -0,0 +1,466 @@
+/**
+ * Outbound dialing campaigns
+ * A campaign is a list of contacts (phone number plus per-contact variables)
+ * dialed through a `placeCall` function. A timer paces the dialing: at most
+ * `maxConcurrent` calls at once, at most `callsPerMinute` new calls, and only
+ * inside each contact's calling-hours window. Busy / no-answer outcomes are
+ * retried after a delay, and numbers on the do-not-call list are skipped.
+ * Campaigns are kept in memory and are lost on restart.
+ */
+
+const crypto = require('crypto');
+const { format } = require('./personas');
+const { isTerminal } = require('./call-status');
+const { normalizeNumber } = require('./do-not-call');
+const { AMD_MODES } = require('./amd');
+const { parseTime, checkTimeZone, normalizeDays, localTime, isInWindow } = require('./business-hours');
+
+const TICK_MS = 1000;
+// Columns / keys accepted as the contact's phone number
+const NUMBER_FIELDS = ['to', 'phone', 'number', 'phoneNumber', 'phone_number'];
+
+const DEFAULT_SETTINGS = {
+  maxConcurrent: 1,
+  callsPerMinute: 10,
+  retry: {
+    maxAttempts: 3,
+    delayMinutes: 30,
+    // Call outcomes (Twilio terminal statuses) that are worth another attempt
+    on: ['busy', 'no-answer']
+  },
+  // null dials at any time; otherwise { start: 'HH:MM', end: 'HH:MM', days: ['mon', ...], timezone }
+  callingHours: null
+};
+
+// Contact states that will not change any more
+const FINAL_STATES = new Set(['completed', 'failed', 'skipped']);
+
+// Split CSV text into rows of fields (RFC 4180 quoting)
+function parseCsvRows(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  if (field || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+  return rows.filter((fields) => fields.some((value) => value.trim() !== ''));
+}
+
+// Parse an uploaded contact list: CSV text with a header row, or an array of numbers / objects
+function parseContacts(input) {
+  let records;
+  if (typeof input === 'string') {
+    const [header, ...rows] = parseCsvRows(input);
+    if (!header) return [];
+    const columns = header.map((column) => column.trim());
+    records = rows.map((fields) => Object.fromEntries(columns.map((column, i) => [column, (fields[i] || '').trim()])));
+  } else if (Array.isArray(input)) {
+    records = input.map((entry) => (typeof entry === 'object' && entry !== null ? entry : { to: entry }));
+  } else {
+    throw new Error('contacts must be CSV text or an array');
+  }
+
+  return records.map((record) => {
+    const numberField = NUMBER_FIELDS.find((field) => record[field]);
+    const { timezone, persona, ...rest } = record;
+    const variables = { ...rest };
+    if (numberField) delete variables[numberField];
+
+    return {
+      rawNumber: numberField ? String(record[numberField]) : null,
+      to: numberField ? normalizeNumber(record[numberField]) : null,
+      timezone: timezone || null,
+      persona: persona || null,
+      variables
+    };
+  });
+}
+
+// Whether `date` falls inside a calling-hours window (windows may wrap past midnight)
+function isWithinCallingHours(date, hours, timeZone = hours && hours.timezone) {
+  if (!hours) return true;
+  return isInWindow(localTime(date, timeZone || 'UTC'), hours);
+}
+
+function positiveNumber(value, name) {
+  const number = Number(value);
+  if (!Number.isFinite(number) || number <= 0) {
+    throw new Error(`${name} must be a positive number`);
+  }
+  return number;
+}
+
+// Merge campaign settings over the defaults and check them
+function createSettings(options = {}) {
+  const retry = { ...DEFAULT_SETTINGS.retry, ...options.retry };
+  const settings = {
+    maxConcurrent: Math.floor(positiveNumber(options.maxConcurrent ?? DEFAULT_SETTINGS.maxConcurrent, 'maxConcurrent')),
+    callsPerMinute: positiveNumber(options.callsPerMinute ?? DEFAULT_SETTINGS.callsPerMinute, 'callsPerMinute'),
+    retry: {
+      maxAttempts: Math.floor(positiveNumber(retry.maxAttempts, 'retry.maxAttempts')),
+      delayMinutes: positiveNumber(retry.delayMinutes, 'retry.delayMinutes'),
+      on: [].concat(retry.on)
+    },
+    callingHours: options.callingHours ? { ...options.callingHours } : DEFAULT_SETTINGS.callingHours
+  };
+
+  const hours = settings.callingHours;
+  if (hours) {
+    parseTime(hours.start, 'callingHours.start');
+    parseTime(hours.end, 'callingHours.end');
+    if (hours.days) {
+      hours.days = normalizeDays(hours.days, 'callingHours.days');
+    }
+    if (hours.timezone) checkTimeZone(hours.timezone);
+  }
+  return settings;
+}
+
+class Campaign {
+  constructor({
+    name,
+    persona = null,
+    greeting = null,
+    context = null,
+    machineDetection = null,
+    machineMessage = null,
+    contacts,
+    ...settings
+  }) {
+    if (machineDetection && !AMD_MODES.includes(machineDetection)) {
+      throw new Error(`machineDetection must be one of: ${AMD_MODES.join(', ')}`);
+    }
+
+    this.id = crypto.randomUUID();
+    this.name = name || `Campaign ${new Date().toISOString()}`;
+    this.persona = persona;
+    // Greeting template; {variables} are filled from each contact
+    this.greeting = greeting;
+    // Answering-machine detection mode (null uses AMD_MODE) and the message template left on machines
+    this.machineDetection = machineDetection;
+    this.machineMessage = machineMessage;
+    // Shared context; each contact's variables are added to it
+    this.context = context;
+    this.settings = createSettings(settings);
+    this.status = 'draft';
+    this.createdAt = new Date();
+    this.startedAt = null;
+    this.completedAt = null;
+    this.lastDialAt = 0;
+
+    const seen = new Set();
+    this.contacts = parseContacts(contacts).map((contact, index) => {
+      const entry = {
+        id: index + 1,
+        ...contact,
+        state: 'pending',
+        outcome: null,
+        // Answering-machine detection result of the last answered attempt
+        answeredBy: null,
+        attempts: 0,
+        callSids: [],
+        nextAttemptAt: null,
+        lastAttemptAt: null
+      };
+
+      if (!contact.to) {
+        this.skip(entry, 'invalid-number');
+      } else if (seen.has(contact.to)) {
+        this.skip(entry, 'duplicate');
+      } else if (contact.timezone) {
+        try {
+          checkTimeZone(contact.timezone);
+        } catch {
+          this.skip(entry, 'invalid-timezone');
+        }
+      }
+      seen.add(contact.to);
+      return entry;
+    });
+
+    if (this.contacts.length === 0) {
+      throw new Error('Campaign has no contacts');
+    }
+  }
+
+  skip(contact, outcome) {
+    contact.state = 'skipped';
+    contact.outcome = outcome;
+    contact.nextAttemptAt = null;
+  }
+
+  activeCalls() {
+    return this.contacts.filter((contact) => contact.state === 'dialing' || contact.state === 'calling').length;
+  }
+
+  isFinished() {
+    return this.contacts.every((contact) => FINAL_STATES.has(contact.state));
+  }
+
+  // Next contact that may be dialed now, skipping do-not-call numbers on the way
+  nextContact(now, doNotCall) {
+    for (const contact of this.contacts) {
+      const due = contact.state === 'pending' ||
+        (contact.state === 'retry' && contact.nextAttemptAt <= now.getTime());
+      if (!due) continue;
+
+      if (doNotCall && doNotCall.has(contact.to)) {
+        this.skip(contact, 'do-not-call');
+        continue;
+      }
+      const timeZone = contact.timezone || (this.settings.callingHours && this.settings.callingHours.timezone);
+      if (isWithinCallingHours(now, this.settings.callingHours, timeZone)) {
+        return contact;
+      }
+    }
+    return null;
+  }
+
+  // Options for placeCall for one contact
+  callOptions(contact) {
+    const variables = { ...contact.variables };
+    const shared = typeof this.context === 'string' ? { notes: this.context } : this.context;
+    const context = { ...shared, ...variables };
+
+    return {
+      to: contact.to,
+      persona: contact.persona || this.persona || undefined,
+      context: Object.keys(context).length > 0 ? context : null,
+      greeting: this.greeting ? format(this.greeting, variables) : undefined,
+      machineDetection: this.machineDetection || undefined,
+      machineMessage: this.machineMessage ? format(this.machineMessage, variables) : undefined,
+      campaign: { id: this.id, contactId: contact.id }
+    };
+  }
+
+  // Record the final status of an attempt and decide whether to retry
+  recordOutcome(contact, status, now = new Date()) {
+    const { retry } = this.settings;
+    contact.outcome = status;
+
+    if (status === 'completed') {
+      contact.state = 'completed';
+    } else if (this.status !== 'cancelled' && retry.on.includes(status) && contact.attempts < retry.maxAttempts) {
+      contact.state = 'retry';
+      contact.nextAttemptAt = now.getTime() + retry.delayMinutes * 60 * 1000;
+    } else {
+      contact.state = 'failed';
+    }
+  }
+
+  progress() {
+    const states = {};
+    const outcomes = {};
+    let attempts = 0;
+    for (const contact of this.contacts) {
+      states[contact.state] = (states[contact.state] || 0) + 1;
+      if (contact.outcome) outcomes[contact.outcome] = (outcomes[contact.outcome] || 0) + 1;
+      attempts += contact.attempts;
+    }
+    const finished = this.contacts.filter((contact) => FINAL_STATES.has(contact.state)).length;
+
+    return {
+      total: this.contacts.length,
+      finished,
+      percentComplete: Math.round((finished / this.contacts.length) * 100),
+      activeCalls: this.activeCalls(),
+      attempts,
+      states,
+      outcomes
+    };
+  }
+
+  toJSON({ includeContacts = false } = {}) {
+    return {
+      id: this.id,
+      name: this.name,
+      status: this.status,
+      persona: this.persona,
+      greeting: this.greeting,
+      machineDetection: this.machineDetection,
+      machineMessage: this.machineMessage,
+      settings: this.settings,
+      createdAt: this.createdAt,
+      startedAt: this.startedAt,
+      completedAt: this.completedAt,
+      progress: this.progress(),
+      ...(includeContacts ? { contacts: this.contacts } : {})
+    };
+  }
+}
+
+class CampaignManager {
+  /**
+   * @param {Function} placeCall async ({ to, persona, context, greeting, machineDetection, machineMessage, campaign })
+   *   => session with callSid
+   * @param {DoNotCallList} doNotCall numbers that must never be dialed
+   */
+  constructor({ placeCall, doNotCall = null, tickMs = TICK_MS }) {
+    this.placeCall = placeCall;
+    this.doNotCall = doNotCall;
+    this.campaigns = new Map();
+    // callSid -> { campaign, contact } for calls still in progress
+    this.calls = new Map();
+    this.ticking = false;
+    this.timer = setInterval(() => this.tick(), tickMs);
+    this.timer.unref();
+  }
+
+  create(options) {
+    const campaign = new Campaign(options);
+    this.campaigns.set(campaign.id, campaign);
+    console.log(`Campaign ${campaign.id} created with ${campaign.contacts.length} contact(s)`);
+    return campaign;
+  }
+
+  get(id) {
+    return this.campaigns.get(id);
+  }
+
+  list() {
+    return Array.from(this.campaigns.values());
+  }
+
+  start(id) {
+    const campaign = this.campaigns.get(id);
+    if (!campaign) return null;
+    if (campaign.status === 'draft' || campaign.status === 'paused') {
+      campaign.status = 'running';
+      campaign.startedAt = campaign.startedAt || new Date();
+    }
+    return campaign;
+  }
+
+  // Stop dialing new contacts; calls in progress continue
+  pause(id) {
+    const campaign = this.campaigns.get(id);
+    if (campaign && campaign.status === 'running') {
+      campaign.status = 'paused';
+    }
+    return campaign || null;
+  }
+
+  // Skip every contact not yet dialed; calls in progress continue
+  cancel(id) {
+    const campaign = this.campaigns.get(id);
+    if (!campaign || campaign.status === 'completed') return campaign || null;
+
+    campaign.status = 'cancelled';
+    for (const contact of campaign.contacts) {
+      if (contact.state === 'pending' || contact.state === 'retry') {
+        campaign.skip(contact, 'cancelled');
+      }
+    }
+    campaign.completedAt = new Date();
+    return campaign;
+  }
+
+  // Dial whatever the running campaigns allow right now
+  async tick(now = new Date()) {
+    if (this.ticking) return;
+    this.ticking = true;
+
+    try {
+      for (const campaign of this.campaigns.values()) {
+        if (campaign.status !== 'running') continue;
+        await this.dialNext(campaign, now);
+        if (campaign.isFinished()) {
+          campaign.status = 'completed';
+          campaign.completedAt = new Date();
+          console.log(`Campaign ${campaign.id} completed`);
+        }
+      }
+    } finally {
+      this.ticking = false;
+    }
+  }
+
+  async dialNext(campaign, now) {
+    const interval = 60000 / campaign.settings.callsPerMinute;
+
+    while (campaign.status === 'running' &&
+      campaign.activeCalls() < campaign.settings.maxConcurrent &&
+      now.getTime() - campaign.lastDialAt >= interval) {
+      const contact = campaign.nextContact(now, this.doNotCall);
+      if (!contact) return;
+
+      contact.state = 'dialing';
+      contact.attempts += 1;
+      contact.lastAttemptAt = now;
+      contact.nextAttemptAt = null;
+      campaign.lastDialAt = now.getTime();
+
+      try {
+        const session = await this.placeCall(campaign.callOptions(contact));
+        contact.callSids.push(session.callSid);
+        contact.state = 'calling';
+        this.calls.set(session.callSid, { campaign, contact });
+        // Status callbacks that arrived while placeCall was pending were not matched to the
+        // contact; settle a call that has already finished
+        this.handleCallStatus(session.callSid, session.status, session.answeredBy);
+      } catch (error) {
+        console.error(`Campaign ${campaign.id}: failed to call contact ${contact.id}:`, error.message);
+        // Numbers added to the do-not-call list after upload are rejected by placeCall
+        if (this.doNotCall && this.doNotCall.has(contact.to)) {
+          campaign.skip(contact, 'do-not-call');
+        } else {
+          campaign.recordOutcome(contact, 'failed');
+        }
+      }
+    }
+  }
+
+  // Feed a call status update; terminal statuses settle the contact's attempt.
+  // `answeredBy` is the answering-machine detection result, when there is one.
+  handleCallStatus(callSid, status, answeredBy = null) {
+    const entry = this.calls.get(callSid);
+    if (!entry || !isTerminal(status)) return;
+
+    this.calls.delete(callSid);
+    if (answeredBy) {
+      entry.contact.answeredBy = answeredBy;
+    }
+    entry.campaign.recordOutcome(entry.contact, status);
+  }
+
+  close() {
+    clearInterval(this.timer);
+  }
+}
+
+module.exports = {
+  Campaign,
+  CampaignManager,
+  DEFAULT_SETTINGS,
+  parseContacts,
+  isWithinCallingHours,
+};
@@ -0,0 +1,277 @@
+/**
+ * Audio codec helpers for Twilio Media Streams
+ * Twilio sends and expects 8 kHz mono G.711 μ-law, 20 ms per frame.
+ * Providers want linear PCM at 16/24 kHz, usually in a WAV container.
+ */
+
+const SAMPLE_RATE = 8000;
+const FRAME_MS = 20;
+const FRAME_BYTES = 160; // 20 ms of 8 kHz μ-law
+
+const MULAW_BIAS = 0x84;
+const MULAW_CLIP = 32635;
+
+const WAV_FORMAT_PCM = 1;
+const WAV_FORMAT_MULAW = 7;
+
+// G.711 μ-law → 16-bit linear lookup table
+const MULAW_TO_PCM = new Int16Array(256);
+for (let i = 0; i < 256; i++) {
+  const u = ~i & 0xff;
+  const exponent = (u >> 4) & 0x07;
+  const mantissa = u & 0x0f;
+  const magnitude = (((mantissa << 3) + MULAW_BIAS) << exponent) - MULAW_BIAS;
+  MULAW_TO_PCM[i] = u & 0x80 ? -magnitude : magnitude;
+}
+
+// Decode a μ-law buffer into 16-bit PCM samples
+function mulawToPcm(mulaw) {
+  const pcm = new Int16Array(mulaw.length);
+  for (let i = 0; i < mulaw.length; i++) {
+    pcm[i] = MULAW_TO_PCM[mulaw[i]];
+  }
+  return pcm;
+}
+
+// Encode one 16-bit PCM sample as G.711 μ-law
+function encodeMulawSample(sample) {
+  const sign = sample < 0 ? 0x80 : 0;
+  let magnitude = Math.min(Math.abs(sample), MULAW_CLIP) + MULAW_BIAS;
+
+  let exponent = 7;
+  for (let mask = 0x4000; (magnitude & mask) === 0 && exponent > 0; mask >>= 1) {
+    exponent--;
+  }
+  const mantissa = (magnitude >> (exponent + 3)) & 0x0f;
+  return ~(sign | (exponent << 4) | mantissa) & 0xff;
+}
+
+// Encode 16-bit PCM samples into a μ-law buffer
+function pcmToMulaw(pcm) {
+  const mulaw = Buffer.alloc(pcm.length);
+  for (let i = 0; i < pcm.length; i++) {
+    mulaw[i] = encodeMulawSample(pcm[i]);
+  }
+  return mulaw;
+}
+
+// 16-bit PCM samples as little-endian bytes (WAV data, browser playback)
+function pcmToBytes(pcm) {
+  const bytes = Buffer.alloc(pcm.length * 2);
+  for (let i = 0; i < pcm.length; i++) {
+    bytes.writeInt16LE(pcm[i], i * 2);
+  }
+  return bytes;
+}
+
+// Windowed-sinc low-pass filter taps for the given normalized cutoff (0..0.5)
+function lowPassTaps(cutoff, length = 31) {
+  const taps = new Float64Array(length);
+  const middle = (length - 1) / 2;
+  let sum = 0;
+  for (let i = 0; i < length; i++) {
+    const x = i - middle;
+    const sinc = x === 0 ? 2 * cutoff : Math.sin(2 * Math.PI * cutoff * x) / (Math.PI * x);
+    const window = 0.54 - 0.46 * Math.cos((2 * Math.PI * i) / (length - 1)); // Hamming
+    taps[i] = sinc * window;
+    sum += taps[i];
+  }
+  return taps.map((tap) => tap / sum);
+}
+
+function lowPass(pcm, cutoff) {
+  const taps = lowPassTaps(cutoff);
+  const middle = (taps.length - 1) / 2;
+  const out = new Float64Array(pcm.length);
+  for (let i = 0; i < pcm.length; i++) {
+    let acc = 0;
+    for (let t = 0; t < taps.length; t++) {
+      const j = i + t - middle;
+      if (j >= 0 && j < pcm.length) acc += pcm[j] * taps[t];
+    }
+    out[i] = acc;
+  }
+  return out;
+}
+
+function clamp16(value) {
+  return Math.max(-32768, Math.min(32767, Math.round(value)));
+}
+
+// Resample mono 16-bit PCM, e.g. 8 kHz ↔ 16 kHz ↔ 24 kHz.
+// Downsampling low-passes first to avoid aliasing; samples are then linearly interpolated.
+function resample(pcm, fromRate, toRate) {
+  if (fromRate === toRate) return Int16Array.from(pcm);
+
+  const source = toRate < fromRate ? lowPass(pcm, (0.5 * toRate) / fromRate) : pcm;
+  const length = Math.floor((pcm.length * toRate) / fromRate);
+  const out = new Int16Array(length);
+  const step = fromRate / toRate;
+
+  for (let i = 0; i < length; i++) {
+    const position = i * step;
+    const index = Math.floor(position);
+    const fraction = position - index;
+    const a = source[index];
+    const b = index + 1 < source.length ? source[index + 1] : a;
+    out[i] = clamp16(a + (b - a) * fraction);
+  }
+  return out;
+}
+
+// Root-mean-square energy of a block of PCM samples
+function rms(pcm) {
+  if (pcm.length === 0) return 0;
+  let sum = 0;
+  for (let i = 0; i < pcm.length; i++) {
+    sum += pcm[i] * pcm[i];
+  }
+  return Math.sqrt(sum / pcm.length);
+}
+
+// Fraction of adjacent sample pairs whose sign differs
+function zeroCrossingRate(pcm) {
+  if (pcm.length < 2) return 0;
+  let crossings = 0;
+  for (let i = 1; i < pcm.length; i++) {
+    if ((pcm[i - 1] >= 0) !== (pcm[i] >= 0)) {
+      crossings++;
+    }
+  }
+  return crossings / (pcm.length - 1);
+}
+
+// Wrap 16-bit PCM samples (interleaved if stereo) in a WAV container
+function writeWav(pcm, sampleRate = SAMPLE_RATE, channels = 1) {
+  const dataBytes = pcm.length * 2;
+  const wav = Buffer.alloc(44 + dataBytes);
+
+  wav.write('RIFF', 0);
+  wav.writeUInt32LE(36 + dataBytes, 4);
+  wav.write('WAVE', 8);
+  wav.write('fmt ', 12);
+  wav.writeUInt32LE(16, 16);
+  wav.writeUInt16LE(WAV_FORMAT_PCM, 20);
+  wav.writeUInt16LE(channels, 22);
+  wav.writeUInt32LE(sampleRate, 24);
+  wav.writeUInt32LE(sampleRate * channels * 2, 28);
+  wav.writeUInt16LE(channels * 2, 32);
+  wav.writeUInt16LE(16, 34);
+  wav.write('data', 36);
+  wav.writeUInt32LE(dataBytes, 40);
+  pcmToBytes(pcm).copy(wav, 44);
+  return wav;
+}
+
+// Parse a 16-bit PCM or μ-law WAV file into 16-bit PCM samples
+function readWav(buffer) {
+  if (buffer.length < 12 || buffer.toString('ascii', 0, 4) !== 'RIFF' ||
+      buffer.toString('ascii', 8, 12) !== 'WAVE') {
+    throw new Error('Not a RIFF/WAVE file');
+  }
+
+  let format = null;
+  let offset = 12;
+  while (offset + 8 <= buffer.length) {
+    const id = buffer.toString('ascii', offset, offset + 4);
+    const size = buffer.readUInt32LE(offset + 4);
+    const body = offset + 8;
+
+    if (id === 'fmt ') {
+      format = {
+        audioFormat: buffer.readUInt16LE(body),
+        channels: buffer.readUInt16LE(body + 2),
+        sampleRate: buffer.readUInt32LE(body + 4),
+        bitsPerSample: buffer.readUInt16LE(body + 14)
+      };
+    } else if (id === 'data') {
+      if (!format) throw new Error('WAV data chunk before fmt chunk');
+      const data = buffer.subarray(body, Math.min(body + size, buffer.length));
+      return { ...format, pcm: decodeWavData(data, format) };
+    }
+
+    offset = body + size + (size % 2); // chunks are word aligned
+  }
+  throw new Error('WAV file has no data chunk');
+}
+
+function decodeWavData(data, { audioFormat, bitsPerSample }) {
+  if (audioFormat === WAV_FORMAT_MULAW && bitsPerSample === 8) {
+    return mulawToPcm(data);
+  }
+  if (audioFormat === WAV_FORMAT_PCM && bitsPerSample === 16) {
+    const pcm = new Int16Array(Math.floor(data.length / 2));
+    for (let i = 0; i < pcm.length; i++) {
+      pcm[i] = data.readInt16LE(i * 2);
+    }
+    return pcm;
+  }
+  throw new Error(`Unsupported WAV encoding: format ${audioFormat}, ${bitsPerSample} bits`);
+}
+
+// Split a μ-law buffer into 20 ms frames for outbound media messages
+function frameMulaw(mulaw, frameBytes = FRAME_BYTES) {
+  const frames = [];
+  for (let offset = 0; offset < mulaw.length; offset += frameBytes) {
+    frames.push(mulaw.subarray(offset, offset + frameBytes));
+  }
+  return frames;
+}
+
+// DTMF keypad frequencies: [low, high] Hz
+const DTMF_FREQUENCIES = {
+  1: [697, 1209], 2: [697, 1336], 3: [697, 1477], A: [697, 1633],
+  4: [770, 1209], 5: [770, 1336], 6: [770, 1477], B: [770, 1633],
+  7: [852, 1209], 8: [852, 1336], 9: [852, 1477], C: [852, 1633],
+  '*': [941, 1209], 0: [941, 1336], '#': [941, 1477], D: [941, 1633],
+};
+
+// Render keypad presses as μ-law DTMF tones; "w" is a half-second pause
+function dtmfTones(digits, { toneMs = 120, gapMs = 80, amplitude = 8000 } = {}) {
+  const toneSamples = Math.round((toneMs / 1000) * SAMPLE_RATE);
+  const gapSamples = Math.round((gapMs / 1000) * SAMPLE_RATE);
+  const chunks = [];
+
+  for (const digit of String(digits).toUpperCase()) {
+    if (digit === 'W') {
+      chunks.push(new Int16Array(SAMPLE_RATE / 2));
+      continue;
+    }
+    const frequencies = DTMF_FREQUENCIES[digit];
+    if (!frequencies) {
+      throw new Error(`Invalid DTMF digit "${digit}"`);
+    }
+
+    const tone = new Int16Array(toneSamples + gapSamples);
+    for (let i = 0; i < toneSamples; i++) {
+      const t = i / SAMPLE_RATE;
+      tone[i] = Math.round((amplitude / 2) *
+        (Math.sin(2 * Math.PI * frequencies[0] * t) + Math.sin(2 * Math.PI * frequencies[1] * t)));
+    }
+    chunks.push(tone);
+  }
+
+  const pcm = new Int16Array(chunks.reduce((total, chunk) => total + chunk.length, 0));
+  let offset = 0;
+  for (const chunk of chunks) {
+    pcm.set(chunk, offset);
+    offset += chunk.length;
+  }
+  return pcmToMulaw(pcm);
+}
+
+module.exports = {
+  SAMPLE_RATE,
+  FRAME_MS,
+  FRAME_BYTES,
+  mulawToPcm,
+  pcmToMulaw,
+  pcmToBytes,
+  resample,
+  rms,
+  zeroCrossingRate,
+  writeWav,
+  readWav,
+  frameMulaw,
+  dtmfTones,
+};
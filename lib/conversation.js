@@ -0,0 +1,131 @@
+/**
+ * Conversation memory for a single call
+ * Holds the system prompt and the user/assistant turns sent to the LLM,
+ * keeping the prompt inside a token budget by summarizing or dropping
+ * the oldest turns as the call goes on
+ */
+
+const SUMMARY_PROMPT = 'Summarize the earlier part of this phone conversation in a few sentences. ' +
+  'Keep names, numbers, requests and anything the assistant promised to do.';
+
+// How each turn role is labelled in the text handed to the summarizer
+const SPEAKERS = { user: 'Caller', assistant: 'Agent', system: 'Note' };
+
+// Rough token estimate (~4 characters per token for English text)
+function estimateTokens(text) {
+  return Math.ceil((text || '').length / 4) + 4;
+}
+
+class Conversation {
+  constructor({ systemPrompt = '', maxTokens = 3000, keepTurns = 6 } = {}) {
+    this.systemPrompt = systemPrompt;
+    this.maxTokens = maxTokens;
+    // Most recent turns that are never summarized away
+    this.keepTurns = keepTurns;
+    this.summary = null;
+    this.turns = [];
+  }
+
+  addUser(content) {
+    this.turns.push({ role: 'user', content });
+  }
+
+  addAssistant(content) {
+    this.turns.push({ role: 'assistant', content });
+  }
+
+  // Supervisor guidance: steers the agent's next replies, never spoken to the caller
+  addGuidance(content) {
+    this.turns.push({ role: 'system', content: `Guidance from your supervisor (do not read it out): ${content}` });
+  }
+
+  // Messages to send to the chat completion API, newest turns within budget
+  toMessages() {
+    const messages = [];
+    let budget = this.maxTokens;
+
+    if (this.systemPrompt) {
+      messages.push({ role: 'system', content: this.systemPrompt });
+      budget -= estimateTokens(this.systemPrompt);
+    }
+    if (this.summary) {
+      const content = `Summary of the conversation so far: ${this.summary}`;
+      messages.push({ role: 'system', content });
+      budget -= estimateTokens(content);
+    }
+
+    const recent = [];
+    for (let i = this.turns.length - 1; i >= 0; i--) {
+      const tokens = estimateTokens(this.turns[i].content);
+      // Always keep the latest turn, even if it alone is over budget
+      if (recent.length > 0 && tokens > budget) break;
+      recent.unshift(this.turns[i]);
+      budget -= tokens;
+    }
+
+    return messages.concat(recent);
+  }
+
+  // Estimated size of the full, untruncated history
+  tokenCount() {
+    const parts = [this.systemPrompt, this.summary, ...this.turns.map((turn) => turn.content)];
+    return parts.filter(Boolean).reduce((total, text) => total + estimateTokens(text), 0);
+  }
+
+  // Fold older turns into a summary once the history outgrows the budget.
+  // `summarize` receives chat messages and resolves to text, or null on failure,
+  // in which case the older turns are simply dropped.
+  async compact(summarize) {
+    if (this.tokenCount() <= this.maxTokens || this.turns.length <= this.keepTurns) {
+      return false;
+    }
+
+    const older = this.turns.slice(0, this.turns.length - this.keepTurns);
+    this.turns = this.turns.slice(older.length);
+
+    const transcript = older
+      .map((turn) => `${SPEAKERS[turn.role]}: ${turn.content}`)
+      .join('\n');
+    const previous = this.summary ? `Earlier summary: ${this.summary}\n\n` : '';
+
+    let summary = null;
+    if (summarize) {
+      summary = await summarize([
+        { role: 'system', content: SUMMARY_PROMPT },
+        { role: 'user', content: `${previous}${transcript}` }
+      ]);
+    }
+    this.summary = summary || this.summary;
+    return true;
+  }
+
+  // Full state, for persisting the conversation with its call session
+  serialize() {
+    return {
+      systemPrompt: this.systemPrompt,
+      maxTokens: this.maxTokens,
+      keepTurns: this.keepTurns,
+      summary: this.summary,
+      turns: this.turns
+    };
+  }
+
+  static deserialize(data = {}) {
+    const conversation = new Conversation(data);
+    conversation.summary = data.summary || null;
+    conversation.turns = data.turns || [];
+    return conversation;
+  }
+
+  toJSON() {
+    return {
+      turns: this.turns.length,
+      summarized: Boolean(this.summary),
+      tokens: this.tokenCount()
+    };
+  }
+}
+
+Conversation.estimateTokens = estimateTokens;
+
+module.exports = Conversation;
@@ -0,0 +1,100 @@
+/**
+ * Do-not-call list
+ * Numbers on the list are never dialed by outbound calls or campaigns. The list
+ * is kept in memory and, when a file is configured, saved as a JSON array so it
+ * survives restarts.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+// Reduce a phone number to +digits so formatting differences still match
+function normalizeNumber(number) {
+  if (typeof number !== 'string' && typeof number !== 'number') return null;
+
+  const text = String(number).trim();
+  if (text.startsWith('sip:')) return text.toLowerCase();
+
+  const digits = text.replace(/[\s().-]/g, '');
+  if (/^\+[1-9]\d{6,14}$/.test(digits)) return digits;
+  if (/^00[1-9]\d{6,14}$/.test(digits)) return `+${digits.slice(2)}`;
+  return null;
+}
+
+class DoNotCallList {
+  constructor({ file = null } = {}) {
+    this.file = file;
+    this.numbers = new Set();
+    this.load();
+  }
+
+  load() {
+    if (!this.file || !fs.existsSync(this.file)) return;
+
+    try {
+      const numbers = JSON.parse(fs.readFileSync(this.file, 'utf8'));
+      for (const number of numbers) {
+        const normalized = normalizeNumber(number);
+        if (normalized) this.numbers.add(normalized);
+      }
+      console.log(`Loaded ${this.numbers.size} do-not-call number(s) from ${this.file}`);
+    } catch (error) {
+      console.error(`Failed to load do-not-call list ${this.file}:`, error.message);
+    }
+  }
+
+  save() {
+    if (!this.file) return;
+
+    try {
+      fs.mkdirSync(path.dirname(this.file), { recursive: true });
+      const tmp = `${this.file}.tmp`;
+      fs.writeFileSync(tmp, JSON.stringify(this.list(), null, 2));
+      fs.renameSync(tmp, this.file);
+    } catch (error) {
+      console.error(`Failed to save do-not-call list ${this.file}:`, error.message);
+    }
+  }
+
+  has(number) {
+    const normalized = normalizeNumber(number);
+    return Boolean(normalized && this.numbers.has(normalized));
+  }
+
+  // Add numbers; returns the normalized numbers that were added and those that were invalid
+  add(numbers) {
+    const added = [];
+    const invalid = [];
+    for (const number of [].concat(numbers)) {
+      const normalized = normalizeNumber(number);
+      if (!normalized) {
+        invalid.push(number);
+      } else if (!this.numbers.has(normalized)) {
+        this.numbers.add(normalized);
+        added.push(normalized);
+      }
+    }
+    if (added.length > 0) this.save();
+    return { added, invalid };
+  }
+
+  remove(number) {
+    const normalized = normalizeNumber(number);
+    const removed = Boolean(normalized && this.numbers.delete(normalized));
+    if (removed) this.save();
+    return removed;
+  }
+
+  list() {
+    return Array.from(this.numbers).sort();
+  }
+
+  get size() {
+    return this.numbers.size;
+  }
+}
+
+module.exports = {
+  DoNotCallList,
+  normalizeNumber,
+};
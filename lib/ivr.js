@@ -0,0 +1,173 @@
+/**
+ * DTMF menus (IVR)
+ * A persona may define an `ivr`: named menus, each with a prompt and a map of
+ * keys to actions. The same engine drives <Gather> webhooks and `dtmf` events
+ * on a bidirectional media stream: nextStep() turns the caller's input into
+ * the next step, and the call flow renders it as TwiML or speech.
+ *
+ *   {
+ *     "start": "main",
+ *     "menus": {
+ *       "main": {
+ *         "prompt": "For sales press 1. For our opening hours press 2. To leave a message press 9.",
+ *         "options": {
+ *           "1": { "action": "menu", "menu": "sales" },
+ *           "2": { "action": "say", "text": "We are open nine to five." },
+ *           "0": { "action": "transfer", "target": "desk" },
+ *           "9": { "action": "voicemail" },
+ *           "#": { "action": "agent" }
+ *         }
+ *       }
+ *     }
+ *   }
+ *
+ * Actions: menu (go to a menu), say (speak `text` or play `url`, then return
+ * to `menu` or the current menu), repeat, agent (hand the call to the AI agent),
+ * transfer (persona transfer target), voicemail, hangup.
+ */
+
+const ACTIONS = ['menu', 'say', 'repeat', 'agent', 'transfer', 'voicemail', 'hangup'];
+
+const DEFAULTS = {
+  // Seconds to wait for a key press
+  timeout: 5,
+  // Extra attempts after an invalid or missing key press
+  retries: 2,
+  invalidMessage: 'Sorry, that is not a valid option.',
+  noInputMessage: 'Sorry, I did not hear a selection.',
+  // What happens once the retries are used up
+  onFailure: { action: 'agent' }
+};
+
+function checkAction(action, where, menus) {
+  if (!action || typeof action !== 'object' || !ACTIONS.includes(action.action)) {
+    throw new Error(`${where}: action must be one of ${ACTIONS.join(', ')}`);
+  }
+  if (action.action === 'menu' && !menus[action.menu]) {
+    throw new Error(`${where}: unknown menu "${action.menu}"`);
+  }
+  if (action.action === 'say') {
+    if (!action.text && !action.url) {
+      throw new Error(`${where}: "say" needs "text" or "url"`);
+    }
+    if (action.menu && !menus[action.menu]) {
+      throw new Error(`${where}: unknown menu "${action.menu}"`);
+    }
+  }
+}
+
+// Check an IVR definition and fill in defaults
+function createIvr(definition, source = 'ivr') {
+  if (!definition || typeof definition !== 'object' || !definition.menus || typeof definition.menus !== 'object') {
+    throw new Error(`${source}: ivr needs a "menus" object`);
+  }
+
+  const defaults = {
+    timeout: definition.timeout ?? DEFAULTS.timeout,
+    retries: definition.retries ?? DEFAULTS.retries,
+    invalidMessage: definition.invalidMessage ?? DEFAULTS.invalidMessage,
+    noInputMessage: definition.noInputMessage ?? DEFAULTS.noInputMessage,
+    onFailure: definition.onFailure ?? DEFAULTS.onFailure
+  };
+
+  const menus = {};
+  for (const [name, menu] of Object.entries(definition.menus)) {
+    if (!menu || !menu.prompt || !menu.options || typeof menu.options !== 'object') {
+      throw new Error(`${source}: menu "${name}" needs a "prompt" and "options"`);
+    }
+    for (const key of Object.keys(menu.options)) {
+      if (!/^[0-9*#]{1,8}$/.test(key)) {
+        throw new Error(`${source}: menu "${name}" has invalid key "${key}"`);
+      }
+    }
+    menus[name] = {
+      ...defaults,
+      ...menu,
+      name,
+      // Keys longer than one digit need the caller to type them in full
+      numDigits: menu.numDigits || Math.max(...Object.keys(menu.options).map((key) => key.length))
+    };
+  }
+
+  const start = definition.start || Object.keys(menus)[0];
+  if (!menus[start]) {
+    throw new Error(`${source}: start menu "${start}" does not exist`);
+  }
+  for (const menu of Object.values(menus)) {
+    for (const [key, action] of Object.entries(menu.options)) {
+      checkAction(action, `${source}: menu "${menu.name}" key ${key}`, menus);
+    }
+    checkAction(menu.onFailure, `${source}: menu "${menu.name}" onFailure`, menus);
+  }
+
+  return { start, menus };
+}
+
+// Turn an action into a step for the call flow; `menu` is the menu it was chosen in
+function actionStep(action, menu) {
+  switch (action.action) {
+    case 'menu':
+      return { type: 'menu', menu: action.menu, attempt: 0 };
+    case 'repeat':
+      return { type: 'menu', menu, attempt: 0 };
+    case 'say':
+      return { type: 'say', text: action.text || null, url: action.url || null, menu: action.menu || menu };
+    default:
+      return { ...action, type: action.action, menu };
+  }
+}
+
+/**
+ * The caller's next step from menu state { menu, attempt } and the key(s) pressed
+ * (null when the caller pressed nothing). Steps:
+ *   { type: 'menu', menu, attempt, message }   prompt a menu (message: why it is repeated)
+ *   { type: 'say', text, url, menu }           speak, then prompt `menu` again
+ *   { type: 'agent' | 'transfer' | 'voicemail' | 'hangup', ...action }
+ */
+function nextStep(ivr, { menu: menuName, attempt = 0 }, digits) {
+  const menu = ivr.menus[menuName] || ivr.menus[ivr.start];
+  const option = digits ? menu.options[digits] : null;
+  if (option) {
+    return actionStep(option, menu.name);
+  }
+
+  const message = digits ? menu.invalidMessage : menu.noInputMessage;
+  if (attempt >= menu.retries) {
+    return { ...actionStep(menu.onFailure, menu.name), message };
+  }
+  return { type: 'menu', menu: menu.name, attempt: attempt + 1, message };
+}
+
+// Webhook URL that receives a menu's key presses (and timeouts)
+function menuUrl(menuName, attempt) {
+  return `/voice/ivr?menu=${encodeURIComponent(menuName)}&attempt=${attempt}`;
+}
+
+// Render a menu prompt as <Gather>. `say(target, text)` speaks in the persona's voice.
+function renderMenu(twiml, ivr, { menu: menuName, attempt = 0, message = null }, say) {
+  const menu = ivr.menus[menuName];
+  if (message) {
+    say(twiml, message);
+  }
+
+  const gather = twiml.gather({
+    input: 'dtmf',
+    numDigits: menu.numDigits,
+    timeout: menu.timeout,
+    // "#" may be a menu key, so it must not end the input
+    finishOnKey: '',
+    action: menuUrl(menu.name, attempt),
+    method: 'POST'
+  });
+  say(gather, menu.prompt);
+  // No key pressed: the same webhook without Digits
+  twiml.redirect({ method: 'POST' }, menuUrl(menu.name, attempt));
+}
+
+module.exports = {
+  ACTIONS,
+  DEFAULTS,
+  createIvr,
+  nextStep,
+  renderMenu,
+};
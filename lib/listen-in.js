@@ -0,0 +1,94 @@
+/**
+ * Supervisor listen-in
+ * CallListener relays one media stream's audio to supervisor WebSocket
+ * clients as 8 kHz mono 16-bit little-endian PCM, ready for browser
+ * playback. Inbound frames arrive in real time and pace both tracks: each
+ * caller frame goes out with the slice of agent audio playing at the same
+ * moment, so a reply sent to Twilio in one burst reaches supervisors as the
+ * caller hears it, and a barge-in `clear` drops whatever was never played.
+ *
+ *   { type: 'media', track: 'inbound' | 'outbound', timestampMs, payload: <base64 PCM> }
+ */
+
+const WebSocket = require('ws');
+const codec = require('./codec');
+
+const MULAW_SILENCE = 0xff;
+
+function pcmPayload(mulaw) {
+  return codec.pcmToBytes(codec.mulawToPcm(mulaw)).toString('base64');
+}
+
+class CallListener {
+  constructor(callSid) {
+    this.callSid = callSid;
+    this.clients = new Set();
+    // Bytes of caller audio so far; the clock for both tracks
+    this.callerBytes = 0;
+    // Agent audio sent to Twilio that the caller has not heard yet
+    this.agentAudio = Buffer.alloc(0);
+  }
+
+  add(ws) {
+    ws.on('close', () => this.clients.delete(ws));
+    ws.on('error', (error) => {
+      console.error(`Listen-in WebSocket error for ${this.callSid}:`, error.message);
+    });
+
+    this.clients.add(ws);
+    this.send(ws, {
+      type: 'listening',
+      callSid: this.callSid,
+      format: { encoding: 'pcm_s16le', sampleRate: codec.SAMPLE_RATE, channels: 1 },
+      tracks: ['inbound', 'outbound']
+    });
+  }
+
+  addCallerAudio(frame) {
+    const timestampMs = Math.round((this.callerBytes / codec.SAMPLE_RATE) * 1000);
+    this.callerBytes += frame.length;
+    const agent = this.agentAudio.subarray(0, frame.length);
+    this.agentAudio = this.agentAudio.subarray(agent.length);
+    if (this.clients.size === 0) return;
+
+    const outbound = Buffer.alloc(frame.length, MULAW_SILENCE);
+    agent.copy(outbound);
+    this.broadcast({ type: 'media', track: 'inbound', timestampMs, payload: pcmPayload(frame) });
+    this.broadcast({ type: 'media', track: 'outbound', timestampMs, payload: pcmPayload(outbound) });
+  }
+
+  addAgentAudio(mulaw) {
+    this.agentAudio = Buffer.concat([this.agentAudio, mulaw]);
+  }
+
+  // Twilio discarded the unplayed agent audio (barge-in)
+  clearAgentAudio() {
+    this.agentAudio = Buffer.alloc(0);
+  }
+
+  send(ws, message) {
+    if (ws.readyState === WebSocket.OPEN) {
+      ws.send(typeof message === 'string' ? message : JSON.stringify(message));
+    }
+  }
+
+  broadcast(message) {
+    const data = JSON.stringify(message);
+    for (const ws of this.clients) {
+      this.send(ws, data);
+    }
+  }
+
+  // The media stream ended: tell listeners and hang up on them
+  close() {
+    this.broadcast({ type: 'stream_ended', callSid: this.callSid });
+    for (const ws of this.clients) {
+      ws.close();
+    }
+    this.clients.clear();
+  }
+}
+
+module.exports = {
+  CallListener,
+};
@@ -0,0 +1,330 @@
+/**
+ * Twilio Media Streams protocol
+ * MediaStreamProtocol parses and validates the messages Twilio sends on one
+ * media stream socket and re-emits them as typed events:
+ *
+ *   connected { protocol, version }
+ *   start     { streamSid, callSid, accountSid, tracks, customParameters, mediaFormat }
+ *   media     { track, chunk, timestamp, payload, sequenceNumber }
+ *   mark      { name, sequenceNumber }
+ *   dtmf      { track, digit, sequenceNumber }
+ *   stop      { callSid, accountSid, sequenceNumber }
+ *
+ * It also keeps the stream's state: identifiers and media format from the
+ * start event, the last sequence number, and the last chunk and timestamp per
+ * track. Skipped sequence numbers or chunks are reported as `gap`, repeated
+ * or late ones as `out_of_order` (late media is dropped, since its moment in
+ * the call has passed), and malformed messages as `invalid` with an error
+ * named ProtocolError. An exception thrown by a listener is caught and
+ * re-emitted as `listener_error`, so one failing handler cannot take the
+ * socket (or the process) down. mediaMessage / markMessage / clearMessage build the
+ * messages sent back on a bidirectional stream.
+ */
+
+const EventEmitter = require('events');
+
+const EVENTS = ['connected', 'start', 'media', 'mark', 'dtmf', 'stop'];
+const TRACKS = ['inbound', 'outbound'];
+const DTMF_DIGITS = /^[0-9*#A-D]$/;
+// What the audio pipeline (lib/codec.js) expects
+const EXPECTED_FORMAT = { encoding: 'audio/x-mulaw', sampleRate: 8000, channels: 1 };
+
+// Error for a malformed or unexpected message; `data` is the parsed message, if any
+function protocolError(message, data = null) {
+  return Object.assign(new Error(message), { name: 'ProtocolError', data });
+}
+
+// Twilio sends numbers as strings ("sequenceNumber": "3"); null when missing or malformed
+function toInteger(value) {
+  const number = typeof value === 'string' && /^\d+$/.test(value) ? Number(value) : value;
+  return Number.isInteger(number) && number >= 0 ? number : null;
+}
+
+// Twilio names tracks "inbound" on media messages but "inbound_track" on dtmf messages
+function trackName(value) {
+  return typeof value === 'string' ? value.replace(/_track$/, '') : 'inbound';
+}
+
+function requireObject(data, field) {
+  const value = data[field];
+  if (!value || typeof value !== 'object' || Array.isArray(value)) {
+    throw protocolError(`"${data.event}" message without a "${field}" object`, data);
+  }
+  return value;
+}
+
+function requireString(object, field, data) {
+  if (typeof object[field] !== 'string' || !object[field]) {
+    throw protocolError(`"${data.event}" message without "${field}"`, data);
+  }
+  return object[field];
+}
+
+function requireInteger(object, field, data) {
+  const value = toInteger(object[field]);
+  if (value === null) {
+    throw protocolError(`"${data.event}" message with an invalid "${field}"`, data);
+  }
+  return value;
+}
+
+// Parse one raw socket message into { event, sequenceNumber, streamSid, ...details }
+function parseMessage(raw) {
+  let data;
+  try {
+    data = JSON.parse(raw);
+  } catch {
+    throw protocolError('Message is not valid JSON');
+  }
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    throw protocolError('Message is not a JSON object');
+  }
+  if (!EVENTS.includes(data.event)) {
+    throw protocolError(`Unknown event "${data.event}"`, data);
+  }
+
+  if (data.event === 'connected') {
+    return { event: 'connected', protocol: data.protocol || null, version: data.version || null };
+  }
+
+  const message = {
+    event: data.event,
+    sequenceNumber: requireInteger(data, 'sequenceNumber', data),
+    streamSid: requireString(data, 'streamSid', data)
+  };
+
+  switch (data.event) {
+    case 'start': {
+      const start = requireObject(data, 'start');
+      const format = start.mediaFormat || {};
+      return {
+        ...message,
+        callSid: requireString(start, 'callSid', data),
+        accountSid: start.accountSid || null,
+        tracks: Array.isArray(start.tracks)
+          ? start.tracks.map(trackName).filter((track) => TRACKS.includes(track))
+          : ['inbound'],
+        customParameters: start.customParameters && typeof start.customParameters === 'object'
+          ? start.customParameters
+          : {},
+        mediaFormat: {
+          encoding: format.encoding || EXPECTED_FORMAT.encoding,
+          sampleRate: toInteger(format.sampleRate) || EXPECTED_FORMAT.sampleRate,
+          channels: toInteger(format.channels) || EXPECTED_FORMAT.channels
+        }
+      };
+    }
+    case 'media': {
+      const media = requireObject(data, 'media');
+      const track = trackName(media.track);
+      if (!TRACKS.includes(track)) {
+        throw protocolError(`"media" message with unknown track "${track}"`, data);
+      }
+      return {
+        ...message,
+        track,
+        chunk: requireInteger(media, 'chunk', data),
+        timestamp: requireInteger(media, 'timestamp', data),
+        payload: requireString(media, 'payload', data)
+      };
+    }
+    case 'mark':
+      return { ...message, name: requireString(requireObject(data, 'mark'), 'name', data) };
+    case 'dtmf': {
+      const dtmf = requireObject(data, 'dtmf');
+      const digit = requireString(dtmf, 'digit', data);
+      if (!DTMF_DIGITS.test(digit)) {
+        throw protocolError(`"dtmf" message with invalid digit "${digit}"`, data);
+      }
+      return { ...message, track: trackName(dtmf.track), digit };
+    }
+    case 'stop': {
+      const stop = data.stop || {};
+      return { ...message, callSid: stop.callSid || null, accountSid: stop.accountSid || null };
+    }
+  }
+}
+
+class MediaStreamProtocol extends EventEmitter {
+  // `callSid` is the call the socket was opened for; a start event for another call is rejected
+  constructor({ callSid = null } = {}) {
+    super();
+    this.callSid = callSid;
+    // 'connecting' → 'connected' → 'started' → 'stopped'
+    this.state = 'connecting';
+    this.protocol = null;
+    this.version = null;
+    this.streamSid = null;
+    this.accountSid = null;
+    this.tracks = [];
+    this.customParameters = {};
+    this.mediaFormat = null;
+    this.lastSequenceNumber = null;
+    // Per track: { chunk, timestamp } of the last media message
+    this.lastMedia = {};
+    this.stats = {
+      messages: 0, media: 0, gaps: 0, missedMessages: 0, missedChunks: 0, outOfOrder: 0, invalid: 0, listenerErrors: 0
+    };
+  }
+
+  // Handle one raw socket message; problems, including listener exceptions, are emitted, never thrown
+  handle(raw) {
+    let message;
+    try {
+      message = parseMessage(raw);
+      this.check(message);
+    } catch (error) {
+      if (error.name !== 'ProtocolError') throw error;
+      this.stats.invalid++;
+      // A malformed message on this stream still arrived: its sequence number is not a gap
+      const data = error.data || {};
+      if (this.streamSid && data.streamSid === this.streamSid &&
+          toInteger(data.sequenceNumber) === this.lastSequenceNumber + 1) {
+        this.lastSequenceNumber++;
+      }
+      this.emit('invalid', error);
+      return null;
+    }
+
+    this.stats.messages++;
+    if (message.event !== 'connected' && !this.trackSequence(message)) {
+      return null;
+    }
+    if (message.event === 'media' && !this.trackMedia(message)) {
+      return null;
+    }
+    this.apply(message);
+    try {
+      this.emit(message.event, message);
+    } catch (error) {
+      this.stats.listenerErrors++;
+      this.emit('listener_error', error, message);
+    }
+    return message;
+  }
+
+  // Messages that do not fit the stream's state
+  check(message) {
+    if (message.event === 'connected' || message.event === 'start') {
+      if (this.state !== 'connecting' && this.state !== 'connected') {
+        throw protocolError(`Unexpected "${message.event}" message after the stream started`, message);
+      }
+      if (message.event === 'start' && this.callSid && message.callSid !== this.callSid) {
+        throw protocolError(`Stream started for call ${message.callSid} on the socket of ${this.callSid}`, message);
+      }
+      return;
+    }
+    if (this.state !== 'started') {
+      throw protocolError(`"${message.event}" message while the stream is ${this.state}`, message);
+    }
+    if (message.streamSid !== this.streamSid) {
+      throw protocolError(`"${message.event}" message for unknown stream ${message.streamSid}`, message);
+    }
+  }
+
+  // False for a repeated or late sequence number
+  trackSequence(message) {
+    const { sequenceNumber } = message;
+    const expected = this.lastSequenceNumber === null ? sequenceNumber : this.lastSequenceNumber + 1;
+
+    if (sequenceNumber < expected) {
+      this.stats.outOfOrder++;
+      this.emit('out_of_order', { event: message.event, sequenceNumber, expected });
+      // Late audio is dropped; anything else is still worth acting on
+      return message.event !== 'media';
+    }
+    if (sequenceNumber > expected) {
+      const missed = sequenceNumber - expected;
+      this.stats.gaps++;
+      this.stats.missedMessages += missed;
+      this.emit('gap', { kind: 'sequence', expected, received: sequenceNumber, missed });
+    }
+    this.lastSequenceNumber = sequenceNumber;
+    return true;
+  }
+
+  // Per-track chunk and timestamp bookkeeping; false for a repeated or late chunk
+  trackMedia(message) {
+    const { track, chunk, timestamp } = message;
+    const last = this.lastMedia[track];
+
+    if (last && chunk <= last.chunk) {
+      this.stats.outOfOrder++;
+      this.emit('out_of_order', { event: 'media', track, chunk, expected: last.chunk + 1 });
+      return false;
+    }
+    if (last && chunk > last.chunk + 1) {
+      const missed = chunk - last.chunk - 1;
+      this.stats.gaps++;
+      this.stats.missedChunks += missed;
+      this.emit('gap', { kind: 'chunk', track, expected: last.chunk + 1, received: chunk, missed });
+    }
+
+    this.lastMedia[track] = { chunk, timestamp };
+    this.stats.media++;
+    return true;
+  }
+
+  apply(message) {
+    switch (message.event) {
+      case 'connected':
+        this.state = 'connected';
+        this.protocol = message.protocol;
+        this.version = message.version;
+        break;
+      case 'start':
+        this.state = 'started';
+        this.streamSid = message.streamSid;
+        this.callSid = message.callSid;
+        this.accountSid = message.accountSid;
+        this.tracks = message.tracks;
+        this.customParameters = message.customParameters;
+        this.mediaFormat = message.mediaFormat;
+        break;
+      case 'stop':
+        this.state = 'stopped';
+        break;
+    }
+  }
+
+  // Whether the stream's audio is the 8 kHz mono μ-law the pipeline handles
+  hasExpectedFormat() {
+    const format = this.mediaFormat || EXPECTED_FORMAT;
+    return Object.keys(EXPECTED_FORMAT).every((key) => format[key] === EXPECTED_FORMAT[key]);
+  }
+
+  // Stream state for call details and logs
+  toJSON() {
+    return {
+      state: this.state,
+      streamSid: this.streamSid,
+      tracks: this.tracks,
+      mediaFormat: this.mediaFormat,
+      lastSequenceNumber: this.lastSequenceNumber,
+      lastMedia: this.lastMedia,
+      stats: this.stats
+    };
+  }
+}
+
+// Outbound messages on a bidirectional stream
+function mediaMessage(streamSid, payload) {
+  return { event: 'media', streamSid, media: { payload } };
+}
+
+function markMessage(streamSid, name) {
+  return { event: 'mark', streamSid, mark: { name } };
+}
+
+function clearMessage(streamSid) {
+  return { event: 'clear', streamSid };
+}
+
+module.exports = {
+  EXPECTED_FORMAT,
+  parseMessage,
+  MediaStreamProtocol,
+  mediaMessage,
+  markMessage,
+  clearMessage,
+};
@@ -0,0 +1,352 @@
+/**
+ * Per-call media session
+ * Buffers caller audio from a Twilio Media Stream and runs the
+ * STT → LLM → TTS loop, sending the reply back as outbound media frames.
+ * Outbound audio is followed by mark messages so we know how much of a
+ * reply the caller heard, and caller speech during playback barges in.
+ * Inbound and outbound audio are also emitted (`caller_audio`, `agent_audio`,
+ * `clear`) for recording.
+ *
+ * A forked stream (`bidirectional: false`) cannot carry outbound audio: the
+ * session never takes turns or plays anything, and the copy of the call's
+ * outbound track Twilio sends along is emitted as `agent_audio`.
+ *
+ * Inbound frames arrive in real time and serve as the call clock: utterances
+ * and replies carry startMs / endMs measured from the first inbound frame,
+ * which lines up with the call recording.
+ */
+
+const EventEmitter = require('events');
+const codec = require('./codec');
+const VoiceActivityDetector = require('./vad');
+const { mediaMessage, markMessage, clearMessage } = require('./media-protocol');
+
+// Send a mark after every 500 ms of outbound audio
+const MARK_INTERVAL_FRAMES = 25;
+const MULAW_SILENCE = 0xff;
+
+// Keep roughly the first `fraction` of the words in `text`
+function truncateWords(text, fraction) {
+  const words = text.split(/\s+/).filter(Boolean);
+  const count = Math.floor(words.length * Math.min(Math.max(fraction, 0), 1));
+  return words.slice(0, count).join(' ');
+}
+
+class MediaSession extends EventEmitter {
+  constructor(callSid, websocket, agent, options = {}) {
+    super();
+    this.callSid = callSid;
+    this.websocket = websocket;
+    this.agent = agent;
+    this.aiManager = agent.aiManager;
+    this.startTime = new Date();
+    this.streamSid = null;
+    this.bidirectional = options.bidirectional !== false;
+    // <Parameter>s from the TwiML that started the stream
+    this.customParameters = {};
+    // Call clock: bytes of caller audio received, and where queued agent audio ends
+    this.receivedBytes = 0;
+    this.agentEndBytes = 0;
+    this.vad = new VoiceActivityDetector(options.vad);
+    // Sample rate of the WAV sent for transcription
+    this.sttSampleRate = options.sttSampleRate || codec.SAMPLE_RATE;
+    this.turnQueue = Promise.resolve();
+    this.turnController = null;
+    this.playback = null;
+    this.playbackCount = 0;
+    // Tool action ({ type: 'hangup' | 'transfer' }) to carry out once the reply has played
+    this.afterPlayback = null;
+    // Caller speech is ignored (no turns, no barge-in) while a DTMF menu is running and on forked streams
+    this.acceptSpeech = this.bidirectional;
+    this.closed = false;
+
+    this.vad.on('speech_start', () => {
+      if (!this.acceptSpeech) return;
+      console.log(`Speech started: ${this.callSid}`);
+      if (this.playback) {
+        this.interrupt();
+      }
+    });
+    this.vad.on('speech_end', (utterance) => {
+      if (!this.acceptSpeech) return;
+      console.log(`Speech ended: ${this.callSid} (${utterance.durationMs}ms)`);
+      this.endTurn(utterance);
+    });
+  }
+
+  // Record the stream identifiers and custom parameters from Twilio's start event
+  start(streamSid, { tracks = ['inbound'], customParameters = {}, mediaFormat = null } = {}) {
+    this.streamSid = streamSid;
+    this.customParameters = customParameters;
+    this.emit('start', { streamSid, tracks, customParameters, mediaFormat });
+  }
+
+  // Handle one base64 μ-law frame; only forked streams carry the outbound track
+  handleMedia(payload, track = 'inbound') {
+    if (!payload || this.closed) return;
+
+    const frame = Buffer.from(payload, 'base64');
+    if (track === 'outbound') {
+      this.agentEndBytes = Math.max(this.receivedBytes, this.agentEndBytes) + frame.length;
+      this.emit('agent_audio', frame);
+      return;
+    }
+
+    this.receivedBytes += frame.length;
+    this.emit('caller_audio', frame);
+    this.vad.process(frame);
+  }
+
+  // Stand in for caller frames lost in transit with silence, so the call clock
+  // (and the recording) stays in step with the call
+  fillGap(frameCount) {
+    if (frameCount <= 0 || this.closed) return;
+    const silence = Buffer.alloc(frameCount * codec.FRAME_BYTES, MULAW_SILENCE);
+    this.receivedBytes += silence.length;
+    this.emit('caller_audio', silence);
+  }
+
+  // Milliseconds of call audio represented by `bytes` of 8 kHz μ-law
+  toMs(bytes) {
+    return Math.round((bytes / codec.SAMPLE_RATE) * 1000);
+  }
+
+  // A keypad press reported by a bidirectional stream
+  handleDtmf(digit) {
+    if (!digit || this.closed) return;
+    console.log(`DTMF ${digit}: ${this.callSid}`);
+    this.emit('dtmf', digit);
+  }
+
+  // Queue an endpointed caller utterance for processing
+  endTurn({ audio, durationMs = this.toMs(audio.length), trailingSilenceMs = 0 }) {
+    const nowMs = this.toMs(this.receivedBytes);
+    const timing = {
+      startMs: Math.max(0, nowMs - durationMs),
+      endMs: Math.max(0, nowMs - trailingSilenceMs)
+    };
+    this.turnQueue = this.turnQueue
+      .then(() => this.runTurn(audio, timing))
+      .catch((error) => {
+        console.error(`Turn processing error for ${this.callSid}:`, error);
+      });
+  }
+
+  // Speak a fixed text (e.g. a greeting) once any earlier turns are done, then
+  // carry out `afterPlayback` ({ type: 'hangup' | 'transfer' }) if it is not interrupted
+  speak(text, { afterPlayback = null } = {}) {
+    this.turnQueue = this.turnQueue
+      .then(async () => {
+        if (this.closed) return;
+
+        const controller = new AbortController();
+        this.turnController = controller;
+        const audio = await this.aiManager.synthesize(text, { signal: controller.signal });
+        if (!audio || controller.signal.aborted) return;
+
+        console.log(`Agent (${this.callSid}): ${text}`);
+        this.afterPlayback = afterPlayback;
+        this.play(audio, text);
+        this.endPlayback();
+      })
+      .catch((error) => {
+        console.error(`Speak error for ${this.callSid}:`, error);
+      });
+    return this.turnQueue;
+  }
+
+  // Transcribe, generate a reply and speak it back to the caller
+  async runTurn(audio, timing = {}) {
+    if (this.closed || audio.length === 0) return;
+
+    const controller = new AbortController();
+    this.turnController = controller;
+    const { signal } = controller;
+
+    const pcm = codec.resample(codec.mulawToPcm(audio), codec.SAMPLE_RATE, this.sttSampleRate);
+    const wav = codec.writeWav(pcm, this.sttSampleRate);
+    const transcript = await this.aiManager.transcribe(wav, { signal });
+    if (!transcript || signal.aborted) return;
+
+    console.log(`Caller (${this.callSid}): ${transcript}`);
+
+    const reply = await this.agent.respondStream(this.callSid, transcript, { signal, timing });
+    if (signal.aborted) return;
+
+    // Hang up once the goodbye has finished playing
+    this.afterPlayback = reply.hangup ? { type: 'hangup' } : null;
+
+    // Synthesize each sentence as soon as the LLM finishes it, but play them in order
+    let playing = Promise.resolve();
+    for await (const chunk of reply.chunks) {
+      if (signal.aborted) break;
+      console.log(`Agent (${this.callSid}): ${chunk}`);
+
+      const audio = this.aiManager.synthesize(chunk, { signal });
+      playing = playing.then(async () => {
+        const audioChunk = await audio;
+        if (audioChunk && !signal.aborted) {
+          this.play(audioChunk, chunk);
+        }
+      });
+    }
+    await playing;
+    if (signal.aborted) return;
+
+    for (const action of reply.actions || []) {
+      if (action.type === 'dtmf') {
+        this.play(codec.dtmfTones(action.digits), '');
+      } else {
+        this.afterPlayback = action;
+      }
+    }
+
+    if (this.playback) {
+      this.endPlayback();
+    } else {
+      // Nothing was spoken (e.g. a tool call without text)
+      this.runAfterPlayback();
+    }
+  }
+
+  runAfterPlayback() {
+    const action = this.afterPlayback;
+    this.afterPlayback = null;
+    if (action) {
+      this.emit(action.type, action);
+    }
+  }
+
+  // Whether outbound audio has been sent that the caller has not heard yet.
+  // `this.playback` itself stays set until the whole reply has been heard.
+  isPlaying() {
+    return Boolean(this.playback) && this.playback.playedBytes < this.playback.sentBytes;
+  }
+
+  // Send one spoken segment of the current reply, with marks to track playback
+  play(mulaw, text) {
+    if (!this.bidirectional) return;
+    if (!this.streamSid) {
+      console.warn(`No streamSid for ${this.callSid}, dropping outbound audio`);
+      return;
+    }
+
+    if (!this.playback) {
+      this.playback = {
+        id: ++this.playbackCount,
+        segments: [],
+        marks: new Map(),
+        sentBytes: 0,
+        playedBytes: 0,
+        // Position on the call clock where this reply starts playing
+        startBytes: Math.max(this.receivedBytes, this.agentEndBytes),
+        complete: false
+      };
+    }
+
+    const playback = this.playback;
+    playback.segments.push({ text, start: playback.sentBytes, bytes: mulaw.length });
+
+    this.agentEndBytes = Math.max(this.receivedBytes, this.agentEndBytes) + mulaw.length;
+    this.emit('agent_audio', mulaw);
+    const frames = codec.frameMulaw(mulaw);
+    frames.forEach((frame, index) => {
+      this.send(mediaMessage(this.streamSid, frame.toString('base64')));
+      playback.sentBytes += frame.length;
+
+      if ((index + 1) % MARK_INTERVAL_FRAMES === 0 || index === frames.length - 1) {
+        const name = `${playback.id}-${playback.sentBytes}`;
+        playback.marks.set(name, playback.sentBytes);
+        this.send(markMessage(this.streamSid, name));
+      }
+    });
+  }
+
+  // No more audio will be sent for the current reply
+  endPlayback() {
+    if (!this.playback) return;
+    this.playback.complete = true;
+    if (!this.isPlaying()) {
+      this.finishPlayback(false);
+    }
+  }
+
+  // Twilio echoes a mark once the audio sent before it has played
+  handleMark(name) {
+    const playback = this.playback;
+    if (!playback || !playback.marks.has(name)) return;
+
+    playback.playedBytes = Math.max(playback.playedBytes, playback.marks.get(name));
+    playback.marks.delete(name);
+
+    if (playback.complete && !this.isPlaying()) {
+      this.finishPlayback(false);
+    }
+  }
+
+  // Caller spoke over the agent: flush queued audio and cancel the turn
+  interrupt() {
+    if (this.turnController) {
+      this.turnController.abort();
+      this.turnController = null;
+    }
+    if (!this.playback) return;
+
+    console.log(`Barge-in detected: ${this.callSid}`);
+    this.send(clearMessage(this.streamSid));
+    this.agentEndBytes = Math.min(this.agentEndBytes, this.receivedBytes);
+    this.emit('clear');
+    this.finishPlayback(true);
+  }
+
+  // Report the reply and the part of it the caller actually heard
+  finishPlayback(interrupted) {
+    const playback = this.playback;
+    this.playback = null;
+
+    const text = playback.segments.map((segment) => segment.text).filter(Boolean).join(' ');
+    const heardText = playback.segments
+      .map((segment) => {
+        const heardBytes = playback.playedBytes - segment.start;
+        if (heardBytes <= 0) return '';
+        return truncateWords(segment.text, heardBytes / segment.bytes);
+      })
+      .filter(Boolean)
+      .join(' ');
+
+    this.emit('reply', {
+      text,
+      heardText,
+      interrupted,
+      heardMs: this.toMs(playback.playedBytes),
+      startMs: this.toMs(playback.startBytes),
+      endMs: this.toMs(Math.max(playback.startBytes, this.agentEndBytes))
+    });
+
+    // A barge-in cancels the hang-up or transfer the reply announced
+    if (interrupted) {
+      this.afterPlayback = null;
+    } else {
+      this.runAfterPlayback();
+    }
+  }
+
+  send(message) {
+    if (this.websocket.readyState === this.websocket.OPEN) {
+      this.websocket.send(JSON.stringify(message));
+    }
+  }
+
+  close() {
+    this.closed = true;
+    if (this.turnController) {
+      this.turnController.abort();
+      this.turnController = null;
+    }
+    this.vad.removeAllListeners();
+    this.vad.reset();
+    this.websocket.close();
+  }
+}
+
+module.exports = MediaSession;
@@ -0,0 +1,38 @@
+/**
+ * Media stream TwiML
+ * Two ways to attach a call's audio to the /media/:callSid WebSocket:
+ *
+ * - connect: `<Connect><Stream>` hands the call to the socket. Audio flows both
+ *   ways, so the agent talks over the stream (outbound media, mark and clear
+ *   messages). Any TwiML after it only runs once the socket closes.
+ * - fork: `<Start><Stream>` copies both tracks to the socket while the TwiML
+ *   carries on with the `<Gather>` conversation. The server can record,
+ *   transcribe and let supervisors listen in, but never speaks back.
+ *
+ * Custom `<Parameter>`s (persona, caller details) come back in the stream's
+ * `start` event as `customParameters`.
+ */
+
+const STREAM_MODES = ['connect', 'fork'];
+
+// Add the stream verb for `mode`; parameters without a value are left out
+function addMediaStream(twiml, mode, { url, parameters = {} }) {
+  if (!STREAM_MODES.includes(mode)) {
+    throw new Error(`Media stream mode must be one of: ${STREAM_MODES.join(', ')}`);
+  }
+
+  const stream = mode === 'connect'
+    ? twiml.connect().stream({ url })
+    : twiml.start().stream({ url, track: 'both_tracks' });
+  for (const [name, value] of Object.entries(parameters)) {
+    if (value !== null && value !== undefined && value !== '') {
+      stream.parameter({ name, value: String(value) });
+    }
+  }
+  return stream;
+}
+
+module.exports = {
+  STREAM_MODES,
+  addMediaStream,
+};
@@ -0,0 +1,227 @@
+/**
+ * Agent personas
+ * A persona is a JSON file describing how the agent sounds and behaves on a
+ * line. Personas are chosen per dialed `To` number. A persona sets:
+ *
+ *   - the system prompt, greeting, Twilio voice and fallback phrases
+ *   - LLM settings and hang-up phrases
+ *   - the LLM tools the agent may use (lib/tools.js)
+ *   - an optional DTMF menu played before the agent answers (lib/ivr.js)
+ *   - business hours outside which callers go to voicemail (lib/business-hours.js)
+ *   - whether media stream calls are conversational or monitored (lib/media-streams.js)
+ *
+ * Fields left out of the file take the DEFAULT_PERSONA values below.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { createIvr } = require('./ivr');
+const { createSchedule } = require('./business-hours');
+const { TRANSFER_MODES } = require('./transfers');
+const { STREAM_MODES } = require('./media-streams');
+
+const DEFAULT_PERSONA = {
+  name: 'default',
+  numbers: [],
+  systemPrompt: null,
+  greeting: 'Welcome to the voice agent. Please speak after the beep.',
+  prompt: 'Please say something or press a key.',
+  voice: 'Polly.Amy',
+  language: 'en-US',
+  fallbacks: {
+    // Used when the LLM is unavailable; {speech} is replaced with what the caller said
+    noReply: 'I understood: {speech}',
+    digits: 'You pressed: {digits}',
+    noInput: 'No input received. Goodbye!',
+    goodbye: 'Thank you for calling. Goodbye!'
+  },
+  llm: {
+    temperature: 0.7,
+    maxTokens: 1024
+  },
+  // Whole utterances that end the call (matched ignoring case and punctuation, never inside
+  // longer sentences); anything else is left to the LLM and its end_call tool
+  hangupPhrases: ['goodbye', 'bye', 'bye bye', 'ok bye', 'thanks bye', 'thank you goodbye', 'that is all', "that's all"],
+  // Names of LLM tools the agent may call, e.g. ['end_call', 'transfer_call', 'send_dtmf']
+  tools: [],
+  // Named numbers or SIP URIs transfers may dial, e.g. { "sales": "+15551234567" }
+  transferTargets: {},
+  // Escalation to a human; only active when transferTargets is not empty
+  transfer: {
+    // "cold" dials the target directly; "warm" holds the caller while the target is briefed
+    mode: 'cold',
+    // Target used by the keypad and spoken triggers (defaults to the first transferTargets entry)
+    defaultTarget: null,
+    // Key that asks for a person
+    digit: '0',
+    phrases: ['speak to a human', 'talk to a human', 'real person', 'representative', 'operator'],
+    holdMessage: 'Please hold while I connect you.',
+    unavailableMessage: 'Sorry, nobody is available to take your call right now.'
+  },
+  voicemail: {
+    greeting: 'Please leave a message after the tone. Press the pound key when you are done.',
+    // Said before the greeting when the call is outside business hours / the agent is at capacity
+    closedMessage: 'Thank you for calling. We are closed right now.',
+    busyMessage: 'Thank you for calling. All of our lines are busy right now.',
+    // Longest message in seconds
+    maxLength: 120
+  },
+  // Left after the beep when an outbound call reaches an answering machine ({variables} come
+  // from the call context); null hangs up without a message
+  machineMessage: 'Hello, sorry we missed you. We will try to reach you again later. Goodbye.',
+  // Said to callers still on the line when a server shutdown reaches its drain deadline
+  // (see lib/shutdown.js); null hangs up without a message
+  shutdownMessage: 'Sorry, we have to end the call here. Please call us back in a few minutes. Goodbye.',
+  // DTMF menu callers go through before reaching the agent (see lib/ivr.js), or null
+  ivr: null,
+  // Opening hours (see lib/business-hours.js); null answers around the clock
+  businessHours: null,
+  // How /voice/media-stream attaches this persona's calls (see lib/media-streams.js):
+  // "connect" (the agent talks over the stream), "fork" (monitoring only) or null for MEDIA_STREAM_MODE
+  streamMode: null
+};
+
+// Fill {placeholders} in a persona phrase; only the values' own keys count, so {constructor}
+// and the like stay literal
+function format(template, values = {}) {
+  return template.replace(/\{(\w+)\}/g, (match, key) => (Object.hasOwn(values, key) ? values[key] : match));
+}
+
+// Lower-case and strip punctuation for phrase matching
+function normalize(text) {
+  return ` ${(text || '').toLowerCase().replace(/[^\p{L}\p{N}'\s]/gu, ' ').replace(/\s+/g, ' ').trim()} `;
+}
+
+// Merge a persona definition over the defaults and check its shape
+function createPersona(definition, source = 'persona') {
+  if (!definition || typeof definition !== 'object' || Array.isArray(definition)) {
+    throw new Error(`${source}: persona must be a JSON object`);
+  }
+  if (!definition.name || typeof definition.name !== 'string') {
+    throw new Error(`${source}: persona "name" is required`);
+  }
+  if (definition.numbers && !Array.isArray(definition.numbers)) {
+    throw new Error(`${source}: persona "numbers" must be an array of phone numbers`);
+  }
+  if (definition.hangupPhrases && !Array.isArray(definition.hangupPhrases)) {
+    throw new Error(`${source}: persona "hangupPhrases" must be an array of strings`);
+  }
+  if (definition.tools && !Array.isArray(definition.tools)) {
+    throw new Error(`${source}: persona "tools" must be an array of tool names`);
+  }
+  if (definition.transferTargets &&
+      (typeof definition.transferTargets !== 'object' || Array.isArray(definition.transferTargets))) {
+    throw new Error(`${source}: persona "transferTargets" must map names to phone numbers`);
+  }
+  if (definition.streamMode && !STREAM_MODES.includes(definition.streamMode)) {
+    throw new Error(`${source}: persona "streamMode" must be one of: ${STREAM_MODES.join(', ')}`);
+  }
+
+  const persona = {
+    ...DEFAULT_PERSONA,
+    ...definition,
+    fallbacks: { ...DEFAULT_PERSONA.fallbacks, ...definition.fallbacks },
+    transfer: { ...DEFAULT_PERSONA.transfer, ...definition.transfer },
+    voicemail: { ...DEFAULT_PERSONA.voicemail, ...definition.voicemail },
+    llm: { ...DEFAULT_PERSONA.llm, ...definition.llm },
+    ivr: definition.ivr ? createIvr(definition.ivr, source) : null,
+    businessHours: definition.businessHours ? createSchedule(definition.businessHours, source) : null
+  };
+  if (persona.ivr) {
+    checkIvrTransfers(persona, source);
+  }
+  return persona;
+}
+
+// IVR transfer options must name one of the persona's transferTargets
+function checkIvrTransfers(persona, source) {
+  const targets = Object.keys(persona.transferTargets);
+  for (const menu of Object.values(persona.ivr.menus)) {
+    for (const action of [...Object.values(menu.options), menu.onFailure]) {
+      if (action.action !== 'transfer') continue;
+      if (action.target ? !targets.includes(action.target) : targets.length === 0) {
+        throw new Error(`${source}: ivr menu "${menu.name}" transfers to unknown target "${action.target || ''}"`);
+      }
+      if (action.mode && !TRANSFER_MODES.includes(action.mode)) {
+        throw new Error(`${source}: ivr menu "${menu.name}" transfer mode must be one of: ${TRANSFER_MODES.join(', ')}`);
+      }
+    }
+  }
+}
+
+class PersonaRegistry {
+  constructor({ defaultPersona = 'default' } = {}) {
+    this.defaultName = defaultPersona;
+    this.personas = new Map();
+    this.numbers = new Map();
+    this.add(DEFAULT_PERSONA);
+  }
+
+  // Load every *.json persona in a directory; a missing directory is not an error
+  loadDirectory(dir) {
+    if (!fs.existsSync(dir)) {
+      console.warn(`Persona directory not found: ${dir}, using built-in default persona`);
+      return this;
+    }
+
+    for (const file of fs.readdirSync(dir).filter((name) => name.endsWith('.json')).sort()) {
+      const filePath = path.join(dir, file);
+      const definition = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+      const persona = this.add(definition, filePath);
+      console.log(`Loaded persona "${persona.name}" from ${file}`);
+    }
+    return this;
+  }
+
+  add(definition, source) {
+    const persona = createPersona(definition, source);
+    this.personas.set(persona.name, persona);
+    for (const number of persona.numbers) {
+      this.numbers.set(number, persona);
+    }
+    return persona;
+  }
+
+  has(name) {
+    return this.personas.has(name);
+  }
+
+  get(name) {
+    return this.personas.get(name) || this.personas.get(this.defaultName) || this.personas.get('default');
+  }
+
+  // Persona for the dialed number, falling back to the default persona
+  forNumber(to) {
+    return this.numbers.get(to) || this.get(this.defaultName);
+  }
+
+  list() {
+    return Array.from(this.personas.values());
+  }
+}
+
+function containsPhrase(phrases, text) {
+  const utterance = normalize(text);
+  return phrases.some((phrase) => utterance.includes(normalize(phrase)));
+}
+
+// Whether the caller's whole utterance is one of the persona's hang-up phrases. A phrase inside a
+// longer utterance ("goodbye for now, but first...") does not count.
+function isHangupPhrase(persona, text) {
+  const utterance = normalize(text);
+  return persona.hangupPhrases.some((phrase) => normalize(phrase) === utterance);
+}
+
+// Whether the caller is asking for a person (and the persona has someone to transfer to)
+function isTransferPhrase(persona, text) {
+  return Object.keys(persona.transferTargets).length > 0 && containsPhrase(persona.transfer.phrases, text);
+}
+
+module.exports = {
+  DEFAULT_PERSONA,
+  PersonaRegistry,
+  createPersona,
+  isHangupPhrase,
+  isTransferPhrase,
+  format,
+};
@@ -0,0 +1,44 @@
+/**
+ * Cartesia Sonic speech synthesis provider
+ * Requests raw 8 kHz μ-law so the audio can go straight onto a Media Stream
+ */
+
+class CartesiaSynthesizer {
+  constructor({ apiKey, model, voiceId }) {
+    this.name = 'Cartesia Sonic';
+    this.apiKey = apiKey;
+    this.model = model;
+    this.voiceId = voiceId;
+  }
+
+  async synthesize(text, { signal } = {}) {
+    if (!this.apiKey) {
+      throw new Error('Cartesia API key not configured');
+    }
+
+    const response = await fetch('https://api.cartesia.ai/v1/voices/synthesize', {
+      method: 'POST',
+      headers: {
+        'Authorization': `Bearer ${this.apiKey}`,
+        'Content-Type': 'application/json',
+      },
+      body: JSON.stringify({
+        text,
+        model: this.model,
+        voice_id: this.voiceId,
+        output_format: {
+          container: 'raw',
+          encoding: 'pcm_mulaw',
+          sample_rate: 8000,
+        },
+      }),
+      signal,
+    });
+    if (!response.ok) {
+      throw new Error(`Cartesia HTTP ${response.status}`);
+    }
+    return Buffer.from(await response.arrayBuffer());
+  }
+}
+
+module.exports = CartesiaSynthesizer;
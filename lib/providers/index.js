@@ -0,0 +1,76 @@
+/**
+ * Provider registry
+ * The voice agent talks to three kinds of provider:
+ *
+ *   Transcriber  transcribe(wav, { signal })            → Promise<string|null>
+ *   ChatModel    complete(messages, options)            → Promise<string|null>
+ *                stream(messages, options)              → AsyncIterable<string> of text deltas
+ *                                                         With `options.tools`, a final
+ *                                                         { toolCalls: [{ id, name, arguments }] }
+ *                                                         item when the model calls tools
+ *   Synthesizer  synthesize(text, { signal })           → Promise<Buffer> of 8 kHz μ-law
+ *
+ * Providers throw on failure. Each kind has a registry of named factories
+ * that receive the app config; the names in `config.providers` pick one of each.
+ */
+
+const OpenAIChatModel = require('./openai-chat');
+const CartesiaSynthesizer = require('./cartesia');
+const InkWhisperTranscriber = require('./ink-whisper');
+const OpenAIWhisperTranscriber = require('./openai-whisper');
+const { MockTranscriber, MockChatModel, MockSynthesizer } = require('./mock');
+
+const registry = {
+  transcriber: new Map(),
+  chatModel: new Map(),
+  synthesizer: new Map(),
+};
+
+function register(kind, name, factory) {
+  if (!registry[kind]) {
+    throw new Error(`Unknown provider kind: ${kind}`);
+  }
+  registry[kind].set(name, factory);
+}
+
+function create(kind, name, config) {
+  const factory = registry[kind]?.get(name);
+  if (!factory) {
+    const known = Array.from(registry[kind]?.keys() || []).join(', ');
+    throw new Error(`Unknown ${kind} provider "${name}" (available: ${known})`);
+  }
+  return factory(config);
+}
+
+// Build the transcriber, chat model and synthesizer selected in config.providers
+function createProviders(config) {
+  return {
+    transcriber: create('transcriber', config.providers.stt, config),
+    chatModel: create('chatModel', config.providers.llm, config),
+    synthesizer: create('synthesizer', config.providers.tts, config),
+  };
+}
+
+register('transcriber', 'ink-whisper', (config) => new InkWhisperTranscriber(config.inkWhisper));
+register('transcriber', 'whisper', (config) => new OpenAIWhisperTranscriber(config.whisper));
+register('transcriber', 'mock', (config) => new MockTranscriber(config.mock));
+
+register('chatModel', 'groq', (config) => new OpenAIChatModel({ name: 'Groq Kimi', ...config.groq }));
+register('chatModel', 'openai', (config) => new OpenAIChatModel({ name: 'OpenAI', ...config.openai }));
+register('chatModel', 'mock', (config) => new MockChatModel(config.mock));
+
+register('synthesizer', 'cartesia', (config) => new CartesiaSynthesizer(config.cartesia));
+register('synthesizer', 'mock', (config) => new MockSynthesizer(config.mock));
+
+module.exports = {
+  register,
+  create,
+  createProviders,
+  OpenAIChatModel,
+  CartesiaSynthesizer,
+  InkWhisperTranscriber,
+  OpenAIWhisperTranscriber,
+  MockTranscriber,
+  MockChatModel,
+  MockSynthesizer,
+};
@@ -0,0 +1,37 @@
+/**
+ * Ink Whisper speech recognition provider
+ */
+
+class InkWhisperTranscriber {
+  constructor({ apiKey, model }) {
+    this.name = 'Ink Whisper';
+    this.apiKey = apiKey;
+    this.model = model;
+  }
+
+  async transcribe(wav, { signal } = {}) {
+    if (!this.apiKey) {
+      throw new Error('Ink Whisper API key not configured');
+    }
+
+    const formData = new FormData();
+    formData.append('audio', new Blob([wav], { type: 'audio/wav' }), 'audio.wav');
+    formData.append('model', this.model);
+
+    const response = await fetch('https://api.inkwhisper.ai/v1/transcribe', {
+      method: 'POST',
+      headers: {
+        'Authorization': `Bearer ${this.apiKey}`,
+      },
+      body: formData,
+      signal,
+    });
+    if (!response.ok) {
+      throw new Error(`Ink Whisper HTTP ${response.status}`);
+    }
+    const data = await response.json();
+    return data.text || null;
+  }
+}
+
+module.exports = InkWhisperTranscriber;
@@ -0,0 +1,115 @@
+/**
+ * Offline mock providers
+ * Deterministic stand-ins for STT, LLM and TTS so whole calls can be run
+ * without network access. Each provider records what it was asked to do.
+ */
+
+const codec = require('../codec');
+
+// Resolve after `ms`, or reject like fetch does if the signal aborts first
+function delay(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) return reject(abortError());
+    const timer = setTimeout(resolve, ms);
+    signal?.addEventListener('abort', () => {
+      clearTimeout(timer);
+      reject(abortError());
+    }, { once: true });
+  });
+}
+
+function abortError() {
+  const error = new Error('The operation was aborted');
+  error.name = 'AbortError';
+  return error;
+}
+
+class MockTranscriber {
+  // Returns `transcripts` in order, repeating the last one
+  constructor({ transcripts = ['Hello'], latencyMs = 0 } = {}) {
+    this.name = 'Mock STT';
+    this.transcripts = transcripts;
+    this.latencyMs = latencyMs;
+    this.calls = [];
+  }
+
+  async transcribe(wav, { signal } = {}) {
+    this.calls.push(wav);
+    await delay(this.latencyMs, signal);
+    const index = Math.min(this.calls.length - 1, this.transcripts.length - 1);
+    return this.transcripts[index] || null;
+  }
+}
+
+// Scripted tool calls in a mock reply: "Transferring you now. [[transfer_call {"target": "sales"}]]"
+const TOOL_CALL_PATTERN = /\[\[(\w+)\s*(\{.*?\})?\]\]/g;
+
+class MockChatModel {
+  // Returns `replies` in order, or echoes the caller when none are given.
+  // [[tool {json}]] markers in a reply become tool calls when tools are offered.
+  constructor({ replies = [], latencyMs = 0 } = {}) {
+    this.name = 'Mock LLM';
+    this.replies = replies;
+    this.latencyMs = latencyMs;
+    this.calls = [];
+  }
+
+  reply(messages) {
+    this.calls.push(messages);
+    if (this.replies.length > 0) {
+      return this.replies[Math.min(this.calls.length - 1, this.replies.length - 1)];
+    }
+    const lastUser = [...messages].reverse().find((message) => message.role === 'user');
+    return `You said: ${lastUser ? lastUser.content : 'nothing'}.`;
+  }
+
+  async complete(messages, { signal } = {}) {
+    await delay(this.latencyMs, signal);
+    return this.reply(messages).replace(TOOL_CALL_PATTERN, '').trim();
+  }
+
+  async *stream(messages, { signal, tools } = {}) {
+    const reply = this.reply(messages);
+    const offered = new Set((tools || []).map((tool) => tool.function.name));
+    const toolCalls = Array.from(reply.matchAll(TOOL_CALL_PATTERN))
+      .filter(([, name]) => offered.has(name))
+      .map(([, name, args], i) => ({ id: `mock_call_${this.calls.length}_${i}`, name, arguments: args || '{}' }));
+
+    const words = reply.replace(TOOL_CALL_PATTERN, '').trim().split(' ').filter(Boolean);
+    for (let i = 0; i < words.length; i++) {
+      await delay(this.latencyMs, signal);
+      yield i === 0 ? words[i] : ` ${words[i]}`;
+    }
+    if (toolCalls.length > 0) {
+      yield { toolCalls };
+    }
+  }
+}
+
+class MockSynthesizer {
+  // Produces a 440 Hz μ-law tone roughly as long as the text would take to say
+  constructor({ msPerCharacter = 60, latencyMs = 0 } = {}) {
+    this.name = 'Mock TTS';
+    this.msPerCharacter = msPerCharacter;
+    this.latencyMs = latencyMs;
+    this.calls = [];
+  }
+
+  async synthesize(text, { signal } = {}) {
+    this.calls.push(text);
+    await delay(this.latencyMs, signal);
+
+    const samples = Math.round((Math.max(200, text.length * this.msPerCharacter) / 1000) * codec.SAMPLE_RATE);
+    const pcm = new Int16Array(samples);
+    for (let i = 0; i < samples; i++) {
+      pcm[i] = Math.round(4000 * Math.sin((2 * Math.PI * 440 * i) / codec.SAMPLE_RATE));
+    }
+    return codec.pcmToMulaw(pcm);
+  }
+}
+
+module.exports = {
+  MockTranscriber,
+  MockChatModel,
+  MockSynthesizer,
+};
@@ -0,0 +1,77 @@
+/**
+ * OpenAI-compatible chat completion provider
+ * Used for Groq (the default) and any other `/chat/completions` endpoint
+ */
+
+const { readEvents } = require('../sse');
+
+class OpenAIChatModel {
+  constructor({ name = 'OpenAI', apiKey, model, baseUrl = 'https://api.openai.com/v1' }) {
+    this.name = name;
+    this.apiKey = apiKey;
+    this.model = model;
+    this.baseUrl = baseUrl.replace(/\/+$/, '');
+  }
+
+  async request(messages, { signal, temperature = 0.7, maxTokens = 1024, stream = false, tools }) {
+    if (!this.apiKey) {
+      throw new Error(`${this.name} API key not configured`);
+    }
+
+    const response = await fetch(`${this.baseUrl}/chat/completions`, {
+      method: 'POST',
+      headers: {
+        'Authorization': `Bearer ${this.apiKey}`,
+        'Content-Type': 'application/json',
+        ...(stream ? { 'Accept': 'text/event-stream' } : {}),
+      },
+      body: JSON.stringify({
+        model: this.model,
+        messages,
+        temperature,
+        max_tokens: maxTokens,
+        ...(tools && tools.length > 0 ? { tools, tool_choice: 'auto' } : {}),
+        ...(stream ? { stream: true } : {}),
+      }),
+      signal,
+    });
+    if (!response.ok) {
+      throw new Error(`${this.name} HTTP ${response.status}`);
+    }
+    return response;
+  }
+
+  // Resolve to the full reply text
+  async complete(messages, options = {}) {
+    const response = await this.request(messages, options);
+    const data = await response.json();
+    return data.choices?.[0]?.message?.content || null;
+  }
+
+  // Yield reply text deltas as they stream in, then { toolCalls } if the model called tools
+  async *stream(messages, options = {}) {
+    const response = await this.request(messages, { ...options, stream: true });
+    // Tool call fragments arrive spread over many events, keyed by index
+    const toolCalls = [];
+
+    for await (const data of readEvents(response.body)) {
+      const delta = JSON.parse(data).choices?.[0]?.delta;
+      if (!delta) continue;
+      if (delta.content) yield delta.content;
+
+      for (const fragment of delta.tool_calls || []) {
+        const call = toolCalls[fragment.index] ||= { id: null, name: '', arguments: '' };
+        if (fragment.id) call.id = fragment.id;
+        if (fragment.function?.name) call.name += fragment.function.name;
+        if (fragment.function?.arguments) call.arguments += fragment.function.arguments;
+      }
+    }
+
+    const calls = toolCalls.filter(Boolean);
+    if (calls.length > 0) {
+      yield { toolCalls: calls.map((call, i) => ({ ...call, id: call.id || `call_${i}` })) };
+    }
+  }
+}
+
+module.exports = OpenAIChatModel;
@@ -0,0 +1,43 @@
+/**
+ * OpenAI-compatible Whisper transcription provider
+ * Works with any `/audio/transcriptions` endpoint (OpenAI, Groq, local servers)
+ */
+
+class OpenAIWhisperTranscriber {
+  constructor({ apiKey, model = 'whisper-1', baseUrl = 'https://api.openai.com/v1', language }) {
+    this.name = 'Whisper';
+    this.apiKey = apiKey;
+    this.model = model;
+    this.baseUrl = baseUrl.replace(/\/+$/, '');
+    this.language = language;
+  }
+
+  async transcribe(wav, { signal } = {}) {
+    if (!this.apiKey) {
+      throw new Error('Whisper API key not configured');
+    }
+
+    const formData = new FormData();
+    formData.append('file', new Blob([wav], { type: 'audio/wav' }), 'audio.wav');
+    formData.append('model', this.model);
+    if (this.language) {
+      formData.append('language', this.language);
+    }
+
+    const response = await fetch(`${this.baseUrl}/audio/transcriptions`, {
+      method: 'POST',
+      headers: {
+        'Authorization': `Bearer ${this.apiKey}`,
+      },
+      body: formData,
+      signal,
+    });
+    if (!response.ok) {
+      throw new Error(`Whisper HTTP ${response.status}`);
+    }
+    const data = await response.json();
+    return data.text?.trim() || null;
+  }
+}
+
+module.exports = OpenAIWhisperTranscriber;
@@ -0,0 +1,159 @@
+/**
+ * Call recordings
+ * CallRecorder collects the caller's inbound frames and the agent's outbound
+ * audio for one media stream and renders them as a stereo WAV (caller left,
+ * agent right). Inbound frames arrive in real time, so they are the clock:
+ * agent audio is placed at the caller position when it was sent, and a
+ * barge-in `clear` drops whatever agent audio had not been played yet.
+ * RecordingStore writes `<dir>/<callSid>.wav` and deletes recordings older
+ * than the retention period.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const codec = require('./codec');
+
+const SWEEP_INTERVAL_MS = 60 * 60 * 1000;
+const MULAW_SILENCE = 0xff;
+// Twilio call SIDs; anything else is rejected before touching the filesystem
+const CALL_SID_PATTERN = /^[A-Za-z0-9]{2,64}$/;
+
+class CallRecorder {
+  constructor(callSid) {
+    this.callSid = callSid;
+    this.startTime = new Date();
+    this.callerChunks = [];
+    // Bytes of caller audio so far; also the recording clock
+    this.callerBytes = 0;
+    // Agent audio as { offset, audio } segments on the caller clock
+    this.agentSegments = [];
+    this.agentEnd = 0;
+  }
+
+  addCallerAudio(frame) {
+    this.callerChunks.push(frame);
+    this.callerBytes += frame.length;
+  }
+
+  // Agent audio plays after anything still queued, but never before "now"
+  addAgentAudio(mulaw) {
+    const offset = Math.max(this.callerBytes, this.agentEnd);
+    this.agentSegments.push({ offset, audio: mulaw });
+    this.agentEnd = offset + mulaw.length;
+  }
+
+  // Twilio discarded the unplayed agent audio (barge-in)
+  clearAgentAudio() {
+    const cut = this.callerBytes;
+    this.agentSegments = this.agentSegments
+      .filter((segment) => segment.offset < cut)
+      .map((segment) => ({ offset: segment.offset, audio: segment.audio.subarray(0, cut - segment.offset) }));
+    this.agentEnd = Math.min(this.agentEnd, cut);
+  }
+
+  get durationMs() {
+    return Math.round((Math.max(this.callerBytes, this.agentEnd) / codec.SAMPLE_RATE) * 1000);
+  }
+
+  isEmpty() {
+    return this.callerBytes === 0 && this.agentEnd === 0;
+  }
+
+  // Render the stereo WAV (16-bit PCM, caller left, agent right)
+  toWav() {
+    const length = Math.max(this.callerBytes, this.agentEnd);
+    const caller = Buffer.alloc(length, MULAW_SILENCE);
+    Buffer.concat(this.callerChunks).copy(caller);
+    const agent = Buffer.alloc(length, MULAW_SILENCE);
+    for (const segment of this.agentSegments) {
+      segment.audio.copy(agent, segment.offset);
+    }
+
+    const left = codec.mulawToPcm(caller);
+    const right = codec.mulawToPcm(agent);
+    const stereo = new Int16Array(length * 2);
+    for (let i = 0; i < length; i++) {
+      stereo[i * 2] = left[i];
+      stereo[i * 2 + 1] = right[i];
+    }
+    return codec.writeWav(stereo, codec.SAMPLE_RATE, 2);
+  }
+}
+
+class RecordingStore {
+  constructor({ dir, retentionDays = 30 }) {
+    this.dir = dir;
+    // Recordings older than this are deleted; 0 keeps them forever
+    this.retentionMs = retentionDays * 24 * 60 * 60 * 1000;
+    fs.mkdirSync(this.dir, { recursive: true });
+
+    this.sweepTimer = null;
+    if (this.retentionMs > 0) {
+      this.sweep();
+      this.sweepTimer = setInterval(() => this.sweep(), SWEEP_INTERVAL_MS);
+      this.sweepTimer.unref();
+    }
+  }
+
+  // Path of a call's recording, or null for anything that is not a call SID
+  filePath(callSid) {
+    if (!CALL_SID_PATTERN.test(callSid || '')) return null;
+    return path.join(this.dir, `${callSid}.wav`);
+  }
+
+  has(callSid) {
+    const file = this.filePath(callSid);
+    return Boolean(file && fs.existsSync(file));
+  }
+
+  // Write a recorder's audio; returns metadata for the call session
+  async save(recorder) {
+    const file = this.filePath(recorder.callSid);
+    if (!file || recorder.isEmpty()) return null;
+
+    const wav = recorder.toWav();
+    const temp = `${file}.tmp`;
+    await fs.promises.writeFile(temp, wav);
+    await fs.promises.rename(temp, file);
+
+    return {
+      file: path.basename(file),
+      bytes: wav.length,
+      durationMs: recorder.durationMs,
+      startTime: recorder.startTime,
+      expiresAt: this.retentionMs > 0 ? new Date(Date.now() + this.retentionMs) : null
+    };
+  }
+
+  // Delete recordings past the retention period
+  sweep(now = Date.now()) {
+    let names;
+    try {
+      names = fs.readdirSync(this.dir).filter((name) => name.endsWith('.wav'));
+    } catch (error) {
+      console.error(`Failed to list recordings in ${this.dir}:`, error.message);
+      return;
+    }
+
+    for (const name of names) {
+      const file = path.join(this.dir, name);
+      try {
+        if (now - fs.statSync(file).mtimeMs > this.retentionMs) {
+          fs.rmSync(file, { force: true });
+          console.log(`Deleted expired recording ${name}`);
+        }
+      } catch (error) {
+        console.error(`Failed to expire recording ${name}:`, error.message);
+      }
+    }
+  }
+
+  close() {
+    clearInterval(this.sweepTimer);
+  }
+}
+
+module.exports = {
+  CallRecorder,
+  RecordingStore,
+};
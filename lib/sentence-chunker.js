@@ -0,0 +1,87 @@
+/**
+ * Sentence chunking for streamed LLM output
+ * Groups token deltas into speakable sentences (or long clauses) so each
+ * piece can be sent to TTS as soon as it is complete
+ */
+
+// Words ending in a period that do not end a sentence
+const ABBREVIATIONS = new Set([
+  'mr', 'mrs', 'ms', 'dr', 'prof', 'sr', 'jr', 'st', 'vs', 'etc', 'e.g', 'i.e', 'inc', 'ltd', 'no', 'approx'
+]);
+
+const SENTENCE_END = /[.!?]+["')\]]?(?=\s)/g;
+const CLAUSE_END = /[,;:—–](?=\s)/g;
+
+class SentenceChunker {
+  constructor({ minClauseLength = 40, maxLength = 200 } = {}) {
+    // Clauses are only split off once the pending text is at least this long
+    this.minClauseLength = minClauseLength;
+    // Text longer than this is split at the last space even without punctuation
+    this.maxLength = maxLength;
+    this.buffer = '';
+  }
+
+  // Add streamed text and return any chunks that are now complete
+  push(text) {
+    this.buffer += text;
+    const chunks = [];
+
+    let end;
+    while ((end = this.findBreak()) > 0) {
+      const chunk = this.buffer.slice(0, end).trim();
+      this.buffer = this.buffer.slice(end).replace(/^\s+/, '');
+      if (chunk) chunks.push(chunk);
+    }
+    return chunks;
+  }
+
+  // Return whatever is left once the stream has ended
+  flush() {
+    const chunk = this.buffer.trim();
+    this.buffer = '';
+    return chunk || null;
+  }
+
+  findBreak() {
+    for (const match of this.buffer.matchAll(SENTENCE_END)) {
+      const end = match.index + match[0].length;
+      const word = this.buffer.slice(0, match.index).split(/\s/).pop().toLowerCase();
+      if (match[0].startsWith('.') && (ABBREVIATIONS.has(word) || /^[a-z]$/.test(word))) {
+        continue;
+      }
+      return end;
+    }
+
+    if (this.buffer.length >= this.minClauseLength) {
+      let clauseEnd = -1;
+      for (const match of this.buffer.matchAll(CLAUSE_END)) {
+        if (match.index + 1 >= this.minClauseLength) {
+          clauseEnd = match.index + 1;
+          break;
+        }
+      }
+      if (clauseEnd > 0) return clauseEnd;
+    }
+
+    if (this.buffer.length > this.maxLength) {
+      const space = this.buffer.lastIndexOf(' ', this.maxLength);
+      if (space > 0) return space;
+    }
+    return -1;
+  }
+}
+
+// Turn an async iterable of text deltas into an async iterable of speakable chunks
+async function* chunkSentences(deltas, options) {
+  const chunker = new SentenceChunker(options);
+  for await (const delta of deltas) {
+    yield* chunker.push(delta);
+  }
+  const rest = chunker.flush();
+  if (rest) yield rest;
+}
+
+module.exports = {
+  SentenceChunker,
+  chunkSentences,
+};
@@ -0,0 +1,164 @@
+/**
+ * Call session stores
+ * Sessions are kept in memory for fast access during a call. The memory store
+ * evicts ended calls after a TTL; the file store additionally writes each
+ * session to `<dir>/<callSid>.json` so call history survives restarts. Files
+ * are read once, at startup; after that the in-memory map is authoritative.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const SWEEP_INTERVAL_MS = 60 * 1000;
+
+class MemorySessionStore {
+  constructor({ ttlMs = 60 * 60 * 1000, maxAgeMs = 24 * 60 * 60 * 1000 } = {}) {
+    // How long ended calls are kept
+    this.ttlMs = ttlMs;
+    // Calls still marked active after this long are assumed lost and evicted too
+    this.maxAgeMs = maxAgeMs;
+    this.sessions = new Map();
+    this.sweepTimer = setInterval(() => this.sweep(), SWEEP_INTERVAL_MS);
+    this.sweepTimer.unref();
+  }
+
+  get(callSid) {
+    return this.sessions.get(callSid);
+  }
+
+  has(callSid) {
+    return this.sessions.has(callSid);
+  }
+
+  set(callSid, session) {
+    this.sessions.set(callSid, session);
+    this.save(callSid);
+    return this;
+  }
+
+  // Persist changes made to a session object in place (no-op in memory)
+  save() {}
+
+  delete(callSid) {
+    return this.sessions.delete(callSid);
+  }
+
+  entries() {
+    return this.sessions.entries();
+  }
+
+  values() {
+    return this.sessions.values();
+  }
+
+  isExpired(session, now = Date.now()) {
+    if (!session.active && session.endTime) {
+      return now - new Date(session.endTime).getTime() > this.ttlMs;
+    }
+    return now - new Date(session.startTime).getTime() > this.maxAgeMs;
+  }
+
+  // Drop expired sessions
+  sweep() {
+    const now = Date.now();
+    for (const [callSid, session] of this.sessions) {
+      if (this.isExpired(session, now)) {
+        this.delete(callSid);
+      }
+    }
+  }
+
+  async close() {
+    clearInterval(this.sweepTimer);
+  }
+}
+
+class FileSessionStore extends MemorySessionStore {
+  // `serialize` / `deserialize` convert between live session objects and JSON data
+  constructor({ dir, serialize = (session) => session, deserialize = (data) => data, ...options }) {
+    super(options);
+    this.dir = dir;
+    this.serialize = serialize;
+    this.deserialize = deserialize;
+    this.writes = new Map();
+
+    fs.mkdirSync(this.dir, { recursive: true });
+    this.load();
+  }
+
+  filePath(callSid) {
+    return path.join(this.dir, `${callSid}.json`);
+  }
+
+  // Read every stored session from disk after a restart. Calls still marked active were
+  // cut off when the previous process stopped (their streams and timers are gone), so they
+  // are marked inactive and `stale` rather than counting as live calls until they expire.
+  load() {
+    for (const file of fs.readdirSync(this.dir).filter((name) => name.endsWith('.json'))) {
+      const callSid = path.basename(file, '.json');
+      try {
+        const session = this.deserialize(JSON.parse(fs.readFileSync(path.join(this.dir, file), 'utf8')));
+        if (session.active) {
+          session.active = false;
+          session.stale = true;
+        }
+        this.sessions.set(callSid, session);
+      } catch (error) {
+        console.error(`Failed to load session ${file}:`, error.message);
+      }
+    }
+  }
+
+  // Write the session to disk; writes for one call are serialized and atomic
+  save(callSid) {
+    const session = this.sessions.get(callSid);
+    if (!session) return Promise.resolve();
+
+    const data = JSON.stringify(this.serialize(session), null, 2);
+    const target = this.filePath(callSid);
+    const previous = this.writes.get(callSid) || Promise.resolve();
+
+    const write = previous
+      .then(async () => {
+        const temp = `${target}.tmp`;
+        await fs.promises.writeFile(temp, data);
+        await fs.promises.rename(temp, target);
+      })
+      .catch((error) => {
+        console.error(`Failed to save session ${callSid}:`, error.message);
+      })
+      .finally(() => {
+        if (this.writes.get(callSid) === write) this.writes.delete(callSid);
+      });
+
+    this.writes.set(callSid, write);
+    return write;
+  }
+
+  delete(callSid) {
+    const existed = super.delete(callSid);
+    const previous = this.writes.get(callSid) || Promise.resolve();
+    previous
+      .then(() => fs.promises.rm(this.filePath(callSid), { force: true }))
+      .catch((error) => console.error(`Failed to delete session ${callSid}:`, error.message));
+    return existed;
+  }
+
+  // Wait for pending writes, e.g. before shutting down
+  async close() {
+    await super.close();
+    await Promise.all(this.writes.values());
+  }
+}
+
+function createSessionStore({ store = 'memory', ...options }) {
+  if (store === 'memory') return new MemorySessionStore(options);
+  if (store === 'file') return new FileSessionStore(options);
+  throw new Error(`Unknown session store "${store}" (available: memory, file)`);
+}
+
+module.exports = {
+  MemorySessionStore,
+  FileSessionStore,
+  createSessionStore,
+};
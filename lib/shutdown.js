@@ -0,0 +1,140 @@
+/**
+ * Graceful shutdown
+ * On SIGTERM (a Railway redeploy) or SIGINT the server drains instead of
+ * cutting live calls: new calls are turned away, active calls get until the
+ * drain deadline to finish, calls still up at the deadline are ended politely,
+ * pending writes (recordings, transcripts) are flushed, and only then are the
+ * servers closed. Each step is a callback supplied by the app:
+ *
+ *   drain()       → stop taking new work (calls, campaign dialing)
+ *   activeCalls() → number of calls still up
+ *   endCalls()    → say goodbye on the remaining calls and hang up
+ *   flush()       → wait for pending writes
+ *   close()       → close the HTTP / WebSocket servers
+ */
+
+const POLL_INTERVAL_MS = 500;
+// Time for goodbyes to play and calls to hang up after the deadline
+const GOODBYE_TIMEOUT_MS = 15000;
+// Open connections still hanging on after this long are cut
+const CLOSE_TIMEOUT_MS = 5000;
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+class GracefulShutdown {
+  constructor({
+    drainMs = 60000,
+    goodbyeMs = GOODBYE_TIMEOUT_MS,
+    drain = () => {},
+    activeCalls,
+    endCalls = async () => {},
+    flush = async () => {},
+    close = async () => {}
+  }) {
+    this.drainMs = drainMs;
+    this.goodbyeMs = goodbyeMs;
+    this.drain = drain;
+    this.activeCalls = activeCalls;
+    this.endCalls = endCalls;
+    this.flush = flush;
+    this.close = close;
+    // 'running' → 'draining' → 'closing' → 'stopped'
+    this.state = 'running';
+    this.since = null;
+    this.deadline = null;
+    this.done = null;
+  }
+
+  get draining() {
+    return this.state !== 'running';
+  }
+
+  // Shutdown state for /health
+  status() {
+    return {
+      state: this.state,
+      draining: this.draining,
+      since: this.since,
+      deadline: this.deadline,
+      activeCalls: this.activeCalls()
+    };
+  }
+
+  // Run the shutdown sequence; later calls return the same promise
+  shutdown(reason = 'shutdown') {
+    if (!this.done) {
+      this.done = this.run(reason);
+    }
+    return this.done;
+  }
+
+  async run(reason) {
+    this.state = 'draining';
+    this.since = new Date();
+    this.deadline = new Date(this.since.getTime() + this.drainMs);
+    this.drain();
+    console.log(`${reason}: draining ${this.activeCalls()} active call(s) until ${this.deadline.toISOString()}`);
+
+    if (!(await this.waitForCalls(this.deadline))) {
+      console.log(`Drain deadline reached, ending ${this.activeCalls()} call(s)`);
+      await this.endCalls();
+      await this.waitForCalls(new Date(Date.now() + this.goodbyeMs));
+    }
+
+    this.state = 'closing';
+    await this.flush();
+    await this.close();
+    this.state = 'stopped';
+    console.log('Shutdown complete');
+  }
+
+  // True once no calls are left, false if `until` passes first
+  async waitForCalls(until) {
+    while (this.activeCalls() > 0) {
+      const remaining = until.getTime() - Date.now();
+      if (remaining <= 0) return false;
+      await sleep(Math.min(POLL_INTERVAL_MS, remaining));
+    }
+    return true;
+  }
+
+  // Shut down on SIGTERM / SIGINT and exit when done; a second signal exits at once
+  listen(signals = ['SIGTERM', 'SIGINT']) {
+    for (const signal of signals) {
+      process.on(signal, () => {
+        if (this.draining) {
+          console.warn(`${signal} received while shutting down, exiting now`);
+          process.exit(1);
+        }
+        this.shutdown(signal).then(
+          () => process.exit(0),
+          (error) => {
+            console.error('Shutdown failed:', error);
+            process.exit(1);
+          }
+        );
+      });
+    }
+    return this;
+  }
+}
+
+// Stop accepting connections and resolve once the server is closed; idle
+// keep-alive connections close right away, busy ones get CLOSE_TIMEOUT_MS
+function closeServer(server) {
+  if (!server || !server.listening) return Promise.resolve();
+
+  return new Promise((resolve) => {
+    const timer = setTimeout(() => server.closeAllConnections(), CLOSE_TIMEOUT_MS);
+    server.close(() => {
+      clearTimeout(timer);
+      resolve();
+    });
+    server.closeIdleConnections();
+  });
+}
+
+module.exports = {
+  GracefulShutdown,
+  closeServer,
+};
@@ -0,0 +1,31 @@
+/**
+ * Server-sent events reader
+ * Parses an OpenAI-compatible `text/event-stream` response body into the
+ * `data:` payload of each event
+ */
+
+async function* readEvents(body) {
+  const decoder = new TextDecoder();
+  let buffer = '';
+
+  for await (const chunk of body) {
+    buffer += decoder.decode(chunk, { stream: true });
+
+    let boundary;
+    while ((boundary = buffer.search(/\r?\n\r?\n/)) !== -1) {
+      const rawEvent = buffer.slice(0, boundary);
+      buffer = buffer.slice(boundary).replace(/^\r?\n\r?\n/, '');
+
+      const data = rawEvent
+        .split(/\r?\n/)
+        .filter((line) => line.startsWith('data:'))
+        .map((line) => line.slice(5).replace(/^ /, ''))
+        .join('\n');
+
+      if (data === '[DONE]') return;
+      if (data) yield data;
+    }
+  }
+}
+
+module.exports = { readEvents };
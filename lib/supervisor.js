@@ -0,0 +1,102 @@
+/**
+ * Supervisor feed
+ * Pushes live call events to supervisor WebSocket clients (the dashboard in
+ * public/dashboard.html). A client first receives a `snapshot` of the active
+ * calls with their transcripts, then one JSON message per event:
+ *
+ *   { type: 'call_started' | 'call_status' | 'utterance' | 'reply' | 'tool_call' | 'call_ended' |
+ *           'listen_in' | 'whisper',
+ *     callSid, timestamp, ...details }
+ */
+
+const WebSocket = require('ws');
+
+// Whom a supervisor whisper goes to: the agent's context, or spoken to the caller
+const WHISPER_TARGETS = ['agent', 'caller'];
+
+// Drop clients that stop answering pings
+const PING_INTERVAL_MS = 30000;
+
+// The fields of a call session a supervisor needs to list it
+function callSummary(session) {
+  return {
+    callSid: session.callSid,
+    from: session.from,
+    to: session.to,
+    direction: session.direction,
+    persona: session.persona.name,
+    status: session.status,
+    active: session.active,
+    startTime: session.startTime,
+    campaign: session.campaign || null
+  };
+}
+
+class SupervisorHub {
+  // `snapshot()` returns the sessions to send a client when it connects
+  constructor({ snapshot }) {
+    this.snapshot = snapshot;
+    this.clients = new Set();
+
+    this.pingTimer = setInterval(() => this.ping(), PING_INTERVAL_MS);
+    this.pingTimer.unref();
+  }
+
+  add(ws) {
+    ws.isAlive = true;
+    ws.on('pong', () => {
+      ws.isAlive = true;
+    });
+    ws.on('close', () => this.clients.delete(ws));
+    ws.on('error', (error) => {
+      console.error('Supervisor WebSocket error:', error.message);
+    });
+
+    this.clients.add(ws);
+    this.send(ws, {
+      type: 'snapshot',
+      timestamp: new Date(),
+      calls: this.snapshot().map((session) => ({ ...callSummary(session), transcript: session.transcript }))
+    });
+  }
+
+  send(ws, message) {
+    if (ws.readyState === WebSocket.OPEN) {
+      ws.send(typeof message === 'string' ? message : JSON.stringify(message));
+    }
+  }
+
+  broadcast(event) {
+    if (this.clients.size === 0) return;
+    const message = JSON.stringify(event);
+    for (const ws of this.clients) {
+      this.send(ws, message);
+    }
+  }
+
+  ping() {
+    for (const ws of this.clients) {
+      if (!ws.isAlive) {
+        ws.terminate();
+        this.clients.delete(ws);
+        continue;
+      }
+      ws.isAlive = false;
+      ws.ping();
+    }
+  }
+
+  close() {
+    clearInterval(this.pingTimer);
+    for (const ws of this.clients) {
+      ws.close();
+    }
+    this.clients.clear();
+  }
+}
+
+module.exports = {
+  WHISPER_TARGETS,
+  SupervisorHub,
+  callSummary,
+};
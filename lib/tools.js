@@ -0,0 +1,168 @@
+/**
+ * LLM tools
+ * Tools are JavaScript handlers with a JSON-schema description that the chat
+ * model may call (OpenAI `tools` / `tool_calls`). A persona lists the tools it
+ * may use by name. Handlers do not touch the call directly: they validate
+ * their arguments and push an action ({ type: 'hangup' | 'transfer' | 'dtmf' })
+ * that the call flow carries out once the spoken reply is done.
+ *
+ *   registry.register({
+ *     name: 'lookup_order',
+ *     description: 'Look up an order by number',
+ *     parameters: { type: 'object', properties: { order: { type: 'string' } }, required: ['order'] },
+ *     handler: async ({ order }, context) => ({ status: 'shipped' })
+ *   });
+ *
+ * Handlers receive the parsed arguments and a context of { callSid, session,
+ * persona, actions, signal } and return a string or JSON-serializable result
+ * for the model. Thrown errors are reported back to the model as the result.
+ */
+
+const { TRANSFER_MODES, resolveTransfer } = require('./transfers');
+
+// The model may produce at most this many rounds of tool calls per reply
+const MAX_TOOL_ROUNDS = 3;
+
+const DTMF_PATTERN = /^[0-9*#wW]{1,32}$/;
+
+class ToolRegistry {
+  constructor() {
+    this.tools = new Map();
+  }
+
+  // `parameters` is a JSON schema, or a function of the persona returning one
+  register({ name, description, parameters = { type: 'object', properties: {} }, handler, isAvailable }) {
+    if (!/^[a-zA-Z0-9_-]{1,64}$/.test(name || '')) {
+      throw new Error(`Invalid tool name "${name}"`);
+    }
+    if (typeof handler !== 'function') {
+      throw new Error(`Tool "${name}" needs a handler function`);
+    }
+    this.tools.set(name, { name, description, parameters, handler, isAvailable });
+    return this;
+  }
+
+  has(name) {
+    return this.tools.has(name);
+  }
+
+  // Tools a persona may use right now (unknown names and unavailable tools are left out)
+  forPersona(persona) {
+    return (persona.tools || [])
+      .map((name) => this.tools.get(name))
+      .filter((tool) => tool && (!tool.isAvailable || tool.isAvailable(persona)));
+  }
+
+  // OpenAI-style tool definitions for a persona
+  definitions(persona) {
+    return this.forPersona(persona).map((tool) => ({
+      type: 'function',
+      function: {
+        name: tool.name,
+        description: tool.description,
+        parameters: typeof tool.parameters === 'function' ? tool.parameters(persona) : tool.parameters
+      }
+    }));
+  }
+
+  // Run one tool call ({ id, name, arguments }) and return the result text for the model
+  async execute(call, context) {
+    const tool = this.forPersona(context.persona).find((candidate) => candidate.name === call.name);
+    if (!tool) {
+      return `Error: unknown tool "${call.name}"`;
+    }
+
+    try {
+      const args = call.arguments ? JSON.parse(call.arguments) : {};
+      const result = await tool.handler(args, context);
+      if (result === undefined || result === null) return 'OK';
+      return typeof result === 'string' ? result : JSON.stringify(result);
+    } catch (error) {
+      return `Error: ${error.message}`;
+    }
+  }
+}
+
+// end_call, transfer_call and send_dtmf
+function registerBuiltinTools(registry) {
+  registry.register({
+    name: 'end_call',
+    description: 'Hang up the phone call after your reply has been spoken. Use when the caller is done ' +
+      'or asks to end the call. Say goodbye in your reply.',
+    parameters: {
+      type: 'object',
+      properties: {
+        reason: { type: 'string', description: 'Why the call is ending' }
+      }
+    },
+    handler: ({ reason }, { actions }) => {
+      actions.push({ type: 'hangup', reason: reason || null });
+      return 'The call will end after your reply.';
+    }
+  });
+
+  registry.register({
+    name: 'transfer_call',
+    description: 'Transfer the caller to a person or department after your reply has been spoken. ' +
+      'Tell the caller they are being transferred. A warm transfer briefs the person first.',
+    // Only the persona's configured targets can be dialed
+    parameters: (persona) => ({
+      type: 'object',
+      properties: {
+        target: {
+          type: 'string',
+          enum: Object.keys(persona.transferTargets),
+          description: 'Who to transfer the call to'
+        },
+        mode: {
+          type: 'string',
+          enum: TRANSFER_MODES,
+          description: `"cold" connects the caller directly, "warm" briefs the person first (default ${persona.transfer.mode})`
+        },
+        reason: { type: 'string', description: 'Why the caller is being transferred' }
+      },
+      required: ['target']
+    }),
+    isAvailable: (persona) => Object.keys(persona.transferTargets || {}).length > 0,
+    handler: ({ target, mode, reason }, { persona, actions }) => {
+      if (!target) {
+        throw new Error('target is required');
+      }
+      actions.push(resolveTransfer(persona, { target, mode, reason, trigger: 'tool' }));
+      return `The call will be transferred to ${target} after your reply.`;
+    }
+  });
+
+  registry.register({
+    name: 'send_dtmf',
+    description: 'Press keys on the phone keypad, e.g. to navigate a phone menu. ' +
+      'Digits 0-9, * and #; "w" waits half a second.',
+    parameters: {
+      type: 'object',
+      properties: {
+        digits: { type: 'string', description: 'Keys to press, e.g. "1" or "1234#"' }
+      },
+      required: ['digits']
+    },
+    handler: ({ digits }, { actions }) => {
+      if (!DTMF_PATTERN.test(digits || '')) {
+        throw new Error('digits may only contain 0-9, *, # and w');
+      }
+      actions.push({ type: 'dtmf', digits });
+      return `Pressed ${digits}.`;
+    }
+  });
+
+  return registry;
+}
+
+function createToolRegistry() {
+  return registerBuiltinTools(new ToolRegistry());
+}
+
+module.exports = {
+  MAX_TOOL_ROUNDS,
+  ToolRegistry,
+  createToolRegistry,
+  registerBuiltinTools,
+};
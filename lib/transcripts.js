@@ -0,0 +1,131 @@
+/**
+ * Call transcript export
+ * Turns a session's transcript entries into timed cues and renders them as
+ * JSON, plain text, WebVTT or SRT. Media stream entries carry startMs / endMs
+ * on the recording's clock; entries from the <Gather> flow only have a
+ * timestamp, so they are placed relative to the call start and their length
+ * is estimated from the number of words.
+ */
+
+const FORMATS = {
+  json: 'application/json; charset=utf-8',
+  text: 'text/plain; charset=utf-8',
+  vtt: 'text/vtt; charset=utf-8',
+  srt: 'application/x-subrip; charset=utf-8'
+};
+
+// Rough speaking time for text without audio timing (~150 words per minute)
+const MS_PER_WORD = 400;
+const MIN_CUE_MS = 1000;
+
+const SPEAKERS = { caller: 'Caller', agent: 'Agent' };
+
+function estimateMs(text) {
+  return Math.max(MIN_CUE_MS, text.split(/\s+/).filter(Boolean).length * MS_PER_WORD);
+}
+
+// Transcript entries with startMs / endMs filled in, in time order
+function transcriptCues(session) {
+  const base = new Date(session.startTime).getTime();
+  const cues = session.transcript.map((entry) => ({
+    ...entry,
+    startMs: entry.startMs ?? Math.max(0, new Date(entry.timestamp).getTime() - base)
+  }));
+  cues.sort((a, b) => a.startMs - b.startMs);
+
+  return cues.map((cue, index) => {
+    if (cue.endMs !== undefined && cue.endMs > cue.startMs) return cue;
+
+    const next = cues[index + 1];
+    const estimatedEnd = cue.startMs + estimateMs(cue.text);
+    const endMs = next && next.startMs > cue.startMs ? Math.min(next.startMs, estimatedEnd) : estimatedEnd;
+    return { ...cue, endMs };
+  });
+}
+
+// HH:MM:SS.mmm (WebVTT) or HH:MM:SS,mmm (SRT)
+function timecode(ms, separator = '.') {
+  const pad = (value, width = 2) => String(value).padStart(width, '0');
+  const hours = Math.floor(ms / 3600000);
+  const minutes = Math.floor((ms % 3600000) / 60000);
+  const seconds = Math.floor((ms % 60000) / 1000);
+  return `${pad(hours)}:${pad(minutes)}:${pad(seconds)}${separator}${pad(ms % 1000, 3)}`;
+}
+
+function speakerName(cue) {
+  return SPEAKERS[cue.speaker] || cue.speaker;
+}
+
+function cueText(cue) {
+  return cue.interrupted ? `${cue.text} [interrupted]` : cue.text;
+}
+
+function toJSON(session) {
+  return {
+    callSid: session.callSid,
+    from: session.from,
+    to: session.to,
+    direction: session.direction,
+    startTime: session.startTime,
+    endTime: session.endTime,
+    recording: session.recording || null,
+    entries: transcriptCues(session)
+  };
+}
+
+function toText(session) {
+  const header = [
+    `Call ${session.callSid}`,
+    `From: ${session.from || 'unknown'}`,
+    `To: ${session.to || 'unknown'}`,
+    `Started: ${new Date(session.startTime).toISOString()}`
+  ];
+  const lines = transcriptCues(session).map((cue) => (
+    `[${timecode(cue.startMs).slice(0, 8)}] ${speakerName(cue)}: ${cueText(cue)}`
+  ));
+  return `${header.join('\n')}\n\n${lines.join('\n')}\n`;
+}
+
+function toWebVTT(session) {
+  const cues = transcriptCues(session).map((cue, index) => [
+    String(index + 1),
+    `${timecode(cue.startMs)} --> ${timecode(cue.endMs)}`,
+    `<v ${speakerName(cue)}>${escapeVtt(cueText(cue))}`
+  ].join('\n'));
+  return `WEBVTT\n\n${cues.map((cue) => `${cue}\n\n`).join('')}`;
+}
+
+function toSrt(session) {
+  return transcriptCues(session).map((cue, index) => [
+    String(index + 1),
+    `${timecode(cue.startMs, ',')} --> ${timecode(cue.endMs, ',')}`,
+    `${speakerName(cue)}: ${cueText(cue)}`
+  ].join('\n') + '\n\n').join('');
+}
+
+function escapeVtt(text) {
+  return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+// Render a session's transcript; returns { contentType, body }
+function exportTranscript(session, format = 'json') {
+  switch (format) {
+    case 'json':
+      return { contentType: FORMATS.json, body: JSON.stringify(toJSON(session), null, 2) };
+    case 'text':
+      return { contentType: FORMATS.text, body: toText(session) };
+    case 'vtt':
+      return { contentType: FORMATS.vtt, body: toWebVTT(session) };
+    case 'srt':
+      return { contentType: FORMATS.srt, body: toSrt(session) };
+    default:
+      throw new Error(`Unknown transcript format "${format}" (available: ${Object.keys(FORMATS).join(', ')})`);
+  }
+}
+
+module.exports = {
+  FORMATS,
+  exportTranscript,
+  transcriptCues,
+  timecode,
+};
@@ -0,0 +1,78 @@
+/**
+ * Call transfer helpers
+ * A cold transfer <Dial>s the target straight from the caller's leg. A warm
+ * transfer puts the caller in a conference on hold, calls the target, reads
+ * them an LLM summary of the call and then joins them to the conference.
+ * Targets are phone numbers or SIP URIs named in the persona's transferTargets.
+ */
+
+const TRANSFER_MODES = ['cold', 'warm'];
+
+const SUMMARY_PROMPT = 'You are briefing a human support agent who is about to take over a phone call ' +
+  'from an AI assistant. In two or three short spoken sentences, say what the caller wants, any details ' +
+  'they gave, and what has already been tried. Plain sentences only.';
+
+// Conference room used to bridge a warm transfer
+function conferenceName(callSid) {
+  return `transfer-${callSid}`;
+}
+
+// Build a transfer action for a persona. `target` names one of its transferTargets;
+// `to` (trusted callers only, e.g. the REST API) dials a number directly.
+function resolveTransfer(persona, { target, to, mode, reason = null, trigger = null } = {}) {
+  const targets = persona.transferTargets || {};
+  const name = target || (!to && (persona.transfer.defaultTarget || Object.keys(targets)[0])) || null;
+
+  if (name && !targets[name]) {
+    throw new Error(`unknown transfer target "${name}" (available: ${Object.keys(targets).join(', ') || 'none'})`);
+  }
+  const number = name ? targets[name] : to;
+  if (!number) {
+    throw new Error('no transfer target configured');
+  }
+
+  const transferMode = mode || persona.transfer.mode;
+  if (!TRANSFER_MODES.includes(transferMode)) {
+    throw new Error(`transfer mode must be one of: ${TRANSFER_MODES.join(', ')}`);
+  }
+
+  return { type: 'transfer', target: name, to: number, mode: transferMode, reason, trigger };
+}
+
+// Add a number or SIP endpoint to a <Dial>
+function dialTarget(dial, to) {
+  if (to.startsWith('sip:')) {
+    dial.sip(to);
+  } else {
+    dial.number(to);
+  }
+}
+
+// Chat messages asking the LLM to brief the human taking over the call
+function summaryMessages(session, maxEntries = 30) {
+  const lines = session.transcript
+    .slice(-maxEntries)
+    .map((entry) => `${entry.speaker === 'caller' ? 'Caller' : 'Assistant'}: ${entry.text}`);
+
+  return [
+    { role: 'system', content: SUMMARY_PROMPT },
+    { role: 'user', content: lines.length > 0 ? lines.join('\n') : 'The caller has not said anything yet.' }
+  ];
+}
+
+// Briefing used when the LLM is unavailable
+function fallbackSummary(session) {
+  const lastCaller = [...session.transcript].reverse().find((entry) => entry.speaker === 'caller');
+  return lastCaller
+    ? `The caller's last words were: ${lastCaller.text}`
+    : 'The caller asked to speak to a person.';
+}
+
+module.exports = {
+  TRANSFER_MODES,
+  conferenceName,
+  resolveTransfer,
+  dialTarget,
+  summaryMessages,
+  fallbackSummary,
+};
@@ -0,0 +1,68 @@
+/**
+ * Twilio request signature validation
+ * Checks the X-Twilio-Signature header on webhook requests and on the
+ * Media Streams WebSocket upgrade, so only Twilio can drive call routes.
+ */
+
+const { validateRequest } = require('twilio');
+
+// URLs Twilio may have signed for this request. Behind Railway's proxy the app
+// sees plain http on an internal host, so prefer the public DEPLOYMENT_URL and
+// fall back to the forwarded protocol/host headers.
+function candidateUrls(req, baseUrl, websocket = false) {
+  const path = req.originalUrl || req.url;
+  const urls = [];
+
+  if (baseUrl) {
+    const base = baseUrl.replace(/\/+$/, '');
+    urls.push(`${websocket ? base.replace(/^http/, 'ws') : base}${path}`);
+  }
+
+  const headers = req.headers;
+  const forwardedProto = (headers['x-forwarded-proto'] || '').split(',')[0].trim();
+  const forwardedHost = (headers['x-forwarded-host'] || '').split(',')[0].trim();
+  const host = forwardedHost || headers.host;
+  if (host) {
+    const secure = forwardedProto ? forwardedProto === 'https' : Boolean(req.socket?.encrypted);
+    const scheme = websocket ? (secure ? 'wss' : 'ws') : (secure ? 'https' : 'http');
+    urls.push(`${scheme}://${host}${path}`);
+  }
+
+  return urls;
+}
+
+function isValidSignature(req, { authToken, baseUrl }, params, websocket) {
+  const signature = req.headers['x-twilio-signature'];
+  if (!authToken || !signature) return false;
+
+  return candidateUrls(req, baseUrl, websocket)
+    .some((url) => validateRequest(authToken, signature, url, params));
+}
+
+// Express middleware rejecting webhook requests that were not signed by Twilio
+function twilioWebhook({ authToken, baseUrl, enabled = true }) {
+  if (enabled && !authToken) {
+    console.warn('TWILIO_AUTH_TOKEN not set, Twilio webhook requests will be rejected');
+  }
+
+  return (req, res, next) => {
+    if (!enabled) return next();
+
+    if (!isValidSignature(req, { authToken, baseUrl }, req.body || {}, false)) {
+      console.warn(`Rejected unsigned Twilio request: ${req.method} ${req.originalUrl}`);
+      return res.status(403).json({ error: 'Invalid Twilio signature' });
+    }
+    next();
+  };
+}
+
+// Check the signature Twilio sends on the Media Streams WebSocket handshake
+function isValidUpgrade(request, { authToken, baseUrl, enabled = true }) {
+  if (!enabled) return true;
+  return isValidSignature(request, { authToken, baseUrl }, {}, true);
+}
+
+module.exports = {
+  twilioWebhook,
+  isValidUpgrade,
+};
@@ -0,0 +1,111 @@
+/**
+ * Voice activity detection for 8 kHz μ-law media frames
+ * Classifies each frame by energy and zero-crossing rate and emits
+ * speech_start / speech_end events with the captured utterance
+ */
+
+const EventEmitter = require('events');
+const codec = require('./codec');
+
+const { FRAME_MS } = codec;
+
+const DEFAULTS = {
+  // Minimum RMS level for a frame to count as voiced
+  energyThreshold: 500,
+  // Frames crossing zero more often than this are treated as noise/hiss
+  zeroCrossingThreshold: 0.35,
+  // Continuous voiced audio required before speech_start fires
+  minSpeechMs: 60,
+  // Trailing silence that ends an utterance
+  silenceMs: 700,
+  // Utterances shorter than this are discarded instead of emitted
+  minUtteranceMs: 250,
+  // Force an endpoint on very long utterances
+  maxUtteranceMs: 15000,
+  // Audio kept from before speech_start so the first syllable is not clipped
+  prerollMs: 200,
+};
+
+class VoiceActivityDetector extends EventEmitter {
+  constructor(options = {}) {
+    super();
+    this.options = { ...DEFAULTS, ...options };
+    this.reset();
+  }
+
+  reset() {
+    this.speaking = false;
+    this.voicedMs = 0;
+    this.silenceMs = 0;
+    this.speechMs = 0;
+    this.preroll = [];
+    this.frames = [];
+  }
+
+  // Classify a single μ-law frame as voiced or silent
+  isVoiced(frame) {
+    const pcm = codec.mulawToPcm(frame);
+    return codec.rms(pcm) >= this.options.energyThreshold &&
+      codec.zeroCrossingRate(pcm) <= this.options.zeroCrossingThreshold;
+  }
+
+  // Feed one inbound μ-law frame through the detector
+  process(frame) {
+    const frameMs = (frame.length / codec.SAMPLE_RATE) * 1000 || FRAME_MS;
+    const voiced = this.isVoiced(frame);
+
+    if (!this.speaking) {
+      this.preroll.push(frame);
+      const prerollFrames = Math.max(1, Math.ceil(this.options.prerollMs / FRAME_MS));
+      while (this.preroll.length > prerollFrames) {
+        this.preroll.shift();
+      }
+
+      this.voicedMs = voiced ? this.voicedMs + frameMs : 0;
+      if (this.voicedMs >= this.options.minSpeechMs) {
+        this.speaking = true;
+        this.frames = this.preroll;
+        this.preroll = [];
+        this.speechMs = this.voicedMs;
+        this.silenceMs = 0;
+        this.emit('speech_start');
+      }
+      return;
+    }
+
+    this.frames.push(frame);
+    if (voiced) {
+      this.speechMs += frameMs;
+      this.silenceMs = 0;
+    } else {
+      this.silenceMs += frameMs;
+    }
+
+    const durationMs = this.frames.length * FRAME_MS;
+    if (this.silenceMs >= this.options.silenceMs || durationMs >= this.options.maxUtteranceMs) {
+      this.endUtterance();
+    }
+  }
+
+  // Close the current utterance, emitting it if it is long enough
+  endUtterance() {
+    if (!this.speaking) return;
+
+    const audio = Buffer.concat(this.frames);
+    const speechMs = this.speechMs;
+    // Silence at the end of `audio` that closed the utterance
+    const trailingSilenceMs = this.silenceMs;
+    const durationMs = Math.round((audio.length / codec.SAMPLE_RATE) * 1000);
+    this.reset();
+
+    if (speechMs < this.options.minUtteranceMs) {
+      this.emit('speech_discarded', { audio, durationMs, speechMs, trailingSilenceMs });
+    } else {
+      this.emit('speech_end', { audio, durationMs, speechMs, trailingSilenceMs });
+    }
+  }
+}
+
+VoiceActivityDetector.DEFAULTS = DEFAULTS;
+
+module.exports = VoiceActivityDetector;
@@ -0,0 +1,93 @@
+/**
+ * Voicemail storage
+ * Each voicemail is a JSON metadata file (caller, persona, duration, reason,
+ * transcript) plus the audio downloaded from Twilio, both named after the
+ * Twilio recording SID: `<dir>/<id>.json` and `<dir>/<id>.wav`. Metadata is
+ * also kept in memory so listing does not touch the disk.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+// Twilio recording SIDs; anything else is rejected before touching the filesystem
+const ID_PATTERN = /^[A-Za-z0-9]{2,64}$/;
+
+class VoicemailStore {
+  constructor({ dir }) {
+    this.dir = dir;
+    this.voicemails = new Map();
+    fs.mkdirSync(this.dir, { recursive: true });
+    this.load();
+  }
+
+  load() {
+    for (const name of fs.readdirSync(this.dir).filter((file) => file.endsWith('.json'))) {
+      try {
+        const voicemail = JSON.parse(fs.readFileSync(path.join(this.dir, name), 'utf8'));
+        this.voicemails.set(voicemail.id, voicemail);
+      } catch (error) {
+        console.error(`Failed to load voicemail ${name}:`, error.message);
+      }
+    }
+    if (this.voicemails.size > 0) {
+      console.log(`Loaded ${this.voicemails.size} voicemail(s) from ${this.dir}`);
+    }
+  }
+
+  // Path of a voicemail file, or null for anything that is not a recording SID
+  filePath(id, extension) {
+    if (!ID_PATTERN.test(id || '')) return null;
+    return path.join(this.dir, `${id}.${extension}`);
+  }
+
+  audioPath(id) {
+    const file = this.filePath(id, 'wav');
+    return file && fs.existsSync(file) ? file : null;
+  }
+
+  get(id) {
+    return this.voicemails.get(id) || null;
+  }
+
+  // Newest first, optionally only one call's or one persona's voicemails
+  list({ callSid, persona } = {}) {
+    return Array.from(this.voicemails.values())
+      .filter((voicemail) => !callSid || voicemail.callSid === callSid)
+      .filter((voicemail) => !persona || voicemail.persona === persona)
+      .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+  }
+
+  // Create or update a voicemail's metadata
+  save(id, changes) {
+    const file = this.filePath(id, 'json');
+    if (!file) {
+      throw new Error(`Invalid voicemail id "${id}"`);
+    }
+
+    const voicemail = { id, ...this.voicemails.get(id), ...changes };
+    this.voicemails.set(id, voicemail);
+    const temp = `${file}.tmp`;
+    fs.writeFileSync(temp, JSON.stringify(voicemail, null, 2));
+    fs.renameSync(temp, file);
+    return voicemail;
+  }
+
+  async saveAudio(id, wav) {
+    const file = this.filePath(id, 'wav');
+    const temp = `${file}.tmp`;
+    await fs.promises.writeFile(temp, wav);
+    await fs.promises.rename(temp, file);
+  }
+
+  delete(id) {
+    if (!this.voicemails.delete(id)) return false;
+    for (const extension of ['json', 'wav']) {
+      fs.rmSync(this.filePath(id, extension), { force: true });
+    }
+    return true;
+  }
+}
+
+module.exports = {
+  VoicemailStore,
+};
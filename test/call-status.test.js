@@ -0,0 +1,115 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { applyStatusUpdate, isTerminal, isKnownStatus } = require('../lib/call-status');
+const { startServer } = require('./helpers/server');
+
+function session() {
+  return { status: null, statusHistory: [], duration: null, answeredBy: null, active: true, endTime: null };
+}
+
+const at = (seconds) => new Date(Date.UTC(2026, 0, 1, 12, 0, seconds));
+
+test.describe('applyStatusUpdate', () => {
+  test('moves a call forward through its statuses', () => {
+    const call = session();
+    assert.deepStrictEqual(applyStatusUpdate(call, { status: 'ringing', timestamp: at(1) }), { changed: true, terminal: false });
+    assert.deepStrictEqual(applyStatusUpdate(call, { status: 'in-progress', timestamp: at(2) }), { changed: true, terminal: false });
+    assert.strictEqual(call.status, 'in-progress');
+    assert.strictEqual(call.active, true);
+  });
+
+  test('a repeated callback changes nothing', () => {
+    const call = session();
+    applyStatusUpdate(call, { status: 'ringing', timestamp: at(1) });
+    assert.deepStrictEqual(applyStatusUpdate(call, { status: 'ringing', timestamp: at(2) }), { changed: false, terminal: false });
+    assert.deepStrictEqual(call.statusHistory, [{ status: 'ringing', timestamp: at(1) }]);
+
+    applyStatusUpdate(call, { status: 'completed', timestamp: at(5), duration: 4 });
+    assert.deepStrictEqual(applyStatusUpdate(call, { status: 'completed', timestamp: at(6), duration: 4 }),
+      { changed: false, terminal: false });
+  });
+
+  test('a late ringing does not move the call backwards', () => {
+    const call = session();
+    applyStatusUpdate(call, { status: 'in-progress', timestamp: at(2) });
+    const result = applyStatusUpdate(call, { status: 'ringing', timestamp: at(1) });
+
+    // Recorded in the history, in timestamp order, but the status stays put
+    assert.deepStrictEqual(result, { changed: true, terminal: false });
+    assert.strictEqual(call.status, 'in-progress');
+    assert.deepStrictEqual(call.statusHistory.map((entry) => entry.status), ['ringing', 'in-progress']);
+  });
+
+  test('a terminal status is final', () => {
+    const call = session();
+    applyStatusUpdate(call, { status: 'in-progress', timestamp: at(1) });
+    assert.deepStrictEqual(applyStatusUpdate(call, { status: 'completed', timestamp: at(9) }), { changed: true, terminal: true });
+    assert.strictEqual(call.active, false);
+    assert.deepStrictEqual(call.endTime, at(9));
+
+    for (const status of ['in-progress', 'failed']) {
+      assert.strictEqual(applyStatusUpdate(call, { status, timestamp: at(10) }).terminal, false);
+      assert.strictEqual(call.status, 'completed');
+    }
+    assert.deepStrictEqual(call.endTime, at(9));
+  });
+
+  test('captures the duration and answering-machine result', () => {
+    const call = session();
+    applyStatusUpdate(call, { status: 'in-progress', timestamp: at(1), answeredBy: 'human' });
+    applyStatusUpdate(call, { status: 'completed', timestamp: at(30), duration: 29 });
+    assert.strictEqual(call.answeredBy, 'human');
+    assert.strictEqual(call.duration, 29);
+
+    // A later copy of the final callback may still carry a value we did not have
+    assert.deepStrictEqual(applyStatusUpdate(call, { status: 'completed', duration: 30 }), { changed: true, terminal: false });
+    assert.strictEqual(call.duration, 30);
+  });
+
+  test('ignores unknown statuses', () => {
+    const call = session();
+    assert.deepStrictEqual(applyStatusUpdate(call, { status: 'exploded', duration: 5 }), { changed: false, terminal: false });
+    assert.deepStrictEqual(call, session());
+    assert.strictEqual(isKnownStatus('toString'), false);
+    assert.strictEqual(isTerminal('busy'), true);
+    assert.strictEqual(isTerminal('ringing'), false);
+  });
+});
+
+test.describe('POST /voice/status-callback', () => {
+  const CALL_SID = 'CA00000000000000000000000000000011';
+  let server;
+
+  test.before(async () => {
+    server = await startServer();
+  });
+  test.after(() => server.stop());
+
+  test('applies callbacks once, whatever order they arrive in', async () => {
+    const { voiceAgent } = server;
+    const events = [];
+    const listener = (event) => event.callSid === CALL_SID && events.push(event.type);
+    voiceAgent.events.on('event', listener);
+
+    try {
+      const callback = (CallStatus, extra = {}) => server.webhook('/voice/status-callback', {
+        CallSid: CALL_SID, CallStatus, From: '+15551234567', To: '+15550001111', ...extra
+      });
+      await callback('in-progress', { CallDuration: '' });
+      await callback('ringing', { CallDuration: '' });
+      await callback('in-progress', { CallDuration: '' });
+      await callback('completed', { CallDuration: '42', AnsweredBy: 'human' });
+      await callback('completed', { CallDuration: '42', AnsweredBy: 'human' });
+
+      const session = voiceAgent.getSession(CALL_SID);
+      assert.strictEqual(session.status, 'completed');
+      assert.strictEqual(session.duration, 42);
+      assert.strictEqual(session.answeredBy, 'human');
+      // Only the callbacks that changed something are published; the empty CallDuration is not a change
+      assert.strictEqual(events.filter((type) => type === 'call_status').length, 3);
+      assert.strictEqual(events.filter((type) => type === 'call_ended').length, 1);
+    } finally {
+      voiceAgent.events.off('event', listener);
+    }
+  });
+});
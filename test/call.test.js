@@ -0,0 +1,157 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const WebSocket = require('ws');
+const codec = require('../lib/codec');
+const { startServer } = require('./helpers/server');
+
+// 300 ms of silence, 600 ms of voiced tone, 1000 ms of silence: one utterance for the VAD
+const UTTERANCE = codec.frameMulaw(codec.pcmToMulaw(
+  codec.readWav(fs.readFileSync(path.join(__dirname, 'fixtures', 'utterance.wav'))).pcm
+));
+
+// Records REST requests; calls.create answers with CALL_SID
+const CALL_SID = 'CA00000000000000000000000000000009';
+function stubTwilioClient() {
+  const client = {
+    created: [],
+    updates: [],
+    calls: Object.assign((sid) => ({
+      async update(params) {
+        client.updates.push([sid, params]);
+        return { sid };
+      }
+    }), {
+      async create(params) {
+        client.created.push(params);
+        return { sid: CALL_SID, status: 'queued' };
+      }
+    })
+  };
+  return client;
+}
+
+// Twilio's side of a bidirectional media stream: sends caller audio and echoes every mark
+// as soon as it arrives, as if the agent audio before it had finished playing
+async function connectStream(url, { callSid, streamSid }) {
+  const ws = new WebSocket(url);
+  await new Promise((resolve, reject) => {
+    ws.once('open', resolve);
+    ws.once('error', reject);
+  });
+
+  const stream = { ws, received: [], sequenceNumber: 0, chunk: 0 };
+  const send = (message) => ws.send(JSON.stringify({ ...message, sequenceNumber: String(++stream.sequenceNumber), streamSid }));
+
+  ws.on('message', (data) => {
+    const message = JSON.parse(data);
+    stream.received.push(message);
+    if (message.event === 'mark') {
+      send({ event: 'mark', mark: message.mark });
+    }
+  });
+  stream.closed = new Promise((resolve) => ws.once('close', resolve));
+
+  ws.send(JSON.stringify({ event: 'connected', protocol: 'Call', version: '1.0.0' }));
+  send({
+    event: 'start',
+    start: {
+      streamSid,
+      callSid,
+      tracks: ['inbound'],
+      customParameters: {},
+      mediaFormat: { encoding: 'audio/x-mulaw', sampleRate: 8000, channels: 1 }
+    }
+  });
+
+  stream.say = (frames) => {
+    for (const frame of frames) {
+      stream.chunk++;
+      send({
+        event: 'media',
+        media: { track: 'inbound', chunk: String(stream.chunk), timestamp: String(stream.chunk * 20), payload: frame.toString('base64') }
+      });
+    }
+  };
+  return stream;
+}
+
+async function waitFor(check, what) {
+  for (let attempt = 0; attempt < 200; attempt++) {
+    if (check()) return;
+    await new Promise((resolve) => setTimeout(resolve, 10));
+  }
+  assert.fail(`Timed out waiting for ${what}`);
+}
+
+test.describe('scripted call with the mock providers', () => {
+  let server;
+  let client;
+
+  test.before(async () => {
+    server = await startServer({
+      MOCK_TRANSCRIPTS: 'Where is my order?|Goodbye',
+      MOCK_REPLIES: 'Your order ships tomorrow. Anything else?',
+      MEDIA_STREAM_MODE: 'connect'
+    });
+    client = stubTwilioClient();
+    server.voiceAgent.twilioClient = client;
+  });
+  test.after(() => server.stop());
+
+  test('greets, answers the caller and hangs up on goodbye', async () => {
+    const { voiceAgent } = server;
+
+    const placed = await server.api('POST', '/voice/outbound', {
+      body: { to: '+15551234567', greeting: 'Hi, this is Acme.' }
+    });
+    assert.strictEqual(placed.status, 201);
+
+    // Twilio fetches the call's TwiML, then opens the stream it names
+    const twiml = await server.webhook('/voice/media-stream', { CallSid: CALL_SID, From: '+15550001111', To: '+15551234567' });
+    const [, streamPath] = twiml.match(/<Stream url="wss:\/\/voice\.example\.com(\/media\/\w+)"/);
+    const stream = await connectStream(`${server.wsBase}${streamPath}`, { callSid: CALL_SID, streamSid: 'MZ0001' });
+    const session = voiceAgent.getSession(CALL_SID);
+    const transcript = () => session.transcript.map(({ speaker, text }) => [speaker, text]);
+
+    await waitFor(() => session.transcript.length === 1, 'the greeting');
+    stream.say(UTTERANCE);
+    await waitFor(() => session.transcript.length === 3, 'the first reply');
+    stream.say(UTTERANCE);
+    await stream.closed;
+
+    assert.deepStrictEqual(transcript(), [
+      ['agent', 'Hi, this is Acme.'],
+      ['caller', 'Where is my order?'],
+      ['agent', 'Your order ships tomorrow. Anything else?'],
+      ['caller', 'Goodbye'],
+      ['agent', session.persona.fallbacks.goodbye]
+    ]);
+    assert.deepStrictEqual(client.updates, [[CALL_SID, { status: 'completed' }]]);
+    assert.strictEqual(session.active, false);
+
+    // Each reply was sent as media followed by a mark; nothing was cleared by a barge-in
+    const events = new Set(stream.received.map((message) => message.event));
+    assert.deepStrictEqual(Array.from(events).sort(), ['mark', 'media']);
+    assert.ok(stream.received.every((message) => message.streamSid === 'MZ0001'));
+
+    // The protocol saw every message in order
+    const { stats } = session.mediaStream;
+    assert.strictEqual(stats.gaps, 0);
+    assert.strictEqual(stats.outOfOrder, 0);
+    assert.strictEqual(stats.invalid, 0);
+
+    const { transcriber, chatModel, synthesizer } = voiceAgent.aiManager;
+    assert.strictEqual(transcriber.calls.length, 2);
+    assert.ok(transcriber.calls.every((wav) => wav.toString('ascii', 0, 4) === 'RIFF'));
+    // The goodbye is a hang-up phrase, so the model was only asked once
+    assert.strictEqual(chatModel.calls.length, 1);
+    assert.deepStrictEqual(synthesizer.calls, [
+      'Hi, this is Acme.',
+      'Your order ships tomorrow.',
+      'Anything else?',
+      session.persona.fallbacks.goodbye
+    ]);
+  });
+});
@@ -0,0 +1,74 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { startServer } = require('./helpers/server');
+
+const CALL_SID = 'CA00000000000000000000000000000007';
+
+test.describe('GET /voice/calls', () => {
+  let server;
+
+  test.before(async () => {
+    server = await startServer();
+    const { voiceAgent } = server;
+    voiceAgent.createSession(CALL_SID, {
+      from: '+15550001111',
+      to: '+15551234567',
+      direction: 'outbound',
+      status: 'in-progress',
+      context: { name: 'Ada', accountNumber: '12345678' }
+    });
+    voiceAgent.recordUtterance(CALL_SID, 'Hi, who is this?');
+    const session = voiceAgent.getSession(CALL_SID);
+    session.whispers.push({ target: 'agent', text: 'Offer the discount', timestamp: new Date() });
+    session.toolCalls.push({ name: 'end_call', arguments: {}, result: 'ok', timestamp: new Date() });
+    voiceAgent.createSession('CA00000000000000000000000000000008', {
+      from: '+15557654321', to: '+15550001111', status: 'completed'
+    });
+  });
+  test.after(() => server.stop());
+
+  test('require the API key', async () => {
+    for (const pathname of ['/voice/calls', `/voice/calls/${CALL_SID}`]) {
+      const { status } = await server.api('GET', pathname, { key: null });
+      assert.strictEqual(status, 401, pathname);
+    }
+  });
+
+  test('lists active calls, or all calls with ?all=true', async () => {
+    const active = await server.api('GET', '/voice/calls');
+    assert.strictEqual(active.status, 200);
+    assert.strictEqual(active.body.activeCalls, 1);
+    assert.deepStrictEqual(active.body.calls.map((call) => call.callSid), [CALL_SID]);
+
+    const all = await server.api('GET', '/voice/calls?all=true');
+    assert.strictEqual(all.body.calls.length, 2);
+  });
+
+  test('describe calls without context, conversation, tool calls or whispers', async () => {
+    const { body } = await server.api('GET', '/voice/calls');
+    const [call] = body.calls;
+
+    assert.deepStrictEqual(Object.keys(call).sort(), [
+      'active', 'answeredBy', 'callSid', 'campaign', 'direction', 'duration', 'endTime', 'from',
+      'mediaStream', 'persona', 'recording', 'stale', 'startTime', 'status', 'statusHistory', 'streamMode',
+      'to', 'transcriptEntries', 'transfer', 'voicemail'
+    ]);
+    assert.strictEqual(call.persona, 'default');
+    assert.strictEqual(call.transcriptEntries, 1);
+    assert.doesNotMatch(JSON.stringify(body), /12345678|Offer the discount|end_call|systemPrompt/);
+  });
+
+  test('call details add the transcript only', async () => {
+    const { status, body } = await server.api('GET', `/voice/calls/${CALL_SID}`);
+    assert.strictEqual(status, 200);
+    assert.deepStrictEqual(body.transcript.map((entry) => entry.text), ['Hi, who is this?']);
+    assert.strictEqual(body.context, undefined);
+    assert.strictEqual(body.whispers, undefined);
+    assert.strictEqual(body.toolCalls, undefined);
+    assert.strictEqual(body.amd, undefined);
+    assert.strictEqual(body.conversation, undefined);
+
+    const missing = await server.api('GET', '/voice/calls/CAunknown');
+    assert.strictEqual(missing.status, 404);
+  });
+});
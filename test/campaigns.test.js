@@ -0,0 +1,57 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { startServer } = require('./helpers/server');
+
+const CALL_SID = 'CA00000000000000000000000000000013';
+
+test.describe('campaign calls', () => {
+  let server;
+
+  test.before(async () => {
+    server = await startServer();
+  });
+  test.after(() => server.stop());
+
+  // Twilio reports `statuses` for the call before calls.create has returned
+  function stubTwilioClient(statuses) {
+    return {
+      calls: {
+        async create(params) {
+          for (const [CallStatus, extra] of statuses) {
+            await server.webhook('/voice/status-callback', {
+              CallSid: CALL_SID, CallStatus, From: params.from, To: params.to, ...extra
+            });
+          }
+          return { sid: CALL_SID, status: 'queued' };
+        }
+      }
+    };
+  }
+
+  test('settle a contact whose call ended before placeCall returned', async () => {
+    const { voiceAgent } = server;
+    voiceAgent.twilioClient = stubTwilioClient([
+      ['ringing', {}],
+      ['busy', { CallDuration: '0' }]
+    ]);
+    const campaign = voiceAgent.campaigns.create({ name: 'Early status', contacts: [{ to: '+15551234567' }] });
+    voiceAgent.campaigns.start(campaign.id);
+    await voiceAgent.campaigns.tick();
+
+    const [contact] = campaign.contacts;
+    assert.strictEqual(contact.outcome, 'busy');
+    assert.strictEqual(contact.state, 'retry');
+    assert.deepStrictEqual(contact.callSids, [CALL_SID]);
+    assert.strictEqual(voiceAgent.campaigns.calls.has(CALL_SID), false);
+
+    // The outbound session replaces the placeholder the callbacks created, keeping their statuses
+    const session = voiceAgent.getSession(CALL_SID);
+    assert.strictEqual(session.direction, 'outbound');
+    assert.strictEqual(session.campaign.id, campaign.id);
+    assert.strictEqual(session.status, 'busy');
+    assert.strictEqual(session.active, false);
+    assert.strictEqual(session.duration, 0);
+    assert.deepStrictEqual(session.statusHistory.map((entry) => entry.status), ['queued', 'ringing', 'busy']);
+    voiceAgent.campaigns.cancel(campaign.id);
+  });
+});
@@ -0,0 +1,159 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const codec = require('../lib/codec');
+
+// `seconds` of a sine wave at `frequency` Hz
+function sine(frequency, rate, seconds = 0.1, amplitude = 10000) {
+  return Int16Array.from({ length: Math.round(rate * seconds) },
+    (_, i) => Math.round(amplitude * Math.sin((2 * Math.PI * frequency * i) / rate)));
+}
+
+test.describe('μ-law', () => {
+  test('every code decodes and re-encodes to itself', () => {
+    const codes = Buffer.from(Array.from({ length: 256 }, (_, i) => i));
+    const decoded = codec.mulawToPcm(codes);
+    // 0x7f and 0xff are both zero; zero encodes as 0xff
+    const expected = Buffer.from(codes).fill(0xff, 0x7f, 0x80);
+    assert.deepStrictEqual(codec.pcmToMulaw(decoded), expected);
+  });
+
+  test('matches the G.711 reference values', () => {
+    assert.deepStrictEqual(Array.from(codec.mulawToPcm(Buffer.from([0xff, 0x7f, 0x80, 0x00, 0xfe, 0x7e]))),
+      [0, 0, 32124, -32124, 8, -8]);
+    assert.deepStrictEqual(codec.pcmToMulaw(Int16Array.from([0, 32767, -32768, 8, -8])),
+      Buffer.from([0xff, 0x80, 0x00, 0xfe, 0x7e]));
+  });
+
+  test('round-trips PCM within the quantization error', () => {
+    const pcm = Int16Array.from({ length: 2001 }, (_, i) => (i - 1000) * 32);
+    const roundTrip = codec.mulawToPcm(codec.pcmToMulaw(pcm));
+    for (let i = 0; i < pcm.length; i++) {
+      // Steps grow with the magnitude: at most 1/16 of the value plus the smallest step
+      assert.ok(Math.abs(roundTrip[i] - pcm[i]) <= Math.abs(pcm[i]) / 16 + 8, `sample ${pcm[i]} → ${roundTrip[i]}`);
+    }
+  });
+});
+
+test.describe('resample', () => {
+  test('returns a copy at the same rate', () => {
+    const pcm = Int16Array.from([1, 2, 3]);
+    const out = codec.resample(pcm, 8000, 8000);
+    assert.deepStrictEqual(out, pcm);
+    assert.notStrictEqual(out, pcm);
+  });
+
+  test('scales the length by the rate ratio', () => {
+    const pcm = sine(440, 8000);
+    assert.strictEqual(codec.resample(pcm, 8000, 16000).length, 1600);
+    assert.strictEqual(codec.resample(pcm, 8000, 24000).length, 2400);
+    assert.strictEqual(codec.resample(sine(440, 24000), 24000, 8000).length, 800);
+  });
+
+  test('keeps tones below the new Nyquist frequency', () => {
+    const up = codec.resample(sine(440, 8000), 8000, 16000);
+    assert.ok(Math.abs(codec.rms(up) - codec.rms(sine(440, 16000))) < 200);
+
+    const down = codec.resample(sine(440, 24000), 24000, 8000);
+    assert.ok(Math.abs(codec.rms(down.subarray(20, -20)) - codec.rms(sine(440, 8000))) < 500);
+  });
+
+  test('filters tones above the new Nyquist frequency when downsampling', () => {
+    // 6 kHz would alias to 2 kHz at 8 kHz
+    const down = codec.resample(sine(6000, 24000), 24000, 8000);
+    assert.ok(codec.rms(down.subarray(20, -20)) < codec.rms(sine(6000, 24000)) / 10);
+  });
+});
+
+test.describe('WAV', () => {
+  test('writes a 44-byte PCM header', () => {
+    const wav = codec.writeWav(Int16Array.from([1, -1, 32767]), 16000);
+    assert.strictEqual(wav.length, 44 + 6);
+    assert.strictEqual(wav.toString('ascii', 0, 4), 'RIFF');
+    assert.strictEqual(wav.readUInt32LE(4), 36 + 6);
+    assert.strictEqual(wav.toString('ascii', 8, 16), 'WAVEfmt ');
+    assert.strictEqual(wav.readUInt32LE(16), 16);
+    assert.strictEqual(wav.readUInt16LE(20), 1); // PCM
+    assert.strictEqual(wav.readUInt16LE(22), 1); // mono
+    assert.strictEqual(wav.readUInt32LE(24), 16000);
+    assert.strictEqual(wav.readUInt32LE(28), 32000); // byte rate
+    assert.strictEqual(wav.readUInt16LE(32), 2); // block align
+    assert.strictEqual(wav.readUInt16LE(34), 16);
+    assert.strictEqual(wav.toString('ascii', 36, 40), 'data');
+    assert.strictEqual(wav.readUInt32LE(40), 6);
+    assert.deepStrictEqual([wav.readInt16LE(44), wav.readInt16LE(46), wav.readInt16LE(48)], [1, -1, 32767]);
+  });
+
+  test('reads back what it writes', () => {
+    const pcm = sine(300, 24000);
+    const { audioFormat, channels, sampleRate, bitsPerSample, pcm: read } = codec.readWav(codec.writeWav(pcm, 24000));
+    assert.deepStrictEqual({ audioFormat, channels, sampleRate, bitsPerSample },
+      { audioFormat: 1, channels: 1, sampleRate: 24000, bitsPerSample: 16 });
+    assert.deepStrictEqual(read, pcm);
+  });
+
+  test('reads the PCM fixture', () => {
+    const { sampleRate, pcm } = codec.readWav(fs.readFileSync(path.join(__dirname, 'fixtures', 'utterance.wav')));
+    assert.strictEqual(sampleRate, 8000);
+    assert.strictEqual(pcm.length, 15200);
+  });
+
+  test('reads μ-law data and skips unknown chunks', () => {
+    const mulaw = Buffer.from([0xff, 0x80, 0x00]);
+    const fmt = Buffer.alloc(16);
+    fmt.writeUInt16LE(7, 0);
+    fmt.writeUInt16LE(1, 2);
+    fmt.writeUInt32LE(8000, 4);
+    fmt.writeUInt32LE(8000, 8);
+    fmt.writeUInt16LE(1, 12);
+    fmt.writeUInt16LE(8, 14);
+    const chunk = (id, body) => Buffer.concat([Buffer.from(id), Buffer.from(Uint32Array.of(body.length).buffer), body,
+      Buffer.alloc(body.length % 2)]);
+    const body = Buffer.concat([
+      Buffer.from('WAVE'),
+      chunk('fmt ', fmt),
+      // Odd-sized chunks are padded to a word boundary
+      chunk('LIST', Buffer.from('abc')),
+      chunk('data', mulaw)
+    ]);
+    const wav = Buffer.concat([Buffer.from('RIFF'), Buffer.from(Uint32Array.of(body.length).buffer), body]);
+
+    const { audioFormat, pcm } = codec.readWav(wav);
+    assert.strictEqual(audioFormat, 7);
+    assert.deepStrictEqual(Array.from(pcm), [0, 32124, -32124]);
+  });
+
+  test('rejects files it cannot read', () => {
+    assert.throws(() => codec.readWav(Buffer.from('not a wav file')), /Not a RIFF\/WAVE file/);
+    const wav = codec.writeWav(Int16Array.from([1]));
+    assert.throws(() => codec.readWav(wav.subarray(0, 36)), /no data chunk/);
+    wav.writeUInt16LE(3, 20); // IEEE float
+    assert.throws(() => codec.readWav(wav), /Unsupported WAV encoding: format 3, 16 bits/);
+  });
+});
+
+test.describe('framing', () => {
+  test('splits μ-law into 20 ms frames with a short last frame', () => {
+    const frames = codec.frameMulaw(Buffer.alloc(400, 0xff));
+    assert.deepStrictEqual(frames.map((frame) => frame.length), [160, 160, 80]);
+    assert.strictEqual(codec.FRAME_BYTES, (codec.SAMPLE_RATE * codec.FRAME_MS) / 1000);
+  });
+
+  test('renders DTMF tones', () => {
+    const tones = codec.dtmfTones('1w#');
+    // 200 ms per key and a 500 ms pause
+    assert.strictEqual(tones.length, 0.2 * 8000 + 0.5 * 8000 + 0.2 * 8000);
+    assert.ok(codec.rms(codec.mulawToPcm(tones.subarray(0, 960))) > 3000);
+    assert.strictEqual(codec.rms(codec.mulawToPcm(tones.subarray(1600, 5600))), 0);
+    assert.throws(() => codec.dtmfTones('1x'), /Invalid DTMF digit "X"/);
+  });
+});
+
+test('rms and zeroCrossingRate', () => {
+  assert.strictEqual(codec.rms(new Int16Array(0)), 0);
+  assert.strictEqual(codec.rms(Int16Array.from([3, -3, 3, -3])), 3);
+  assert.strictEqual(codec.zeroCrossingRate(Int16Array.from([1, -1, 1, -1, 1])), 1);
+  assert.strictEqual(codec.zeroCrossingRate(Int16Array.from([1, 2, 3])), 0);
+  assert.ok(Math.abs(codec.zeroCrossingRate(sine(1000, 8000)) - 0.25) < 0.01);
+});
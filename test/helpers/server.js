@@ -0,0 +1,75 @@
+/**
+ * Test server
+ * Loads index-websocket.js with offline settings (mock AI providers, no Twilio
+ * credentials, scratch data directories) and serves it on a free port. Settings
+ * are read when the module loads, so call startServer once per test file,
+ * before anything else requires the app.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const API_KEY = 'test-api-key';
+
+async function startServer(env = {}) {
+  const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'voice-agent-test-'));
+  Object.assign(process.env, {
+    // Empty values keep a developer's .env out of the tests
+    TWILIO_ACCOUNT_SID: '',
+    TWILIO_AUTH_TOKEN: '',
+    TWILIO_PHONE_NUMBER: '+15550001111',
+    TWILIO_VALIDATE_SIGNATURES: 'false',
+    DEPLOYMENT_URL: 'https://voice.example.com',
+    API_KEY,
+    STT_PROVIDER: 'mock',
+    LLM_PROVIDER: 'mock',
+    TTS_PROVIDER: 'mock',
+    SESSION_STORE: 'memory',
+    SESSION_DIR: path.join(dataDir, 'sessions'),
+    RECORDINGS_DIR: path.join(dataDir, 'recordings'),
+    VOICEMAIL_DIR: path.join(dataDir, 'voicemails'),
+    ...env
+  });
+
+  const { app, voiceAgent, start } = require('../../index-websocket');
+  const server = start({ port: 0, host: '127.0.0.1' });
+  await new Promise((resolve) => server.once('listening', resolve));
+  const base = `http://127.0.0.1:${server.address().port}`;
+
+  return {
+    app,
+    voiceAgent,
+    base,
+    wsBase: base.replace(/^http/, 'ws'),
+    dataDir,
+    // POST a form-encoded Twilio webhook and return the TwiML
+    async webhook(pathname, params) {
+      const response = await fetch(`${base}${pathname}`, { method: 'POST', body: new URLSearchParams(params) });
+      return response.text();
+    },
+    // Call a management endpoint; `key: null` leaves the API key out. JSON replies are parsed.
+    async api(method, pathname, { body, key = API_KEY } = {}) {
+      const headers = { 'content-type': 'application/json' };
+      if (key) headers.authorization = `Bearer ${key}`;
+      const response = await fetch(`${base}${pathname}`, {
+        method,
+        headers,
+        body: body === undefined ? undefined : JSON.stringify(body)
+      });
+      const text = await response.text();
+      const json = (response.headers.get('content-type') || '').includes('json');
+      return { status: response.status, headers: response.headers, body: json ? JSON.parse(text) : text };
+    },
+    async stop() {
+      server.closeAllConnections();
+      await new Promise((resolve) => server.close(resolve));
+      fs.rmSync(dataDir, { recursive: true, force: true });
+    }
+  };
+}
+
+module.exports = {
+  API_KEY,
+  startServer,
+};
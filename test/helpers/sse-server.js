@@ -0,0 +1,49 @@
+/**
+ * Mock server-sent events endpoint
+ * Answers every request by writing `chunks` (strings) one at a time, each in
+ * its own write, so events can be split wherever a test needs them to be.
+ * Requests are recorded with their parsed JSON bodies.
+ */
+
+const http = require('http');
+
+async function startSseServer(chunks) {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', (data) => { body += data; });
+    req.on('end', async () => {
+      requests.push({ method: req.method, url: req.url, headers: req.headers, body: body ? JSON.parse(body) : null });
+      res.writeHead(200, { 'Content-Type': 'text/event-stream', 'Cache-Control': 'no-cache' });
+      for (const chunk of chunks) {
+        res.write(chunk);
+        // Let each write reach the client on its own
+        await new Promise((resolve) => setTimeout(resolve, 5));
+      }
+      res.end();
+    });
+  });
+
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  return {
+    url: `http://127.0.0.1:${server.address().port}`,
+    requests,
+    stop: () => new Promise((resolve) => {
+      server.closeAllConnections();
+      server.close(resolve);
+    })
+  };
+}
+
+// A chat completion stream: one `data:` event per delta, then [DONE]
+function chatEvents(deltas) {
+  return [
+    ...deltas.map((delta) => `data: ${JSON.stringify({ choices: [{ index: 0, delta }] })}\n\n`),
+    'data: [DONE]\n\n'
+  ];
+}
+
+module.exports = {
+  startSseServer,
+  chatEvents,
+};
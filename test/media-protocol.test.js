@@ -0,0 +1,249 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const {
+  EXPECTED_FORMAT,
+  parseMessage,
+  MediaStreamProtocol,
+  mediaMessage,
+  markMessage,
+  clearMessage
+} = require('../lib/media-protocol');
+
+// A short bidirectional call as Twilio sends it: connected, start, media, mark, dtmf, media, stop
+const FIXTURE = fs.readFileSync(path.join(__dirname, 'fixtures', 'media-stream.jsonl'), 'utf8')
+  .split('\n')
+  .filter(Boolean);
+const CALL_SID = JSON.parse(FIXTURE[1]).start.callSid;
+const STREAM_SID = JSON.parse(FIXTURE[1]).streamSid;
+
+// Feed raw messages through a protocol and record every event it emits, in order
+function replay(messages, options = { callSid: CALL_SID }) {
+  const protocol = new MediaStreamProtocol(options);
+  const events = [];
+  for (const name of ['connected', 'start', 'media', 'mark', 'dtmf', 'stop', 'gap', 'out_of_order', 'invalid']) {
+    protocol.on(name, (data) => events.push({ name, data }));
+  }
+  for (const raw of messages) {
+    protocol.handle(raw);
+  }
+  return { protocol, events, names: events.map((event) => event.name) };
+}
+
+// The fixture with the message at `index` edited
+function edit(index, change) {
+  const messages = FIXTURE.slice();
+  const data = JSON.parse(messages[index]);
+  change(data);
+  messages[index] = JSON.stringify(data);
+  return messages;
+}
+
+test.describe('parseMessage', () => {
+  test('parses every message in the fixture', () => {
+    const parsed = FIXTURE.map(parseMessage);
+    assert.deepStrictEqual(parsed.map((message) => message.event), [
+      'connected', 'start', 'media', 'media', 'media', 'media', 'media', 'media',
+      'mark', 'dtmf', 'media', 'media', 'stop'
+    ]);
+    assert.deepStrictEqual(parsed[0], { event: 'connected', protocol: 'Call', version: '1.0.0' });
+  });
+
+  test('reads the start event', () => {
+    const start = parseMessage(FIXTURE[1]);
+    assert.strictEqual(start.sequenceNumber, 1);
+    assert.strictEqual(start.streamSid, STREAM_SID);
+    assert.strictEqual(start.callSid, CALL_SID);
+    assert.deepStrictEqual(start.tracks, ['inbound']);
+    assert.deepStrictEqual(start.mediaFormat, EXPECTED_FORMAT);
+    assert.strictEqual(start.customParameters.persona, 'default');
+  });
+
+  test('converts string numbers on media messages', () => {
+    const media = parseMessage(FIXTURE[2]);
+    assert.strictEqual(media.sequenceNumber, 2);
+    assert.strictEqual(media.track, 'inbound');
+    assert.strictEqual(media.chunk, 1);
+    assert.strictEqual(media.timestamp, 5);
+    assert.strictEqual(Buffer.from(media.payload, 'base64').length, 160);
+  });
+
+  test('normalizes the dtmf track name', () => {
+    const dtmf = parseMessage(FIXTURE[9]);
+    assert.strictEqual(dtmf.track, 'inbound');
+    assert.strictEqual(dtmf.digit, '1');
+  });
+
+  test('parses marks and stop', () => {
+    assert.strictEqual(parseMessage(FIXTURE[8]).name, '1-4000');
+    assert.strictEqual(parseMessage(FIXTURE[12]).callSid, CALL_SID);
+  });
+
+  test('fills in the expected format when start has none', () => {
+    const raw = edit(1, (data) => delete data.start.mediaFormat)[1];
+    assert.deepStrictEqual(parseMessage(raw).mediaFormat, EXPECTED_FORMAT);
+  });
+
+  test('rejects malformed messages with a ProtocolError', () => {
+    const cases = [
+      ['not json', /not valid JSON/],
+      ['[1, 2]', /not a JSON object/],
+      ['{"event":"hello"}', /Unknown event/],
+      [edit(2, (data) => delete data.sequenceNumber)[2], /invalid "sequenceNumber"/],
+      [edit(2, (data) => { data.sequenceNumber = '-1'; })[2], /invalid "sequenceNumber"/],
+      [edit(2, (data) => delete data.streamSid)[2], /without "streamSid"/],
+      [edit(2, (data) => { data.media.track = 'sideways'; })[2], /unknown track "sideways"/],
+      [edit(2, (data) => { data.media.chunk = 'one'; })[2], /invalid "chunk"/],
+      [edit(2, (data) => delete data.media.payload)[2], /without "payload"/],
+      [edit(1, (data) => delete data.start)[1], /without a "start" object/],
+      [edit(1, (data) => delete data.start.callSid)[1], /without "callSid"/],
+      [edit(8, (data) => delete data.mark.name)[8], /without "name"/],
+      [edit(9, (data) => { data.dtmf.digit = '12'; })[9], /invalid digit "12"/]
+    ];
+    for (const [raw, message] of cases) {
+      assert.throws(() => parseMessage(raw), (error) => error.name === 'ProtocolError' && message.test(error.message));
+    }
+  });
+});
+
+test.describe('MediaStreamProtocol', () => {
+  test('replays a clean stream without gaps or errors', () => {
+    const { protocol, names } = replay(FIXTURE);
+    assert.deepStrictEqual(names, [
+      'connected', 'start', 'media', 'media', 'media', 'media', 'media', 'media',
+      'mark', 'dtmf', 'media', 'media', 'stop'
+    ]);
+    assert.strictEqual(protocol.state, 'stopped');
+    assert.strictEqual(protocol.lastSequenceNumber, 12);
+    assert.deepStrictEqual(protocol.lastMedia.inbound, { chunk: 8, timestamp: 145 });
+    assert.deepStrictEqual(protocol.stats, {
+      messages: 13, media: 8, gaps: 0, missedMessages: 0, missedChunks: 0, outOfOrder: 0, invalid: 0, listenerErrors: 0
+    });
+    assert.strictEqual(protocol.hasExpectedFormat(), true);
+  });
+
+  test('reports dropped messages as sequence and chunk gaps', () => {
+    // Lose media chunks 3 and 4 (sequence numbers 4 and 5)
+    const messages = FIXTURE.filter((raw, index) => index !== 4 && index !== 5);
+    const { protocol, events } = replay(messages);
+    const gaps = events.filter((event) => event.name === 'gap').map((event) => event.data);
+
+    assert.deepStrictEqual(gaps, [
+      { kind: 'sequence', expected: 4, received: 6, missed: 2 },
+      { kind: 'chunk', track: 'inbound', expected: 3, received: 5, missed: 2 }
+    ]);
+    assert.strictEqual(protocol.stats.gaps, 2);
+    assert.strictEqual(protocol.stats.missedMessages, 2);
+    assert.strictEqual(protocol.stats.missedChunks, 2);
+    assert.strictEqual(protocol.stats.media, 6);
+  });
+
+  test('drops repeated and late media as out of order', () => {
+    // Chunk 2 arrives again after chunk 3
+    const messages = FIXTURE.slice();
+    messages.splice(5, 0, FIXTURE[3]);
+    const { protocol, events, names } = replay(messages);
+    const outOfOrder = events.filter((event) => event.name === 'out_of_order').map((event) => event.data);
+
+    assert.deepStrictEqual(outOfOrder, [{ event: 'media', sequenceNumber: 3, expected: 5 }]);
+    assert.strictEqual(names.filter((name) => name === 'media').length, 8);
+    assert.strictEqual(protocol.stats.outOfOrder, 1);
+    assert.strictEqual(protocol.stats.gaps, 0);
+  });
+
+  test('drops an earlier chunk that carries a new sequence number', () => {
+    const messages = edit(4, (data) => {
+      data.media.chunk = '1';
+    });
+    const { protocol, events } = replay(messages);
+    const outOfOrder = events.filter((event) => event.name === 'out_of_order').map((event) => event.data);
+
+    assert.deepStrictEqual(outOfOrder, [{ event: 'media', track: 'inbound', chunk: 1, expected: 3 }]);
+    assert.strictEqual(protocol.stats.media, 7);
+    // The next chunk (4) follows the last accepted one (2)
+    assert.strictEqual(protocol.stats.missedChunks, 1);
+  });
+
+  test('still acts on late control messages', () => {
+    // The dtmf message overtakes the mark
+    const messages = FIXTURE.slice();
+    [messages[8], messages[9]] = [messages[9], messages[8]];
+    const { names, protocol } = replay(messages);
+
+    assert.ok(names.includes('mark'));
+    assert.ok(names.includes('dtmf'));
+    assert.strictEqual(protocol.stats.outOfOrder, 1);
+    assert.strictEqual(protocol.stats.gaps, 1);
+  });
+
+  test('an invalid message does not open a sequence gap', () => {
+    const messages = edit(3, (data) => delete data.media.payload);
+    const { protocol, names } = replay(messages);
+
+    assert.strictEqual(names.filter((name) => name === 'invalid').length, 1);
+    assert.strictEqual(protocol.stats.invalid, 1);
+    assert.strictEqual(protocol.stats.missedMessages, 0);
+    // Its chunk never arrived, though
+    assert.strictEqual(protocol.stats.missedChunks, 1);
+  });
+
+  test('rejects messages outside the start…stop window and for other streams', () => {
+    const messages = [
+      FIXTURE[0],
+      FIXTURE[2],
+      FIXTURE[1],
+      edit(3, (data) => { data.streamSid = 'MZother'; })[3],
+      FIXTURE[1],
+      ...FIXTURE.slice(12),
+      FIXTURE[11]
+    ];
+    const { events } = replay(messages);
+    const errors = events.filter((event) => event.name === 'invalid').map((event) => event.data.message);
+
+    assert.deepStrictEqual(errors, [
+      '"media" message while the stream is connected',
+      '"media" message for unknown stream MZother',
+      'Unexpected "start" message after the stream started',
+      '"media" message while the stream is stopped'
+    ]);
+  });
+
+  test('rejects a start event for another call', () => {
+    const { protocol, names } = replay(FIXTURE.slice(0, 2), { callSid: 'CAother' });
+    assert.deepStrictEqual(names, ['connected', 'invalid']);
+    assert.strictEqual(protocol.state, 'connected');
+  });
+
+  test('notices an unexpected media format', () => {
+    const messages = edit(1, (data) => {
+      data.start.mediaFormat = { encoding: 'audio/x-l16', sampleRate: 16000, channels: 1 };
+    });
+    assert.strictEqual(replay(messages).protocol.hasExpectedFormat(), false);
+  });
+
+  test('keeps handling messages when a listener throws', () => {
+    const protocol = new MediaStreamProtocol({ callSid: CALL_SID });
+    const failures = [];
+    let media = 0;
+    protocol.on('start', () => {
+      throw new Error('greeting failed');
+    });
+    protocol.on('media', () => media++);
+    protocol.on('listener_error', (error, message) => failures.push([error.message, message.event]));
+
+    for (const raw of FIXTURE) {
+      assert.doesNotThrow(() => protocol.handle(raw));
+    }
+    assert.deepStrictEqual(failures, [['greeting failed', 'start']]);
+    assert.strictEqual(media, 8);
+    assert.strictEqual(protocol.state, 'stopped');
+    assert.strictEqual(protocol.stats.listenerErrors, 1);
+  });
+});
+
+test('builds outbound messages', () => {
+  assert.deepStrictEqual(mediaMessage('MZ1', 'AAAA'), { event: 'media', streamSid: 'MZ1', media: { payload: 'AAAA' } });
+  assert.deepStrictEqual(markMessage('MZ1', '1-160'), { event: 'mark', streamSid: 'MZ1', mark: { name: '1-160' } });
+  assert.deepStrictEqual(clearMessage('MZ1'), { event: 'clear', streamSid: 'MZ1' });
+});
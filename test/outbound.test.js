@@ -0,0 +1,141 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { startServer } = require('./helpers/server');
+
+// Records calls.create requests; `fail` makes the next one throw like the Twilio API does
+function stubTwilioClient() {
+  const client = {
+    created: [],
+    fail: null,
+    calls: {
+      async create(params) {
+        if (client.fail) {
+          const error = new Error(client.fail);
+          client.fail = null;
+          throw error;
+        }
+        client.created.push(params);
+        return { sid: `CA${String(client.created.length).padStart(32, '0')}`, status: 'queued' };
+      }
+    }
+  };
+  return client;
+}
+
+test.describe('POST /voice/outbound', () => {
+  let server;
+  let client;
+
+  test.before(async () => {
+    server = await startServer();
+  });
+  test.after(() => server.stop());
+  test.beforeEach(() => {
+    client = stubTwilioClient();
+    server.voiceAgent.twilioClient = client;
+  });
+
+  test('requires the API key', async () => {
+    const { status } = await server.api('POST', '/voice/outbound', { body: { to: '+15551234567' }, key: null });
+    assert.strictEqual(status, 401);
+    const wrongKey = await server.api('POST', '/voice/outbound', { body: { to: '+15551234567' }, key: 'nope' });
+    assert.strictEqual(wrongKey.status, 401);
+    assert.strictEqual(client.created.length, 0);
+  });
+
+  test('places the call through the media stream flow', async () => {
+    const { status, body } = await server.api('POST', '/voice/outbound', {
+      body: { to: '+15551234567', context: { name: 'Ada' }, greeting: 'Hi Ada, this is Acme.' }
+    });
+
+    assert.strictEqual(status, 201);
+    assert.deepStrictEqual(body, {
+      callSid: 'CA00000000000000000000000000000001',
+      status: 'queued',
+      from: '+15550001111',
+      to: '+15551234567',
+      persona: 'default',
+      machineDetection: 'off'
+    });
+    assert.deepStrictEqual(client.created, [{
+      to: '+15551234567',
+      from: '+15550001111',
+      url: 'https://voice.example.com/voice/media-stream',
+      method: 'POST',
+      statusCallback: 'https://voice.example.com/voice/status-callback',
+      statusCallbackMethod: 'POST',
+      statusCallbackEvent: ['initiated', 'ringing', 'answered', 'completed']
+    }]);
+
+    const session = server.voiceAgent.getSession(body.callSid);
+    assert.strictEqual(session.direction, 'outbound');
+    assert.strictEqual(session.pendingGreeting, 'Hi Ada, this is Acme.');
+    assert.match(session.conversation.systemPrompt, /Ada/);
+  });
+
+  test('SIP URIs are valid destinations', async () => {
+    const { status } = await server.api('POST', '/voice/outbound', { body: { to: 'sip:agent@example.com' } });
+    assert.strictEqual(status, 201);
+    assert.strictEqual(client.created[0].to, 'sip:agent@example.com');
+  });
+
+  test('asks Twilio for answering-machine detection', async () => {
+    const { status, body } = await server.api('POST', '/voice/outbound', {
+      body: { to: '+15551234567', machineDetection: 'async' }
+    });
+
+    assert.strictEqual(status, 201);
+    assert.strictEqual(body.machineDetection, 'async');
+    assert.deepStrictEqual(client.created[0], {
+      ...client.created[0],
+      machineDetection: 'DetectMessageEnd',
+      machineDetectionTimeout: 30,
+      asyncAmd: 'true',
+      asyncAmdStatusCallback: 'https://voice.example.com/voice/amd-status',
+      asyncAmdStatusCallbackMethod: 'POST'
+    });
+  });
+
+  test('validates the request', async () => {
+    const cases = [
+      [{}, /"to" must be an E.164 phone number/],
+      [{ to: '5551234567' }, /"to" must be an E.164 phone number/],
+      [{ to: '+15551234567', context: 42 }, /"context" must be a string or an object/],
+      [{ to: '+15551234567', context: ['a'] }, /"context" must be a string or an object/],
+      [{ to: '+15551234567', persona: 'nobody' }, /Unknown persona "nobody"/],
+      [{ to: '+15551234567', machineDetection: 'maybe' }, /machineDetection must be one of/]
+    ];
+    for (const [body, error] of cases) {
+      const response = await server.api('POST', '/voice/outbound', { body });
+      assert.strictEqual(response.status, 400, JSON.stringify(body));
+      assert.match(response.body.error, error);
+    }
+    assert.strictEqual(client.created.length, 0);
+  });
+
+  test('refuses numbers on the do-not-call list', async () => {
+    server.voiceAgent.doNotCall.add(['+15557654321']);
+    try {
+      const { status, body } = await server.api('POST', '/voice/outbound', { body: { to: '+15557654321' } });
+      assert.strictEqual(status, 403);
+      assert.match(body.error, /do-not-call list/);
+      assert.strictEqual(client.created.length, 0);
+    } finally {
+      server.voiceAgent.doNotCall.remove('+15557654321');
+    }
+  });
+
+  test('reports a call Twilio rejected', async () => {
+    client.fail = 'The number is unverified';
+    const { status, body } = await server.api('POST', '/voice/outbound', { body: { to: '+15551234567' } });
+    assert.strictEqual(status, 502);
+    assert.strictEqual(body.error, 'Twilio rejected the call: The number is unverified');
+  });
+
+  test('needs Twilio credentials', async () => {
+    server.voiceAgent.twilioClient = null;
+    const { status, body } = await server.api('POST', '/voice/outbound', { body: { to: '+15551234567' } });
+    assert.strictEqual(status, 503);
+    assert.strictEqual(body.error, 'Twilio credentials not configured');
+  });
+});
@@ -0,0 +1,104 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { DEFAULT_PERSONA, createPersona, isHangupPhrase, isTransferPhrase, format } = require('../lib/personas');
+const { Campaign } = require('../lib/campaigns');
+const { startServer } = require('./helpers/server');
+
+test.describe('isHangupPhrase', () => {
+  test('matches a whole utterance, ignoring case and punctuation', () => {
+    for (const text of ['Goodbye.', 'bye!', 'Bye, bye', 'OK, bye.', 'Thank you, goodbye!', "That's all."]) {
+      assert.strictEqual(isHangupPhrase(DEFAULT_PERSONA, text), true, text);
+    }
+  });
+
+  test('does not match phrases inside longer utterances', () => {
+    for (const text of [
+      'I want to buy a phone',
+      'Goodbye for now, but first can you check my order?',
+      'Bye the way, where is my parcel?',
+      "That's all I needed to know about shipping, now about billing",
+      ''
+    ]) {
+      assert.strictEqual(isHangupPhrase(DEFAULT_PERSONA, text), false, text);
+    }
+  });
+
+  test('uses the persona phrases', () => {
+    const persona = createPersona({ name: 'support', hangupPhrases: ['cheers mate'] });
+    assert.strictEqual(isHangupPhrase(persona, 'Cheers, mate!'), true);
+    assert.strictEqual(isHangupPhrase(persona, 'goodbye'), false);
+  });
+});
+
+test('transfer phrases still match inside an utterance', () => {
+  const persona = createPersona({ name: 'support', transferTargets: { desk: '+15551230002' } });
+  assert.strictEqual(isTransferPhrase(persona, 'Can I speak to a human please?'), true);
+  assert.strictEqual(isTransferPhrase(DEFAULT_PERSONA, 'Can I speak to a human please?'), false);
+});
+
+test('persona fallbacks merge over the defaults', () => {
+  const persona = createPersona({ name: 'support', fallbacks: { noReply: 'I heard: {speech}' } });
+  assert.strictEqual(persona.fallbacks.noReply, 'I heard: {speech}');
+  assert.strictEqual(persona.fallbacks.goodbye, DEFAULT_PERSONA.fallbacks.goodbye);
+  assert.strictEqual(format(persona.fallbacks.noReply, { speech: 'hello' }), 'I heard: hello');
+});
+
+test.describe('format', () => {
+  test('fills placeholders from the values', () => {
+    assert.strictEqual(format('Hi {name}, about order {order}', { name: 'Ada', order: 42 }), 'Hi Ada, about order 42');
+    assert.strictEqual(format('Hi {name}', {}), 'Hi {name}');
+  });
+
+  test('leaves inherited keys literal', () => {
+    assert.strictEqual(format('{constructor} {toString} {__proto__} {hasOwnProperty}', {}),
+      '{constructor} {toString} {__proto__} {hasOwnProperty}');
+    assert.strictEqual(format('Hi {toString}', { name: 'Ada' }), 'Hi {toString}');
+  });
+
+  test('campaign greetings only use the contact variables', () => {
+    const campaign = new Campaign({
+      greeting: 'Hi {name}, {constructor}',
+      contacts: [{ to: '+15551234567', name: 'Ada' }]
+    });
+    assert.strictEqual(campaign.callOptions(campaign.contacts[0]).greeting, 'Hi Ada, {constructor}');
+  });
+});
+
+test.describe('personas on calls', () => {
+  let server;
+
+  test.before(async () => {
+    server = await startServer({ AGENT_SYSTEM_PROMPT: 'You are the test line.' });
+  });
+  test.after(() => server.stop());
+
+  test('the shipped default persona uses AGENT_SYSTEM_PROMPT', () => {
+    const { voiceAgent } = server;
+    const session = voiceAgent.handleIncoming('CA00000000000000000000000000000004', '+15551234567', '+15550001111');
+    assert.strictEqual(session.persona.name, 'default');
+    assert.strictEqual(session.persona.systemPrompt, null);
+    assert.strictEqual(session.conversation.systemPrompt, 'You are the test line.');
+  });
+
+  test('machine messages only use the call context', async () => {
+    server.voiceAgent.twilioClient = {
+      calls: { create: async () => ({ sid: 'CA00000000000000000000000000000020', status: 'queued' }) }
+    };
+    const { status, body } = await server.api('POST', '/voice/outbound', {
+      body: {
+        to: '+15551234567',
+        context: { name: 'Ada' },
+        machineDetection: 'async',
+        machineMessage: 'Hi {name}, {constructor} {toString}'
+      }
+    });
+    assert.strictEqual(status, 201);
+    assert.strictEqual(server.voiceAgent.getSession(body.callSid).amd.message, 'Hi Ada, {constructor} {toString}');
+
+    const campaign = new Campaign({
+      machineMessage: 'Sorry we missed you, {name}. {valueOf}',
+      contacts: [{ to: '+15551234567', name: 'Ada' }]
+    });
+    assert.strictEqual(campaign.callOptions(campaign.contacts[0]).machineMessage, 'Sorry we missed you, Ada. {valueOf}');
+  });
+});
@@ -0,0 +1,74 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { SentenceChunker, chunkSentences } = require('../lib/sentence-chunker');
+const OpenAIChatModel = require('../lib/providers/openai-chat');
+const { startSseServer, chatEvents } = require('./helpers/sse-server');
+
+// Push each delta and collect the chunks, then whatever flush leaves
+function chunk(deltas, options) {
+  const chunker = new SentenceChunker(options);
+  const chunks = deltas.flatMap((delta) => chunker.push(delta));
+  const rest = chunker.flush();
+  return rest ? [...chunks, rest] : chunks;
+}
+
+test.describe('SentenceChunker', () => {
+  test('splits at sentence ends followed by whitespace', () => {
+    assert.deepStrictEqual(chunk(['Hello there! How are you? I am fine. ', 'Thanks']),
+      ['Hello there!', 'How are you?', 'I am fine.', 'Thanks']);
+  });
+
+  test('waits for the whitespace after a sentence end', () => {
+    const chunker = new SentenceChunker();
+    assert.deepStrictEqual(chunker.push('It costs 3.'), []);
+    assert.deepStrictEqual(chunker.push('50 dollars. '), ['It costs 3.50 dollars.']);
+  });
+
+  test('keeps closing quotes and brackets with their sentence', () => {
+    assert.deepStrictEqual(chunk(['She said "yes." (Really!) Ok']), ['She said "yes."', '(Really!)', 'Ok']);
+  });
+
+  test('does not split after abbreviations or initials', () => {
+    assert.deepStrictEqual(chunk(['Dr. Smith and J. Doe live on Main St. near us. Bye']),
+      ['Dr. Smith and J. Doe live on Main St. near us.', 'Bye']);
+  });
+
+  test('splits long text at clause breaks once minClauseLength is reached', () => {
+    assert.deepStrictEqual(chunk(['Short, then a much longer clause that keeps going, and the end']), [
+      'Short, then a much longer clause that keeps going,',
+      'and the end'
+    ]);
+    assert.deepStrictEqual(chunk(['a, b; c: d'], { minClauseLength: 2 }), ['a,', 'b;', 'c:', 'd']);
+  });
+
+  test('splits text without punctuation at maxLength', () => {
+    const words = Array(30).fill('word').join(' ');
+    const chunks = chunk([words], { maxLength: 50 });
+    assert.ok(chunks.every((piece) => piece.length <= 50));
+    assert.strictEqual(chunks.join(' '), words);
+  });
+
+  test('flush returns null when nothing is left', () => {
+    const chunker = new SentenceChunker();
+    chunker.push('Done. ');
+    assert.strictEqual(chunker.flush(), null);
+  });
+});
+
+test('chunkSentences groups a streamed chat reply into sentences', async () => {
+  // Tokens as an LLM streams them, split mid-word and mid-sentence
+  const server = await startSseServer(chatEvents(
+    ['Sure', '! Your order', ' ships tomor', 'row. Dr', '. Lee will', ' call you', '. Anything else', '?']
+      .map((content) => ({ content }))
+  ));
+  try {
+    const model = new OpenAIChatModel({ apiKey: 'test-key', model: 'test-model', baseUrl: server.url });
+    const chunks = [];
+    for await (const piece of chunkSentences(model.stream([{ role: 'user', content: 'Where is my order?' }]))) {
+      chunks.push(piece);
+    }
+    assert.deepStrictEqual(chunks, ['Sure!', 'Your order ships tomorrow.', 'Dr. Lee will call you.', 'Anything else?']);
+  } finally {
+    await server.stop();
+  }
+});
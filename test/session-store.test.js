@@ -0,0 +1,156 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { MemorySessionStore, FileSessionStore, createSessionStore } = require('../lib/session-store');
+
+function session(callSid, fields = {}) {
+  return { callSid, active: true, startTime: new Date(), endTime: null, ...fields };
+}
+
+test.describe('MemorySessionStore', () => {
+  test('stores sessions by CallSid', async () => {
+    const store = new MemorySessionStore();
+    store.set('CA1', session('CA1'));
+    assert.strictEqual(store.has('CA1'), true);
+    assert.strictEqual(store.get('CA1').callSid, 'CA1');
+    assert.deepStrictEqual(Array.from(store.values()).map((entry) => entry.callSid), ['CA1']);
+    assert.strictEqual(store.delete('CA1'), true);
+    assert.strictEqual(store.has('CA1'), false);
+    await store.close();
+  });
+
+  test('evicts ended calls after the TTL and lost active calls after the maximum age', async () => {
+    const store = new MemorySessionStore({ ttlMs: 1000, maxAgeMs: 10000 });
+    const now = Date.now();
+    store.set('ended', session('ended', { active: false, endTime: new Date(now - 2000) }));
+    store.set('recent', session('recent', { active: false, endTime: new Date(now - 500) }));
+    store.set('lost', session('lost', { startTime: new Date(now - 20000) }));
+    store.set('live', session('live'));
+
+    store.sweep();
+    assert.deepStrictEqual(Array.from(store.entries()).map(([callSid]) => callSid), ['recent', 'live']);
+    await store.close();
+  });
+});
+
+test.describe('FileSessionStore', () => {
+  let dir;
+
+  test.beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'session-store-test-'));
+  });
+  test.afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  function readFile(callSid) {
+    return JSON.parse(fs.readFileSync(path.join(dir, `${callSid}.json`), 'utf8'));
+  }
+
+  test('writes each session to its own file', async () => {
+    const store = new FileSessionStore({ dir });
+    store.set('CA1', session('CA1', { status: 'ringing' }));
+    store.get('CA1').status = 'in-progress';
+    store.save('CA1');
+    await store.close();
+
+    assert.strictEqual(readFile('CA1').status, 'in-progress');
+    assert.deepStrictEqual(fs.readdirSync(dir), ['CA1.json']);
+  });
+
+  test('reloads ended calls as they were', async () => {
+    const first = new FileSessionStore({ dir });
+    first.set('CA1', session('CA1', { active: false, status: 'completed', endTime: new Date() }));
+    await first.close();
+
+    const second = new FileSessionStore({ dir });
+    assert.strictEqual(second.get('CA1').status, 'completed');
+    assert.strictEqual(second.get('CA1').active, false);
+    assert.strictEqual(second.get('CA1').stale, undefined);
+    await second.close();
+  });
+
+  test('marks calls that were active before a restart as stale', async () => {
+    const first = new FileSessionStore({ dir });
+    first.set('CA1', session('CA1', { status: 'in-progress' }));
+    await first.close();
+
+    const second = new FileSessionStore({ dir });
+    const reloaded = second.get('CA1');
+    assert.strictEqual(reloaded.active, false);
+    assert.strictEqual(reloaded.stale, true);
+    assert.strictEqual(reloaded.status, 'in-progress');
+    assert.strictEqual(Array.from(second.values()).filter((entry) => entry.active).length, 0);
+    await second.close();
+  });
+
+  test('reads the directory only at startup', async () => {
+    const store = new FileSessionStore({ dir });
+    const readdir = fs.readdirSync;
+    let reads = 0;
+    fs.readdirSync = (...args) => {
+      reads++;
+      return readdir(...args);
+    };
+    try {
+      fs.writeFileSync(path.join(dir, 'CAother.json'), JSON.stringify(session('CAother')));
+      store.set('CA1', session('CA1'));
+      Array.from(store.values());
+      Array.from(store.entries());
+    } finally {
+      fs.readdirSync = readdir;
+    }
+
+    assert.strictEqual(reads, 0);
+    assert.strictEqual(store.has('CAother'), false);
+    await store.close();
+  });
+
+  test('does not bring back a deleted session', async () => {
+    const store = new FileSessionStore({ dir });
+    store.set('CA1', session('CA1'));
+    await store.save('CA1');
+    store.delete('CA1');
+
+    assert.deepStrictEqual(Array.from(store.values()), []);
+    await store.close();
+    // The file goes once pending writes are done
+    for (let attempt = 0; attempt < 50 && fs.existsSync(path.join(dir, 'CA1.json')); attempt++) {
+      await new Promise((resolve) => setTimeout(resolve, 10));
+    }
+    assert.strictEqual(fs.existsSync(path.join(dir, 'CA1.json')), false);
+  });
+
+  test('converts sessions with serialize / deserialize', async () => {
+    const options = {
+      dir,
+      serialize: (entry) => ({ ...entry, startTime: entry.startTime.toISOString(), tag: 'saved' }),
+      deserialize: (data) => ({ ...data, startTime: new Date(data.startTime), loaded: true })
+    };
+    const first = new FileSessionStore(options);
+    first.set('CA1', session('CA1', { active: false }));
+    await first.close();
+    assert.strictEqual(readFile('CA1').tag, 'saved');
+
+    const second = new FileSessionStore(options);
+    assert.strictEqual(second.get('CA1').loaded, true);
+    assert.ok(second.get('CA1').startTime instanceof Date);
+    await second.close();
+  });
+
+  test('skips unreadable files', async () => {
+    fs.writeFileSync(path.join(dir, 'CAbroken.json'), '{ not json');
+    const store = new FileSessionStore({ dir });
+    assert.strictEqual(store.has('CAbroken'), false);
+    await store.close();
+  });
+});
+
+test('createSessionStore picks the backend', async () => {
+  const memory = createSessionStore({ store: 'memory' });
+  assert.ok(memory instanceof MemorySessionStore);
+  await memory.close();
+  assert.throws(() => createSessionStore({ store: 'redis' }), /Unknown session store "redis"/);
+});
@@ -0,0 +1,111 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { GracefulShutdown } = require('../lib/shutdown');
+const { startServer } = require('./helpers/server');
+
+// A shutdown whose callbacks record the order they ran in; `calls` is the active call count
+function recordingShutdown(options) {
+  const steps = [];
+  const shutdown = new GracefulShutdown({
+    drain: () => steps.push('drain'),
+    activeCalls: () => shutdown.calls,
+    endCalls: async () => {
+      steps.push('endCalls');
+      shutdown.calls = 0;
+    },
+    flush: async () => steps.push('flush'),
+    close: async () => steps.push('close'),
+    ...options
+  });
+  shutdown.calls = 0;
+  shutdown.steps = steps;
+  return shutdown;
+}
+
+test.describe('GracefulShutdown', () => {
+  test('stops taking new work and waits for active calls to end', async () => {
+    const shutdown = recordingShutdown({ drainMs: 5000 });
+    shutdown.calls = 2;
+    const done = shutdown.shutdown('SIGTERM');
+
+    assert.deepStrictEqual(shutdown.steps, ['drain']);
+    assert.strictEqual(shutdown.draining, true);
+    assert.strictEqual(shutdown.status().activeCalls, 2);
+    assert.strictEqual(shutdown.shutdown('SIGINT'), done);
+
+    shutdown.calls = 0;
+    await done;
+    assert.deepStrictEqual(shutdown.steps, ['drain', 'flush', 'close']);
+    assert.strictEqual(shutdown.state, 'stopped');
+  });
+
+  test('ends the calls still up at the deadline', async () => {
+    const shutdown = recordingShutdown({ drainMs: 50 });
+    shutdown.calls = 1;
+    await shutdown.shutdown('SIGTERM');
+    assert.deepStrictEqual(shutdown.steps, ['drain', 'endCalls', 'flush', 'close']);
+    assert.strictEqual(shutdown.state, 'stopped');
+  });
+
+  test('closes anyway when calls outlast the goodbye', async () => {
+    const shutdown = recordingShutdown({ drainMs: 20, goodbyeMs: 20, endCalls: async () => {} });
+    shutdown.calls = 1;
+    await shutdown.shutdown('SIGTERM');
+    assert.deepStrictEqual(shutdown.steps, ['drain', 'flush', 'close']);
+  });
+});
+
+test.describe('draining the server', () => {
+  let server;
+
+  test.before(async () => {
+    server = await startServer();
+  });
+  test.after(() => server.stop());
+
+  test('a Gather call that hangs up is no longer active', async () => {
+    const { voiceAgent } = server;
+    for (const [callSid, params] of [
+      ['CA00000000000000000000000000000030', { Digits: '5' }],
+      ['CA00000000000000000000000000000031', {}]
+    ]) {
+      voiceAgent.handleIncoming(callSid, '+15551234567', '+15550001111');
+      const twiml = await server.webhook('/voice/handle-input', { CallSid: callSid, ...params });
+      assert.match(twiml, /<Hangup\/>/);
+      assert.strictEqual(voiceAgent.getSession(callSid).active, false);
+    }
+  });
+
+  test('turns new calls away and ends the rest with the shutdown message', async () => {
+    const { voiceAgent } = server;
+    const CALL_SID = 'CA00000000000000000000000000000032';
+    const updates = [];
+    voiceAgent.twilioClient = {
+      calls: (sid) => ({
+        async update(params) {
+          updates.push([sid, params]);
+          return { sid };
+        }
+      })
+    };
+
+    const session = voiceAgent.handleIncoming(CALL_SID, '+15551234567', '+15550001111');
+    voiceAgent.drain();
+
+    const twiml = await server.webhook('/voice/incoming', {
+      CallSid: 'CA00000000000000000000000000000033', From: '+15557654321', To: '+15550001111'
+    });
+    assert.match(twiml, /<Reject reason="busy"\/>/);
+    assert.strictEqual(voiceAgent.callSessions.has('CA00000000000000000000000000000033'), false);
+    assert.deepStrictEqual(voiceAgent.activeCalls().map((call) => call.callSid), [CALL_SID]);
+
+    await voiceAgent.endForShutdown(CALL_SID);
+    assert.strictEqual(updates.length, 1);
+    const [sid, { twiml: goodbye }] = updates[0];
+    assert.strictEqual(sid, CALL_SID);
+    assert.ok(goodbye.includes(session.persona.shutdownMessage), goodbye);
+    assert.match(goodbye, /<Hangup\/><\/Response>$/);
+    assert.strictEqual(session.active, false);
+    assert.deepStrictEqual(voiceAgent.activeCalls(), []);
+  });
+});
@@ -0,0 +1,99 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { readEvents } = require('../lib/sse');
+const OpenAIChatModel = require('../lib/providers/openai-chat');
+const { startSseServer, chatEvents } = require('./helpers/sse-server');
+
+// Fetch the mock server and collect every event readEvents yields
+async function read(chunks) {
+  const server = await startSseServer(chunks);
+  try {
+    const response = await fetch(server.url);
+    const events = [];
+    for await (const data of readEvents(response.body)) {
+      events.push(data);
+    }
+    return events;
+  } finally {
+    await server.stop();
+  }
+}
+
+test.describe('readEvents', () => {
+  test('yields the data of each event', async () => {
+    assert.deepStrictEqual(await read(['data: one\n\ndata: two\n\n', 'data:three\n\n']), ['one', 'two', 'three']);
+  });
+
+  test('joins multi-line data and ignores other fields and comments', async () => {
+    const events = await read([
+      ': keep-alive\n\n',
+      'event: message\nid: 1\ndata: first line\ndata: second line\nretry: 1000\n\n'
+    ]);
+    assert.deepStrictEqual(events, ['first line\nsecond line']);
+  });
+
+  test('reassembles events split across chunks', async () => {
+    const events = await read(['da', 'ta: {"a":', '1}\n', '\ndata: {"b":2}\n\nda', 'ta: {"c":3}\n\n']);
+    assert.deepStrictEqual(events, ['{"a":1}', '{"b":2}', '{"c":3}']);
+  });
+
+  test('accepts CRLF line endings, including a CRLF pair split between chunks', async () => {
+    assert.deepStrictEqual(await read(['data: one\r\n\r\ndata: two\r\n', '\r\n']), ['one', 'two']);
+  });
+
+  test('decodes multi-byte characters split between chunks', async () => {
+    const bytes = Buffer.from('data: café\n\n');
+    const events = [];
+    // A body whose chunk boundary falls inside the two-byte "é"
+    for await (const data of readEvents([bytes.subarray(0, 10), bytes.subarray(10)])) {
+      events.push(data);
+    }
+    assert.deepStrictEqual(events, ['café']);
+  });
+
+  test('stops at [DONE]', async () => {
+    assert.deepStrictEqual(await read(['data: one\n\ndata: [DONE]\n\n', 'data: after\n\n']), ['one']);
+  });
+
+  test('drops an unterminated event at the end of the stream', async () => {
+    assert.deepStrictEqual(await read(['data: one\n\ndata: partial']), ['one']);
+  });
+});
+
+test.describe('OpenAIChatModel.stream', () => {
+  test('yields content deltas and assembles streamed tool calls', async () => {
+    const server = await startSseServer(chatEvents([
+      { role: 'assistant', content: '' },
+      { content: 'One ' },
+      { content: 'moment.' },
+      { tool_calls: [{ index: 0, id: 'call_1', function: { name: 'end_', arguments: '{"rea' } }] },
+      { tool_calls: [{ index: 0, function: { name: 'call', arguments: 'son":"done"}' } }] }
+    ]));
+    try {
+      const model = new OpenAIChatModel({ apiKey: 'test-key', model: 'test-model', baseUrl: `${server.url}/v1/` });
+      const output = [];
+      for await (const item of model.stream([{ role: 'user', content: 'Bye' }], { maxTokens: 50 })) {
+        output.push(item);
+      }
+
+      assert.deepStrictEqual(output, [
+        'One ',
+        'moment.',
+        { toolCalls: [{ id: 'call_1', name: 'end_call', arguments: '{"reason":"done"}' }] }
+      ]);
+      const [request] = server.requests;
+      assert.strictEqual(request.url, '/v1/chat/completions');
+      assert.strictEqual(request.headers.authorization, 'Bearer test-key');
+      assert.strictEqual(request.headers.accept, 'text/event-stream');
+      assert.deepStrictEqual(request.body, {
+        model: 'test-model',
+        messages: [{ role: 'user', content: 'Bye' }],
+        temperature: 0.7,
+        max_tokens: 50,
+        stream: true
+      });
+    } finally {
+      await server.stop();
+    }
+  });
+});
@@ -0,0 +1,85 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { MAX_TOOL_ROUNDS, createToolRegistry } = require('../lib/tools');
+const { createPersona } = require('../lib/personas');
+const { startServer } = require('./helpers/server');
+
+test.describe('ToolRegistry', () => {
+  const registry = createToolRegistry();
+
+  test('only offers the tools a persona lists', () => {
+    const persona = createPersona({ name: 'support', tools: ['end_call', 'transfer_call', 'no_such_tool'] });
+    // transfer_call needs transfer targets
+    assert.deepStrictEqual(registry.definitions(persona).map((tool) => tool.function.name), ['end_call']);
+  });
+
+  test('rejects tools the persona does not list', async () => {
+    const persona = createPersona({ name: 'support', tools: ['end_call'] });
+    const actions = [];
+    const result = await registry.execute({ id: 'call_1', name: 'send_dtmf', arguments: '{"digits": "1"}' }, { persona, actions });
+    assert.strictEqual(result, 'Error: unknown tool "send_dtmf"');
+    assert.deepStrictEqual(actions, []);
+  });
+
+  test('reports handler errors to the model', async () => {
+    const persona = createPersona({ name: 'support', tools: ['send_dtmf'] });
+    const actions = [];
+    const result = await registry.execute({ id: 'call_1', name: 'send_dtmf', arguments: '{"digits": "12x"}' }, { persona, actions });
+    assert.strictEqual(result, 'Error: digits may only contain 0-9, *, # and w');
+    assert.deepStrictEqual(actions, []);
+  });
+});
+
+test.describe('tools on calls', () => {
+  let server;
+
+  // A fresh inbound call whose model replies with `replies`
+  function startCall(callSid, replies) {
+    server.voiceAgent.aiManager.chatModel.replies = replies;
+    server.voiceAgent.aiManager.chatModel.calls = [];
+    return server.voiceAgent.handleIncoming(callSid, '+15551234567', '+15550001111');
+  }
+
+  test.before(async () => {
+    server = await startServer();
+  });
+  test.after(() => server.stop());
+
+  test('end_call hangs up after the spoken reply', async () => {
+    const CALL_SID = 'CA00000000000000000000000000000040';
+    // Nothing more to say once the tool has run
+    const session = startCall(CALL_SID, ['Happy to help, talk soon! [[end_call {"reason": "caller is done"}]]', '']);
+
+    const twiml = await server.webhook('/voice/handle-input', { CallSid: CALL_SID, SpeechResult: 'That is everything' });
+    assert.match(twiml, /<Say[^>]*>Happy to help, talk soon!<\/Say><Hangup\/><\/Response>$/);
+    assert.deepStrictEqual(session.toolCalls.map(({ name, result }) => [name, result]),
+      [['end_call', 'The call will end after your reply.']]);
+    assert.strictEqual(session.active, false);
+  });
+
+  test('the last tool round runs without tools', async () => {
+    const CALL_SID = 'CA00000000000000000000000000000041';
+    // A model that keeps pressing keys for as long as it is allowed to
+    const session = startCall(CALL_SID, ['One moment. [[send_dtmf {"digits": "1"}]]']);
+    session.persona = { ...session.persona, tools: ['send_dtmf'] };
+
+    const reply = await server.voiceAgent.respond(CALL_SID, 'Get me through the menu');
+    assert.strictEqual(server.voiceAgent.aiManager.chatModel.calls.length, MAX_TOOL_ROUNDS + 1);
+    assert.strictEqual(session.toolCalls.length, MAX_TOOL_ROUNDS);
+    assert.deepStrictEqual(reply.actions, Array(MAX_TOOL_ROUNDS).fill({ type: 'dtmf', digits: '1' }));
+    assert.strictEqual(reply.hangup, false);
+  });
+
+  test('a tool call outside the persona list is refused', async () => {
+    const CALL_SID = 'CA00000000000000000000000000000042';
+    const session = startCall(CALL_SID, []);
+    const actions = [];
+    const result = await server.voiceAgent.runTool(CALL_SID, { id: 'call_1', name: 'send_dtmf', arguments: '{"digits": "9"}' },
+      { actions });
+
+    assert.strictEqual(result, 'Error: unknown tool "send_dtmf"');
+    assert.deepStrictEqual(actions, []);
+    assert.deepStrictEqual(session.toolCalls.map(({ name, result: text }) => [name, text]),
+      [['send_dtmf', 'Error: unknown tool "send_dtmf"']]);
+  });
+});
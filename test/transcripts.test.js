@@ -0,0 +1,53 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { startServer } = require('./helpers/server');
+
+const CALL_SID = 'CA00000000000000000000000000000042';
+
+test.describe('GET /voice/calls/:callSid/transcript', () => {
+  let server;
+
+  test.before(async () => {
+    server = await startServer();
+    server.voiceAgent.handleIncoming(CALL_SID, '+15551234567', '+15550001111');
+    server.voiceAgent.recordUtterance(CALL_SID, 'Where is my order?', { startMs: 1000, endMs: 2500 });
+    server.voiceAgent.recordReply(CALL_SID, 'It ships tomorrow.', { startMs: 3000, endMs: 4200 });
+  });
+  test.after(() => server.stop());
+
+  test('requires the API key', async () => {
+    const { status } = await server.api('GET', `/voice/calls/${CALL_SID}/transcript`, { key: null });
+    assert.strictEqual(status, 401);
+  });
+
+  test('exports the transcript in each format', async () => {
+    const json = await server.api('GET', `/voice/calls/${CALL_SID}/transcript`);
+    assert.strictEqual(json.status, 200);
+    assert.deepStrictEqual(json.body.entries.map((entry) => [entry.speaker, entry.text]), [
+      ['caller', 'Where is my order?'],
+      ['agent', 'It ships tomorrow.']
+    ]);
+
+    const vtt = await server.api('GET', `/voice/calls/${CALL_SID}/transcript?format=vtt&download=true`);
+    assert.strictEqual(vtt.status, 200);
+    assert.match(vtt.headers.get('content-type'), /^text\/vtt/);
+    assert.match(vtt.headers.get('content-disposition'), /attachment/);
+    assert.match(vtt.body, /^WEBVTT/);
+    assert.match(vtt.body, /00:00:01\.000 --> 00:00:02\.500/);
+  });
+
+  test('rejects unknown formats, including Object.prototype keys', async () => {
+    for (const format of ['docx', 'constructor', 'toString', '__proto__']) {
+      const { status, body } = await server.api('GET', `/voice/calls/${CALL_SID}/transcript?format=${format}`);
+      assert.strictEqual(status, 400, format);
+      assert.deepStrictEqual(body.formats, ['json', 'text', 'vtt', 'srt']);
+    }
+    const repeated = await server.api('GET', `/voice/calls/${CALL_SID}/transcript?format=json&format=text`);
+    assert.strictEqual(repeated.status, 400);
+  });
+
+  test('returns 404 for an unknown call', async () => {
+    const { status } = await server.api('GET', '/voice/calls/CAunknown/transcript');
+    assert.strictEqual(status, 404);
+  });
+});
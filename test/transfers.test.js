@@ -0,0 +1,86 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { startServer } = require('./helpers/server');
+
+const CALL_SID = 'CA00000000000000000000000000000017';
+
+// Records REST requests in order; `failUpdate` makes calls(sid).update throw like the Twilio API does
+function stubTwilioClient() {
+  const client = {
+    requests: [],
+    failUpdate: null,
+    calls: Object.assign((sid) => ({
+      async update(params) {
+        if (client.failUpdate) throw new Error(client.failUpdate);
+        client.requests.push(['update', sid, params]);
+        return { sid };
+      }
+    }), {
+      async create(params) {
+        client.requests.push(['create', params]);
+        return { sid: 'CA000000000000000000000000000000a1', status: 'queued' };
+      }
+    })
+  };
+  return client;
+}
+
+async function waitFor(check) {
+  for (let attempt = 0; attempt < 50 && !check(); attempt++) {
+    await new Promise((resolve) => setTimeout(resolve, 10));
+  }
+}
+
+test.describe('warm transfers', () => {
+  let server;
+  let client;
+
+  test.before(async () => {
+    server = await startServer();
+  });
+  test.after(() => server.stop());
+  test.beforeEach(() => {
+    client = stubTwilioClient();
+    server.voiceAgent.twilioClient = client;
+    server.voiceAgent.handleIncoming(CALL_SID, '+15551234567', '+15550001111');
+    const session = server.voiceAgent.getSession(CALL_SID);
+    session.persona = {
+      ...session.persona,
+      transferTargets: { desk: '+15551230002' },
+      transfer: { ...session.persona.transfer, mode: 'warm' }
+    };
+  });
+
+  test('call the target only after the caller is in the conference', async () => {
+    const { status, body } = await server.api('POST', `/voice/calls/${CALL_SID}/transfer`, { body: { target: 'desk' } });
+    assert.strictEqual(status, 200);
+    assert.strictEqual(body.transfer.mode, 'warm');
+
+    const session = server.voiceAgent.getSession(CALL_SID);
+    await waitFor(() => session.transfer.agentCallSid);
+    assert.deepStrictEqual(client.requests.map(([type]) => type), ['update', 'create']);
+    assert.match(client.requests[0][2].twiml, /<Conference[^>]*>transfer-CA/);
+    assert.strictEqual(client.requests[1][1].to, '+15551230002');
+    assert.strictEqual(session.transfer.agentCallSid, 'CA000000000000000000000000000000a1');
+  });
+
+  test('does not call the target when the caller cannot be moved', async () => {
+    client.failUpdate = 'Call is not in-progress';
+    const { status, body } = await server.api('POST', `/voice/calls/${CALL_SID}/transfer`, { body: { target: 'desk' } });
+    assert.strictEqual(status, 502);
+    assert.strictEqual(body.transfer.status, 'failed');
+    assert.strictEqual(body.transfer.conference, null);
+
+    await new Promise((resolve) => setTimeout(resolve, 50));
+    assert.deepStrictEqual(client.requests, []);
+  });
+
+  test('a keypad transfer calls the target once the hold TwiML is returned', async () => {
+    const twiml = await server.webhook('/voice/handle-input', { CallSid: CALL_SID, Digits: '0' });
+    assert.match(twiml, /<Conference[^>]*>transfer-CA/);
+
+    const session = server.voiceAgent.getSession(CALL_SID);
+    await waitFor(() => session.transfer.agentCallSid);
+    assert.deepStrictEqual(client.requests.map(([type]) => type), ['create']);
+  });
+});
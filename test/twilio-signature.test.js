@@ -0,0 +1,149 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { getExpectedTwilioSignature } = require('twilio');
+const { twilioWebhook, isValidUpgrade } = require('../lib/twilio-signature');
+
+const AUTH_TOKEN = '12345abcde12345abcde12345abcde12';
+const BODY = { CallSid: 'CA123', From: '+15551230000', To: '+15559870000' };
+
+function request({ url = '/voice/incoming', headers = {}, body = BODY, encrypted = false } = {}) {
+  return {
+    method: 'POST',
+    originalUrl: url,
+    url,
+    headers: { host: 'internal:8080', ...headers },
+    body,
+    socket: { encrypted }
+  };
+}
+
+function signed(fullUrl, options = {}, params = options.body || BODY) {
+  const req = request(options);
+  req.headers['x-twilio-signature'] = getExpectedTwilioSignature(AUTH_TOKEN, fullUrl, params);
+  return req;
+}
+
+// Run the middleware; resolves to 'next' or the rejected response
+function run(middleware, req) {
+  return new Promise((resolve) => {
+    const res = {
+      status(code) {
+        this.statusCode = code;
+        return this;
+      },
+      json(body) {
+        resolve({ status: this.statusCode, body });
+      }
+    };
+    middleware(req, res, () => resolve('next'));
+  });
+}
+
+test.describe('twilioWebhook', () => {
+  const webhook = twilioWebhook({ authToken: AUTH_TOKEN, baseUrl: 'https://voice.example.com' });
+
+  test('accepts a request signed for DEPLOYMENT_URL', async () => {
+    const req = signed('https://voice.example.com/voice/incoming');
+    assert.strictEqual(await run(webhook, req), 'next');
+  });
+
+  test('ignores a trailing slash on DEPLOYMENT_URL', async () => {
+    const withSlash = twilioWebhook({ authToken: AUTH_TOKEN, baseUrl: 'https://voice.example.com/' });
+    const req = signed('https://voice.example.com/voice/incoming');
+    assert.strictEqual(await run(withSlash, req), 'next');
+  });
+
+  test('rejects a request without a signature', async () => {
+    const result = await run(webhook, request());
+    assert.deepStrictEqual(result, { status: 403, body: { error: 'Invalid Twilio signature' } });
+  });
+
+  test('rejects a signature made with another token', async () => {
+    const req = request();
+    req.headers['x-twilio-signature'] = getExpectedTwilioSignature(
+      'another-token', 'https://voice.example.com/voice/incoming', BODY);
+    assert.strictEqual((await run(webhook, req)).status, 403);
+  });
+
+  test('rejects a request whose parameters were changed after signing', async () => {
+    const req = signed('https://voice.example.com/voice/incoming');
+    req.body = { ...BODY, To: '+15550000000' };
+    assert.strictEqual((await run(webhook, req)).status, 403);
+  });
+
+  test('rejects a signature for another path', async () => {
+    const req = signed('https://voice.example.com/voice/handle-input');
+    assert.strictEqual((await run(webhook, req)).status, 403);
+  });
+
+  test('falls back to x-forwarded-proto and x-forwarded-host', async () => {
+    const noBase = twilioWebhook({ authToken: AUTH_TOKEN });
+    const headers = { 'x-forwarded-proto': 'https', 'x-forwarded-host': 'public.example.com' };
+    const req = signed('https://public.example.com/voice/incoming', { headers });
+    assert.strictEqual(await run(noBase, req), 'next');
+  });
+
+  test('uses the first value of multi-valued forwarded headers', async () => {
+    const noBase = twilioWebhook({ authToken: AUTH_TOKEN });
+    const headers = {
+      'x-forwarded-proto': 'https, http',
+      'x-forwarded-host': 'public.example.com, internal:8080'
+    };
+    const req = signed('https://public.example.com/voice/incoming', { headers });
+    assert.strictEqual(await run(noBase, req), 'next');
+  });
+
+  test('uses the Host header and socket encryption without forwarded headers', async () => {
+    const noBase = twilioWebhook({ authToken: AUTH_TOKEN });
+    assert.strictEqual(await run(noBase, signed('http://internal:8080/voice/incoming')), 'next');
+    assert.strictEqual(
+      await run(noBase, signed('https://internal:8080/voice/incoming', { encrypted: true })), 'next');
+    assert.strictEqual((await run(noBase, signed('https://internal:8080/voice/incoming'))).status, 403);
+  });
+
+  test('includes the query string in the signed URL', async () => {
+    const url = '/voice/ivr?menu=main&attempt=1';
+    const req = signed(`https://voice.example.com${url}`, { url });
+    assert.strictEqual(await run(webhook, req), 'next');
+  });
+
+  test('rejects everything when no auth token is configured', async () => {
+    const noToken = twilioWebhook({ authToken: undefined, baseUrl: 'https://voice.example.com' });
+    const req = signed('https://voice.example.com/voice/incoming');
+    assert.strictEqual((await run(noToken, req)).status, 403);
+  });
+
+  test('lets every request through when validation is disabled', async () => {
+    const disabled = twilioWebhook({ authToken: AUTH_TOKEN, enabled: false });
+    assert.strictEqual(await run(disabled, request()), 'next');
+  });
+});
+
+test.describe('isValidUpgrade', () => {
+  const config = { authToken: AUTH_TOKEN, baseUrl: 'https://voice.example.com' };
+
+  // The handshake carries no body; Twilio signs the wss:// URL
+  function upgrade(fullUrl, options = {}) {
+    return signed(fullUrl, { url: '/media/CA123', body: undefined, ...options }, {});
+  }
+
+  test('accepts a handshake signed for the wss:// form of DEPLOYMENT_URL', () => {
+    assert.strictEqual(isValidUpgrade(upgrade('wss://voice.example.com/media/CA123'), config), true);
+  });
+
+  test('rejects the https:// URL and unsigned handshakes', () => {
+    assert.strictEqual(isValidUpgrade(upgrade('https://voice.example.com/media/CA123'), config), false);
+    assert.strictEqual(isValidUpgrade(request({ url: '/media/CA123' }), config), false);
+  });
+
+  test('falls back to forwarded headers', () => {
+    const headers = { 'x-forwarded-proto': 'https', 'x-forwarded-host': 'public.example.com' };
+    const req = upgrade('wss://public.example.com/media/CA123', { headers });
+    assert.strictEqual(isValidUpgrade(req, { authToken: AUTH_TOKEN }), true);
+    assert.strictEqual(isValidUpgrade(upgrade('ws://internal:8080/media/CA123'), { authToken: AUTH_TOKEN }), true);
+  });
+
+  test('accepts any handshake when validation is disabled', () => {
+    assert.strictEqual(isValidUpgrade(request({ url: '/media/CA123' }), { ...config, enabled: false }), true);
+  });
+});
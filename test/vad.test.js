@@ -0,0 +1,103 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const codec = require('../lib/codec');
+const VoiceActivityDetector = require('../lib/vad');
+
+// 8 kHz PCM: 300 ms of silence, 600 ms of a 200 Hz voiced tone, 1000 ms of silence
+const { pcm: UTTERANCE } = codec.readWav(fs.readFileSync(path.join(__dirname, 'fixtures', 'utterance.wav')));
+const FRAMES = codec.frameMulaw(codec.pcmToMulaw(UTTERANCE));
+const SILENCE = FRAMES[0];
+const VOICED = FRAMES[20];
+
+// Alternating samples: loud, but crossing zero on every sample like hiss
+const HISS = codec.pcmToMulaw(Int16Array.from({ length: codec.FRAME_BYTES }, (_, i) => (i % 2 ? 3000 : -3000)));
+
+// Feed frames through a detector and record its events with the index of the frame that fired them
+function run(frames, options) {
+  const vad = new VoiceActivityDetector(options);
+  const events = [];
+  let index = 0;
+  for (const type of ['speech_start', 'speech_end', 'speech_discarded']) {
+    vad.on(type, (utterance) => events.push({ type, frame: index, ...utterance }));
+  }
+  for (; index < frames.length; index++) {
+    vad.process(frames[index]);
+  }
+  return events;
+}
+
+function repeat(frame, count) {
+  return Array(count).fill(frame);
+}
+
+test('the fixture is 95 frames of silence, tone and silence', () => {
+  assert.strictEqual(FRAMES.length, 95);
+  const vad = new VoiceActivityDetector();
+  assert.deepStrictEqual(FRAMES.map((frame) => vad.isVoiced(frame)),
+    [...repeat(false, 15), ...repeat(true, 30), ...repeat(false, 50)]);
+});
+
+test('emits speech_start after minSpeechMs and speech_end after silenceMs', () => {
+  const events = run(FRAMES);
+  assert.deepStrictEqual(events.map(({ type, frame }) => [type, frame]), [
+    // Third voiced frame: 60 ms of speech
+    ['speech_start', 17],
+    // 35th silent frame: 700 ms of trailing silence
+    ['speech_end', 79]
+  ]);
+
+  const { audio, durationMs, speechMs, trailingSilenceMs } = events[1];
+  assert.strictEqual(speechMs, 600);
+  assert.strictEqual(trailingSilenceMs, 700);
+  // 200 ms of preroll (ending with the voiced frames that started speech), the rest of the
+  // tone, then the trailing silence
+  assert.strictEqual(durationMs, 200 + 540 + 700);
+  assert.strictEqual(audio.length, (durationMs / 1000) * codec.SAMPLE_RATE);
+  assert.deepStrictEqual(audio.subarray(0, 10 * codec.FRAME_BYTES), Buffer.concat(FRAMES.slice(8, 18)));
+});
+
+test('energyThreshold and zeroCrossingThreshold decide what counts as speech', () => {
+  assert.deepStrictEqual(run(FRAMES, { energyThreshold: 5000 }), []);
+
+  const hiss = [...repeat(SILENCE, 5), ...repeat(HISS, 30), ...repeat(SILENCE, 50)];
+  assert.deepStrictEqual(run(hiss), []);
+  assert.deepStrictEqual(run(hiss, { zeroCrossingThreshold: 1 }).map(({ type }) => type), ['speech_start', 'speech_end']);
+});
+
+test('minSpeechMs ignores clicks', () => {
+  const clicks = [...repeat(SILENCE, 5), VOICED, VOICED, SILENCE, VOICED, ...repeat(SILENCE, 50)];
+  assert.deepStrictEqual(run(clicks), []);
+  assert.deepStrictEqual(run(clicks, { minSpeechMs: 40, minUtteranceMs: 0 }).map(({ type }) => type),
+    ['speech_start', 'speech_end']);
+});
+
+test('discards utterances shorter than minUtteranceMs', () => {
+  const short = [...repeat(SILENCE, 5), ...repeat(VOICED, 10), ...repeat(SILENCE, 40)];
+  const events = run(short);
+  assert.deepStrictEqual(events.map(({ type }) => type), ['speech_start', 'speech_discarded']);
+  assert.strictEqual(events[1].speechMs, 200);
+});
+
+test('a short pause does not end the utterance', () => {
+  const paused = [...repeat(SILENCE, 5), ...repeat(VOICED, 15), ...repeat(SILENCE, 20), ...repeat(VOICED, 15),
+    ...repeat(SILENCE, 40)];
+  const events = run(paused);
+  assert.deepStrictEqual(events.map(({ type }) => type), ['speech_start', 'speech_end']);
+  assert.strictEqual(events[1].speechMs, 600);
+});
+
+test('maxUtteranceMs forces an endpoint during long speech', () => {
+  const events = run([...repeat(VOICED, 50)], { maxUtteranceMs: 400 });
+  assert.deepStrictEqual(events.map(({ type, frame }) => [type, frame]), [
+    ['speech_start', 2],
+    ['speech_end', 19],
+    // Speech carries on, so the next utterance starts straight away
+    ['speech_start', 22],
+    ['speech_end', 39],
+    ['speech_start', 42]
+  ]);
+  assert.strictEqual(events[1].durationMs, 400);
+  assert.strictEqual(events[1].trailingSilenceMs, 0);
+});